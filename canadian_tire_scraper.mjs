@@ -7,6 +7,7 @@ import minimist from "minimist";
 import path from "path";
 import { fileURLToPath } from "url";
 import pLimit from "p-limit";
+import { parseMoneyValue } from "./lib/ctMoney.js";
 
 const args = minimist(process.argv.slice(2), {
   string: ["store", "city", "concurrency", "pages"],
@@ -47,11 +48,7 @@ const buildUrl = (storeId, page = 1) => {
   return `${BASE_URL}?${params.toString()}`;
 };
 
-const parsePrice = (value = "") => {
-  const numeric = value.replace(/[^0-9.,]/g, "").replace(",", ".");
-  const parsed = Number.parseFloat(numeric);
-  return Number.isFinite(parsed) ? parsed : null;
-};
+const parsePrice = (value = "") => parseMoneyValue(value, { locale: "en-CA" });
 
 const scrapePage = async (page, pageNumber, storeId, city) => {
   const url = buildUrl(storeId, pageNumber);
@@ -0,0 +1,136 @@
+/**
+ * Point de reprise d'une exécution multi-magasins (--resume): magasins terminés,
+ * catégories terminées par magasin et dernière page atteinte dans scrapeCategoryAllPages.
+ * Les deals déjà extraits d'une catégorie sont conservés dans <OUT_BASE>/partial/<catégorie>.json.
+ * Un fichier par ensemble de magasins: plusieurs processus (CI, xargs -P) ne partagent jamais le même.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { writeJsonAtomic } from "./ctPublish.js";
+import { categorySlugFromUrl } from "./ctThresholds.js";
+
+// v2: catégories indexées par chemin d'URL (indépendant de --baseUrl).
+export const CHECKPOINT_VERSION = 2;
+export const DEFAULT_CHECKPOINT_DIR = "outputs";
+export const PARTIAL_DIR = "partial";
+
+const storeKeyOf = (storeId) => String(storeId ?? "?");
+
+/**
+ * outputs/checkpoint.<storeId>.json pour un magasin, sinon empreinte de la liste de magasins:
+ * la même commande retrouve son fichier avec --resume.
+ */
+export function defaultCheckpointPath(storeIds, dir = DEFAULT_CHECKPOINT_DIR) {
+  const ids = Array.from(new Set(storeIds.map(storeKeyOf))).sort();
+  const suffix = ids.length === 1
+    ? ids[0].replace(/[^\w-]/g, "_")
+    : `stores-${crypto.createHash("sha1").update(ids.join(",")).digest("hex").slice(0, 10)}`;
+  return path.join(dir, `checkpoint.${suffix}.json`);
+}
+
+// Même principe que buildArchiveKey (lib/ctPageArchive.js): l'hôte et la requête ne comptent pas.
+export function categoryKeyOf(categoryUrl) {
+  try {
+    return new URL(categoryUrl).pathname.toLowerCase();
+  } catch {
+    return String(categoryUrl);
+  }
+}
+
+const emptyState = () => ({
+  version: CHECKPOINT_VERSION,
+  startedAt: new Date().toISOString(),
+  updatedAt: null,
+  stores: {},
+});
+
+export function readCheckpointFile(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    if (error?.code === "ENOENT") return null;
+    console.warn(`[CHECKPOINT] Fichier illisible, ignoré: ${filePath}`, error?.message || error);
+    return null;
+  }
+  if (raw?.version !== CHECKPOINT_VERSION || typeof raw.stores !== "object" || !raw.stores) {
+    console.warn(`[CHECKPOINT] Version ou format inattendu, ignoré: ${filePath}`);
+    return null;
+  }
+  return raw;
+}
+
+export function partialPathFor(outBase, categoryUrl) {
+  const slug = categorySlugFromUrl(categoryUrl) || "liquidation";
+  return path.join(outBase, PARTIAL_DIR, `${slug.replace(/[^\w.-]+/g, "-")}.json`);
+}
+
+// records: deals retenus; observed: tous les produits en liquidation vus (historique des prix).
+export function readPartialFile(partialPath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(partialPath, "utf8"));
+    if (!Array.isArray(parsed?.records)) return null;
+    return { records: parsed.records, observed: Array.isArray(parsed.observed) ? parsed.observed : [] };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * État en mémoire + écritures sérialisées (plusieurs magasins tournent en parallèle).
+ * resume=false repart d'un état vide, même si le fichier existe.
+ */
+export function createCheckpoint(filePath, { resume = false } = {}) {
+  const state = (resume && readCheckpointFile(filePath)) || emptyState();
+  let pending = Promise.resolve();
+
+  const storeState = (storeId) => {
+    const key = storeKeyOf(storeId);
+    if (!state.stores[key]) state.stores[key] = { status: "in_progress", categories: {} };
+    return state.stores[key];
+  };
+
+  const save = () => {
+    pending = pending
+      .then(() => {
+        state.updatedAt = new Date().toISOString();
+        return writeJsonAtomic(filePath, state);
+      })
+      .catch((error) => {
+        console.warn(`[CHECKPOINT] Écriture impossible (${filePath}):`, error?.message || error);
+      });
+    return pending;
+  };
+
+  return {
+    path: filePath,
+    state,
+    isStoreDone(storeId) {
+      return state.stores[storeKeyOf(storeId)]?.status === "done";
+    },
+    getCategory(storeId, categoryUrl) {
+      return state.stores[storeKeyOf(storeId)]?.categories?.[categoryKeyOf(categoryUrl)] ?? null;
+    },
+    markPage(storeId, categoryUrl, { lastPage, partialPath, count }) {
+      storeState(storeId).categories[categoryKeyOf(categoryUrl)] = { status: "in_progress", lastPage, partialPath, count };
+      return save();
+    },
+    markCategoryDone(storeId, categoryUrl, { lastPage, partialPath, count }) {
+      storeState(storeId).categories[categoryKeyOf(categoryUrl)] = { status: "done", lastPage, partialPath, count };
+      return save();
+    },
+    markStoreDone(storeId, { count = null } = {}) {
+      const key = storeKeyOf(storeId);
+      state.stores[key] = { status: "done", completedAt: new Date().toISOString(), count };
+      return save();
+    },
+    flush() {
+      return pending;
+    },
+    async remove() {
+      await pending;
+      await fs.promises.rm(filePath, { force: true });
+    },
+  };
+}
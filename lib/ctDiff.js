@@ -0,0 +1,142 @@
+/**
+ * Différences entre deux exécutions d'un même magasin (data.previous.json → data.json):
+ * nouveaux deals, deals disparus, baisses/hausses de prix, variations de stock.
+ */
+import fs from "fs";
+import { writeFileAtomic } from "./ctPublish.js";
+
+export const PREVIOUS_DATA_FILE = "data.previous.json";
+export const CHANGES_FILE = "changes.json";
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const recordPrice = (record) => {
+  const value = record.price ?? record.sale_price ?? record.liquidation_price ?? null;
+  return Number.isFinite(value) ? Number(value) : null;
+};
+
+const recordStock = (record) => {
+  const value = record.stockQty ?? record.stock_qty ?? null;
+  return Number.isFinite(value) ? Number(value) : null;
+};
+
+const summarize = (key, record) => ({
+  key,
+  productKey: record.product_key ?? record.productKey ?? null,
+  title: record.title ?? record.name ?? null,
+  url: record.url ?? record.link ?? null,
+  price: recordPrice(record),
+  regularPrice: record.regular_price ?? null,
+  discountPercent: record.discount_percent ?? null,
+  stockQty: recordStock(record),
+});
+
+const indexRecords = (records, keyOf) => {
+  const byKey = new Map();
+  for (const record of records || []) {
+    const key = keyOf(record);
+    if (key && !byKey.has(key)) byKey.set(key, record);
+  }
+  return byKey;
+};
+
+/**
+ * @param {any[]} previous
+ * @param {any[]} current
+ * @param {{ keyOf: (record: any) => string|null }} options
+ */
+export function diffDeals(previous, current, { keyOf }) {
+  const before = indexRecords(previous, keyOf);
+  const after = indexRecords(current, keyOf);
+
+  const added = [];
+  const removed = [];
+  const priceDrops = [];
+  const priceIncreases = [];
+  const stockChanges = [];
+  let unchanged = 0;
+
+  for (const [key, record] of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push(summarize(key, record));
+      continue;
+    }
+
+    let changed = false;
+    const prevPrice = recordPrice(prev);
+    const price = recordPrice(record);
+    if (prevPrice != null && price != null && prevPrice !== price) {
+      const delta = round2(price - prevPrice);
+      const change = {
+        ...summarize(key, record),
+        previousPrice: prevPrice,
+        delta,
+        deltaPercent: prevPrice > 0 ? round2((delta / prevPrice) * 100) : null,
+        previousDiscountPercent: prev.discount_percent ?? null,
+      };
+      (delta < 0 ? priceDrops : priceIncreases).push(change);
+      changed = true;
+    }
+
+    const prevStock = recordStock(prev);
+    const stock = recordStock(record);
+    if (prevStock !== stock) {
+      stockChanges.push({
+        ...summarize(key, record),
+        previousStockQty: prevStock,
+        delta: prevStock != null && stock != null ? stock - prevStock : null,
+      });
+      changed = true;
+    }
+
+    if (!changed) unchanged += 1;
+  }
+
+  for (const [key, record] of before) {
+    if (!after.has(key)) removed.push(summarize(key, record));
+  }
+
+  priceDrops.sort((a, b) => a.delta - b.delta);
+  priceIncreases.sort((a, b) => b.delta - a.delta);
+
+  return {
+    summary: {
+      previousCount: before.size,
+      currentCount: after.size,
+      added: added.length,
+      removed: removed.length,
+      priceDrops: priceDrops.length,
+      priceIncreases: priceIncreases.length,
+      stockChanges: stockChanges.length,
+      unchanged,
+    },
+    added,
+    removed,
+    priceDrops,
+    priceIncreases,
+    stockChanges,
+  };
+}
+
+/**
+ * null si le fichier est absent ou illisible (JSON tronqué, corrompu): l'appelant passe
+ * à la base suivante au lieu d'échouer.
+ */
+export function readRecordsFile(jsonPath, { logPrefix = "[DIFF]" } = {}) {
+  if (!fs.existsSync(jsonPath)) return null;
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+  } catch (error) {
+    console.warn(`${logPrefix} JSON illisible, ignoré: ${jsonPath}`, error?.message || error);
+    return null;
+  }
+  return Array.isArray(parsed) ? parsed : parsed?.records ?? [];
+}
+
+export async function writeChangesFile(changesPath, changes, meta = {}) {
+  const payload = { generatedAt: new Date().toISOString(), ...meta, ...changes };
+  await writeFileAtomic(changesPath, `${JSON.stringify(payload, null, 2)}\n`);
+  return changesPath;
+}
@@ -0,0 +1,42 @@
+/**
+ * Échecs magasin classés (<date>.failures.json, file de relance de run()).
+ */
+
+export const STORE_ERROR_CODES = Object.freeze({
+  STORE_SELECTION_FAILED: "store_selection_failed",
+  NAVIGATION_TIMEOUT: "navigation_timeout",
+  NAVIGATION_FAILED: "navigation_failed",
+  ZERO_CARDS: "zero_cards",
+  STORE_TIMEOUT: "store_timeout",
+  VALIDATION_FAILED: "validation_failed",
+  UNKNOWN: "unknown",
+});
+
+// Sortie invalide: même résultat à chaque tentative, inutile de relancer.
+const NON_RETRYABLE_CODES = new Set([STORE_ERROR_CODES.VALIDATION_FAILED]);
+
+export class StoreScrapeError extends Error {
+  /**
+   * @param {string} code une valeur de STORE_ERROR_CODES
+   * @param {string} message
+   * @param {{ storeId?: string|null, cause?: unknown }} [options]
+   */
+  constructor(code, message, { storeId = null, cause } = {}) {
+    super(message, cause !== undefined ? { cause } : undefined);
+    this.name = "StoreScrapeError";
+    this.code = code;
+    this.storeId = storeId;
+  }
+}
+
+export function classifyStoreError(error) {
+  if (error instanceof StoreScrapeError) return error.code;
+  const message = String(error?.message || error || "");
+  if (error?.name === "TimeoutError" || /Timeout \d+ms exceeded/i.test(message)) {
+    return STORE_ERROR_CODES.NAVIGATION_TIMEOUT;
+  }
+  if (/net::ERR_|NS_ERROR_|page\.goto/i.test(message)) return STORE_ERROR_CODES.NAVIGATION_FAILED;
+  return STORE_ERROR_CODES.UNKNOWN;
+}
+
+export const isRetryableStoreError = (code) => !NON_RETRYABLE_CODES.has(code);
@@ -0,0 +1,137 @@
+/**
+ * Historique append-only des prix: outputs/history/<storeId>.ndjson
+ * - Une ligne { type: "run", runAt, storeId, count } par exécution (permet de voir les absences)
+ * - Puis une ligne { type: "record", runAt, productKey, price, regularPrice, discountPercent, stockQty, ... } par produit
+ *   en liquidation observé, y compris sous les seuils de deals (ceux-ci ne filtrent que data.json)
+ */
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_HISTORY_DIR = path.join("outputs", "history");
+
+const storeFileName = (storeId) => `${String(storeId ?? "unknown").replace(/[^\w-]/g, "_")}.ndjson`;
+
+export function historyPathFor(historyDir, storeId) {
+  return path.join(historyDir, storeFileName(storeId));
+}
+
+const toHistoryEntry = (record, runAt) => ({
+  type: "record",
+  runAt,
+  productKey: record.product_key ?? record.productKey ?? null,
+  title: record.title ?? record.name ?? null,
+  category: record.category ?? null,
+  brand: record.brand ?? null,
+  price: record.price ?? null,
+  regularPrice: record.regular_price ?? null,
+  discountPercent: record.discount_percent ?? null,
+  stockQty: record.stockQty ?? null,
+  availability: record.availability ?? null,
+  priceType: record.price_type ?? null,
+});
+
+export async function appendStoreSnapshot(historyDir, storeId, records, {
+  runAt = new Date().toISOString(),
+  partial = false,
+} = {}) {
+  const run = { type: "run", runAt, storeId, count: records.length };
+  // Exécution arrêtée par une limite de temps: certaines catégories n'ont pas été parcourues.
+  if (partial) run.partial = true;
+  const lines = [JSON.stringify(run)];
+  for (const record of records) {
+    const entry = toHistoryEntry(record, runAt);
+    // Sans product_key on ne peut pas relier les exécutions entre elles.
+    if (entry.productKey) lines.push(JSON.stringify(entry));
+  }
+  const historyPath = historyPathFor(historyDir, storeId);
+  await fs.promises.mkdir(historyDir, { recursive: true });
+  await fs.promises.appendFile(historyPath, `${lines.join("\n")}\n`, "utf8");
+  return { historyPath, count: lines.length - 1 };
+}
+
+export async function readStoreHistory(historyDir, storeId) {
+  const historyPath = historyPathFor(historyDir, storeId);
+  let raw;
+  try {
+    raw = await fs.promises.readFile(historyPath, "utf8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return [];
+    throw error;
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // Ligne tronquée (exécution interrompue pendant l'écriture): ignorée.
+    }
+  }
+  return entries;
+}
+
+export function listHistoryStores(historyDir) {
+  if (!fs.existsSync(historyDir)) return [];
+  return fs
+    .readdirSync(historyDir)
+    .filter((name) => name.endsWith(".ndjson"))
+    .map((name) => name.replace(/\.ndjson$/, ""))
+    .sort();
+}
+
+/**
+ * Retire les exécutions partielles (et leurs lignes produit): un produit d'une catégorie
+ * non parcourue n'y figure pas sans pour autant avoir disparu.
+ */
+export function completeRunEntries(entries) {
+  const partialRuns = new Set(
+    entries.filter((entry) => entry.type === "run" && entry.partial).map((entry) => entry.runAt)
+  );
+  if (!partialRuns.size) return entries;
+  return entries.filter((entry) => !partialRuns.has(entry.runAt));
+}
+
+/**
+ * Chronologie d'un produit: un point par exécution, present=false quand le produit
+ * n'était plus en liquidation (vendu ou retiré).
+ */
+export function buildProductTimeline(historyEntries, productKey) {
+  const entries = completeRunEntries(historyEntries);
+  const runs = entries.filter((entry) => entry.type === "run").map((entry) => entry.runAt);
+  const byRun = new Map(
+    entries
+      .filter((entry) => entry.type === "record" && entry.productKey === productKey)
+      .map((entry) => [entry.runAt, entry])
+  );
+  const firstSeen = runs.findIndex((runAt) => byRun.has(runAt));
+  if (firstSeen === -1) return [];
+
+  return runs.slice(firstSeen).map((runAt) => {
+    const entry = byRun.get(runAt);
+    return entry
+      ? {
+          runAt,
+          present: true,
+          price: entry.price,
+          regularPrice: entry.regularPrice,
+          discountPercent: entry.discountPercent,
+          stockQty: entry.stockQty,
+        }
+      : { runAt, present: false, price: null, regularPrice: null, discountPercent: null, stockQty: null };
+  });
+}
+
+/**
+ * Paliers de démarque successifs (ex: 30 → 50 → 70) d'une chronologie.
+ */
+export function markdownSteps(timeline) {
+  const steps = [];
+  for (const point of timeline) {
+    if (!point.present || point.discountPercent == null) continue;
+    const last = steps[steps.length - 1];
+    if (!last || Math.round(point.discountPercent) !== Math.round(last.discountPercent)) {
+      steps.push({ runAt: point.runAt, discountPercent: point.discountPercent, price: point.price });
+    }
+  }
+  return steps;
+}
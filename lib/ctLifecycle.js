@@ -0,0 +1,134 @@
+/**
+ * Cycle de vie d'une liquidation à partir de l'historique (lib/ctHistory.js):
+ * première apparition, jours en liquidation, paliers de démarque, et prochaine démarque
+ * estimée à partir de l'intervalle médian observé pour la même catégorie/marque.
+ */
+import { buildProductTimeline, completeRunEntries, markdownSteps } from "./ctHistory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Au-delà, Canadian Tire retire généralement l'article plutôt que de démarquer encore.
+export const MAX_PREDICTED_DISCOUNT = 90;
+// Nombre minimal d'intervalles observés pour qu'un groupe serve de base à la prédiction.
+const MIN_SAMPLES = 2;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const daysBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / DAY_MS;
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const groupKeys = ({ category, brand }) => [
+  category && brand ? `category+brand:${category}|${brand}` : null,
+  category ? `category:${category}` : null,
+  brand ? `brand:${brand}` : null,
+  "all",
+].filter(Boolean);
+
+/**
+ * @param {{ storeId: string, entries: any[] }[]} storeHistories
+ * @param {{ now?: string }} [options]
+ */
+export function computeLifecycles(storeHistories, { now = new Date().toISOString() } = {}) {
+  const products = [];
+
+  for (const { storeId, entries: historyEntries } of storeHistories) {
+    const entries = completeRunEntries(historyEntries);
+    const runs = entries.filter((entry) => entry.type === "run");
+    const latestRun = runs.length ? runs[runs.length - 1].runAt : null;
+    const latestByProduct = new Map();
+    for (const entry of entries) {
+      if (entry.type === "record" && entry.productKey) latestByProduct.set(entry.productKey, entry);
+    }
+
+    for (const [productKey, latest] of latestByProduct) {
+      const timeline = buildProductTimeline(entries, productKey);
+      const present = timeline.filter((point) => point.present);
+      if (!present.length) continue;
+      const steps = markdownSteps(timeline);
+      const firstSeen = present[0].runAt;
+      const lastSeen = present[present.length - 1].runAt;
+      const active = lastSeen === latestRun;
+
+      products.push({
+        storeId,
+        productKey,
+        title: latest.title ?? null,
+        category: latest.category ?? null,
+        brand: latest.brand ?? null,
+        firstSeen,
+        lastSeen,
+        active,
+        daysOnClearance: round2(daysBetween(firstSeen, active ? now : lastSeen)),
+        stepCount: steps.length,
+        steps,
+        currentDiscountPercent: latest.discountPercent ?? null,
+        currentPrice: latest.price ?? null,
+        regularPrice: latest.regularPrice ?? null,
+      });
+    }
+  }
+
+  // Intervalles (jours) et sauts de rabais (points) entre paliers, regroupés par catégorie/marque.
+  const samples = new Map();
+  const addSample = (key, interval, increment) => {
+    const group = samples.get(key) || { intervals: [], increments: [] };
+    group.intervals.push(interval);
+    group.increments.push(increment);
+    samples.set(key, group);
+  };
+  for (const product of products) {
+    for (let i = 1; i < product.steps.length; i++) {
+      const interval = daysBetween(product.steps[i - 1].runAt, product.steps[i].runAt);
+      const increment = product.steps[i].discountPercent - product.steps[i - 1].discountPercent;
+      if (interval <= 0 || increment <= 0) continue;
+      for (const key of groupKeys(product)) addSample(key, interval, increment);
+    }
+  }
+
+  for (const product of products) {
+    product.prediction = predictNextMarkdown(product, samples);
+  }
+
+  // Prochaines démarques d'abord, produits sans prédiction à la fin.
+  const predictionDate = (product) => product.prediction?.date ?? null;
+  return products.sort((a, b) => {
+    const dateA = predictionDate(a);
+    const dateB = predictionDate(b);
+    if (dateA !== dateB) {
+      if (dateA == null) return 1;
+      if (dateB == null) return -1;
+      return dateA.localeCompare(dateB);
+    }
+    return a.productKey.localeCompare(b.productKey);
+  });
+}
+
+function predictNextMarkdown(product, samples) {
+  if (!product.active || product.currentDiscountPercent == null) return null;
+  if (product.currentDiscountPercent >= MAX_PREDICTED_DISCOUNT) return null;
+
+  const basis = groupKeys(product).find((key) => (samples.get(key)?.intervals.length ?? 0) >= MIN_SAMPLES);
+  if (!basis) return null;
+  const group = samples.get(basis);
+  const intervalDays = median(group.intervals);
+  const increment = median(group.increments);
+
+  const lastStep = product.steps[product.steps.length - 1];
+  const discountPercent = Math.min(MAX_PREDICTED_DISCOUNT, round2(product.currentDiscountPercent + increment));
+  const price = product.regularPrice != null
+    ? round2(product.regularPrice * (1 - discountPercent / 100))
+    : null;
+
+  return {
+    date: new Date(Date.parse(lastStep.runAt) + intervalDays * DAY_MS).toISOString(),
+    discountPercent,
+    price,
+    intervalDays: round2(intervalDays),
+    basis,
+    samples: group.intervals.length,
+  };
+}
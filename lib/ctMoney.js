@@ -0,0 +1,149 @@
+// Prix fr-CA ("1 299,99 $", "12,99 $ ch.") et en-CA ("$1,299.99", "$12.99 ea.") → centimes entiers.
+
+const SPACE_LIKE = /[\u00a0\u2007\u2009\u202f]/g;
+const UNIT_SUFFIX = /(?:\/\s*|\s)(ch\.?|chacun|chaque|ea\.?|each)(?=\s|$|[^a-z])/i;
+// Dernière alternative: montant sans partie entière ("$.99").
+const MONEY_PATTERN =
+  /(\$\s?)?(\d{1,3}(?:[ .,]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d{1,2})?|[.,]\d{1,2})(\s?(?:\$|¢))?/;
+
+export function normalizeMoneyText(text) {
+  return String(text).replace(SPACE_LIKE, " ").replace(/\s+/g, " ").trim();
+}
+
+function detectFormat({ decimalSep, groupSep, dollarBefore, dollarAfter, centsSuffix }, locale) {
+  if (decimalSep === ",") return "fr-CA";
+  if (decimalSep === ".") return "en-CA";
+  if (groupSep === " ") return "fr-CA";
+  if (groupSep === ",") return "en-CA";
+  if (dollarAfter) return "fr-CA";
+  if (dollarBefore) return "en-CA";
+  if (locale) return locale;
+  // "99 ¢" (espace avant le symbole, typographie française) / "99¢".
+  if (centsSuffix) return centsSuffix.startsWith(" ") ? "fr-CA" : "en-CA";
+  return null;
+}
+
+/**
+ * @returns {{ cents: number, value: number, format: string|null, perUnit: boolean, raw: string } | null}
+ */
+export function parseMoney(input, { locale = null } = {}) {
+  if (input == null) return null;
+  if (typeof input === "number") {
+    if (!Number.isFinite(input)) return null;
+    const cents = Math.round(input * 100);
+    return { cents, value: cents / 100, format: locale, perUnit: false, raw: String(input) };
+  }
+
+  const raw = normalizeMoneyText(input);
+  if (!raw) return null;
+
+  const match = raw.match(MONEY_PATTERN);
+  if (!match) return null;
+  const [, dollarPrefix, numberText, suffix] = match;
+
+  // Le dernier séparateur suivi de 1-2 chiffres est décimal; les groupes de 3 sont des milliers.
+  const decimalMatch = numberText.match(/[.,](\d{1,2})$/);
+  const decimalSep = decimalMatch ? numberText[numberText.length - decimalMatch[0].length] : null;
+  const integerText = decimalMatch ? numberText.slice(0, -decimalMatch[0].length) : numberText;
+  const groupMatch = integerText.match(/[ .,]/);
+  const groupSep = groupMatch ? groupMatch[0] : null;
+
+  const units = integerText ? Number.parseInt(integerText.replace(/[ .,]/g, ""), 10) : 0;
+  if (!Number.isFinite(units)) return null;
+  const fraction = decimalMatch ? Number.parseInt(decimalMatch[1].padEnd(2, "0"), 10) : 0;
+
+  const isCentsSign = !!suffix && suffix.trim() === "¢";
+  const cents = isCentsSign && !decimalMatch ? units : units * 100 + fraction;
+
+  return {
+    cents,
+    value: cents / 100,
+    format: detectFormat(
+      {
+        decimalSep,
+        groupSep,
+        dollarBefore: !!dollarPrefix,
+        dollarAfter: !!suffix && suffix.trim() === "$",
+        centsSuffix: isCentsSign ? suffix : null,
+      },
+      locale
+    ),
+    perUnit: UNIT_SUFFIX.test(raw),
+    raw,
+  };
+}
+
+export function parseMoneyValue(input, options) {
+  const parsed = parseMoney(input, options);
+  return parsed ? parsed.value : null;
+}
+
+export function formatCents(cents) {
+  return Number.isFinite(cents) ? (cents / 100).toFixed(2) : null;
+}
+
+const MONEY_PATTERN_GLOBAL = new RegExp(MONEY_PATTERN.source, "g");
+const RANGE_MARKER = /(?:^|\s)(?:de|from)\s|\s(?:à|a|to)\s|\d\s?\$?\s?[-–—]\s?\$?\s?\d/i;
+// Quantité en début de mot: dans "$49.99/2 pk", le "/" suit un prix, pas une quantité.
+const MULTI_BUY_PATTERN = /(?:^|\s)(\d{1,2})\s?(?:pour|for|\/)\s?(\$?\s?\d[\d ,.]*\s?\$?)/i;
+
+/**
+ * Offre affichée sur une carte: prix simple, fourchette ("de 9,99 $ à 24,99 $")
+ * ou achat multiple ("2 pour 10 $"). Montants en centimes.
+ */
+export function parsePriceOffer(input, { locale = null } = {}) {
+  if (input == null) return null;
+  if (typeof input === "number") {
+    const single = parseMoney(input, { locale });
+    return single
+      ? { kind: "single", minCents: single.cents, maxCents: single.cents, unitCents: single.cents, quantity: 1, format: single.format }
+      : null;
+  }
+
+  const raw = normalizeMoneyText(input);
+  if (!raw) return null;
+
+  const multi = raw.match(MULTI_BUY_PATTERN);
+  if (multi) {
+    const quantity = Number.parseInt(multi[1], 10);
+    const total = parseMoney(multi[2], { locale });
+    if (quantity > 1 && total) {
+      const unitCents = Math.round(total.cents / quantity);
+      return {
+        kind: "multi",
+        minCents: unitCents,
+        maxCents: unitCents,
+        unitCents,
+        quantity,
+        totalCents: total.cents,
+        format: total.format,
+      };
+    }
+  }
+
+  if (RANGE_MARKER.test(raw)) {
+    const amounts = Array.from(raw.matchAll(MONEY_PATTERN_GLOBAL))
+      .map((match) => parseMoney(match[0], { locale }))
+      .filter(Boolean);
+    if (amounts.length >= 2) {
+      const cents = amounts.map((amount) => amount.cents);
+      const minCents = Math.min(...cents);
+      const maxCents = Math.max(...cents);
+      if (minCents !== maxCents) {
+        return {
+          kind: "range",
+          minCents,
+          maxCents,
+          unitCents: null,
+          quantity: 1,
+          format: amounts[0].format,
+        };
+      }
+    }
+  }
+
+  const single = parseMoney(raw, { locale });
+  return single
+    ? { kind: "single", minCents: single.cents, maxCents: single.cents, unitCents: single.cents, quantity: 1, format: single.format }
+    : null;
+}
@@ -0,0 +1,87 @@
+/**
+ * Index national: un produit (productKey) → tous les magasins qui le liquident,
+ * triés du moins cher au plus cher (voir mapRecordToNationalIndex).
+ */
+import { mapRecordToNationalIndex } from "./ctRecords.js";
+import { readStoreRecords } from "./ctOutputs.js";
+import { INDEX_SCHEMA_VERSION } from "./ctSchema.js";
+
+const byPriceThenStore = (a, b) => {
+  if (a.price !== b.price) {
+    if (a.price == null) return 1;
+    if (b.price == null) return -1;
+    return a.price - b.price;
+  }
+  return String(a.storeId ?? "").localeCompare(String(b.storeId ?? ""));
+};
+
+/**
+ * @param {{ storeId: string|null, storeSlug: string, jsonPath: string }[]} storeOutputs
+ * @param {{ storeNames?: Map<string, string> }} [options]
+ */
+export function buildNationalIndex(storeOutputs, { storeNames = new Map() } = {}) {
+  const products = new Map();
+  const storesSeen = new Set();
+
+  for (const output of storeOutputs) {
+    for (const record of readStoreRecords(output.jsonPath)) {
+      const storeId = record.store_id != null ? String(record.store_id) : output.storeId;
+      const storeMeta = {
+        storeId,
+        storeSlug: output.storeSlug,
+        storeName: (storeId && storeNames.get(storeId)) || record.city || null,
+      };
+      const entry = mapRecordToNationalIndex(record, storeMeta);
+      if (!entry) continue;
+      storesSeen.add(storeId ?? output.storeSlug);
+
+      let product = products.get(entry.productKey);
+      if (!product) {
+        product = {
+          productKey: entry.productKey,
+          title: entry.title,
+          brand: record.brand ?? null,
+          modelNumber: record.model_number ?? null,
+          upc: record.upc ?? null,
+          stores: new Map(),
+        };
+        products.set(entry.productKey, product);
+      }
+      product.title = product.title || entry.title;
+      product.brand = product.brand || record.brand || null;
+      product.modelNumber = product.modelNumber || record.model_number || null;
+      product.upc = product.upc || record.upc || null;
+
+      // Un produit présent dans plusieurs catégories d'un même magasin: on garde le moins cher.
+      const storeKey = storeId ?? output.storeSlug;
+      const existing = product.stores.get(storeKey);
+      if (!existing || byPriceThenStore(entry, existing) < 0) {
+        const { productKey, title, ...storeEntry } = entry;
+        product.stores.set(storeKey, storeEntry);
+      }
+    }
+  }
+
+  const items = Array.from(products.values())
+    .map(({ stores, ...product }) => {
+      const storeList = Array.from(stores.values()).sort(byPriceThenStore);
+      const prices = storeList.map((store) => store.price).filter((price) => price != null);
+      return {
+        ...product,
+        storeCount: storeList.length,
+        minPrice: prices.length ? Math.min(...prices) : null,
+        maxPrice: prices.length ? Math.max(...prices) : null,
+        bestStoreId: storeList[0]?.price != null ? storeList[0].storeId : null,
+        stores: storeList,
+      };
+    })
+    .sort((a, b) => b.storeCount - a.storeCount || a.productKey.localeCompare(b.productKey));
+
+  return {
+    schema_version: INDEX_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    storeCount: storesSeen.size,
+    productCount: items.length,
+    products: items,
+  };
+}
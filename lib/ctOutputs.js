@@ -0,0 +1,62 @@
+/**
+ * Lecture des sorties par magasin: outputs/canadiantire/<store>-<city-slug>/data.json
+ * (même convention que resolveOutputPaths dans lib/ctScraper.js).
+ */
+import fs from "fs";
+import path from "path";
+
+export const DEFAULT_OUTPUTS_DIR = path.join("outputs", "canadiantire");
+export const STORE_DATA_FILE = "data.json";
+export const STORE_CSV_FILE = "data.csv";
+// État de la dernière sortie écrite (partial: exécution arrêtée par une limite de temps).
+export const STORE_STATUS_FILE = "status.json";
+
+const STORE_DIR_PATTERN = /^(\d+)-(.*)$/;
+
+export function parseStoreDirName(dirName) {
+  const match = String(dirName).match(STORE_DIR_PATTERN);
+  if (!match) return { storeId: null, storeSlug: String(dirName) };
+  return { storeId: match[1], storeSlug: String(dirName) };
+}
+
+/**
+ * @returns {{ storeId: string|null, storeSlug: string, dir: string, jsonPath: string }[]}
+ */
+export function findStoreOutputs(outputsDir = DEFAULT_OUTPUTS_DIR) {
+  if (!fs.existsSync(outputsDir)) return [];
+  return fs
+    .readdirSync(outputsDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => {
+      const dir = path.join(outputsDir, entry.name);
+      return { ...parseStoreDirName(entry.name), dir, jsonPath: path.join(dir, STORE_DATA_FILE) };
+    })
+    .filter((output) => fs.existsSync(output.jsonPath))
+    .sort((a, b) => a.storeSlug.localeCompare(b.storeSlug));
+}
+
+export function readStoreRecords(jsonPath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(jsonPath, "utf8"));
+    if (Array.isArray(parsed)) return parsed;
+    if (Array.isArray(parsed?.records)) return parsed.records;
+    console.warn(`[OUTPUTS] Format inattendu, ignoré: ${jsonPath}`);
+  } catch (error) {
+    console.warn(`[OUTPUTS] JSON illisible, ignoré: ${jsonPath}`, error?.message || error);
+  }
+  return [];
+}
+
+export function loadStoresIndex(storesPath) {
+  const stores = new Map();
+  try {
+    const raw = JSON.parse(fs.readFileSync(storesPath, "utf8"));
+    for (const store of Array.isArray(raw) ? raw : []) {
+      const storeId = String(store.storeId ?? store.id ?? "");
+      if (storeId) stores.set(storeId, store.storeName ?? store.name ?? store.city ?? "");
+    }
+  } catch (error) {
+    console.warn(`[OUTPUTS] Fichier magasins illisible (${storesPath}):`, error?.message || error);
+  }
+  return stores;
+}
@@ -0,0 +1,228 @@
+/**
+ * Archive de pages HTML (modes --record <dir> et --replayDir <dir>)
+ * - index.json: { version, updatedAt, entries: [{ key, url, storeId, page, kind, file, recordedAt }] }
+ * - Sinon, nom de fichier conventionnel: <chemin-slug>__p<page>[__s<store>].html
+ * - Clé = chemin de l'URL + paramètre page= (page 1 par défaut), hôte ignoré
+ */
+import fs from "fs";
+import path from "path";
+import slugify from "slugify";
+
+export const ARCHIVE_INDEX_FILE = "index.json";
+export const ARCHIVE_VERSION = 1;
+
+function parseUrl(rawUrl) {
+  try {
+    return new URL(rawUrl);
+  } catch {
+    return null;
+  }
+}
+
+export function getArchivePageNumber(rawUrl) {
+  const url = parseUrl(rawUrl);
+  const page = url ? Number.parseInt(url.searchParams.get("page") || "", 10) : NaN;
+  return Number.isFinite(page) && page > 0 ? page : 1;
+}
+
+export function getArchiveStoreId(rawUrl) {
+  const url = parseUrl(rawUrl);
+  return url?.searchParams.get("store") || null;
+}
+
+export function buildArchiveKey(rawUrl) {
+  const url = parseUrl(rawUrl);
+  if (!url) return null;
+  return `${url.pathname.toLowerCase()}|page=${getArchivePageNumber(rawUrl)}`;
+}
+
+export function buildArchiveFileName(rawUrl, storeId = null) {
+  const url = parseUrl(rawUrl);
+  if (!url) return null;
+  const pathSlug = slugify(url.pathname.replace(/\.html?$/i, "").replace(/\//g, " "), {
+    lower: true,
+    strict: true,
+  }) || "index";
+  const storePart = storeId ? `__s${storeId}` : "";
+  return `${pathSlug}__p${getArchivePageNumber(rawUrl)}${storePart}.html`;
+}
+
+export function loadPageArchive(dir) {
+  const archive = {
+    dir,
+    entries: new Map(),
+    stores: new Set(),
+  };
+
+  const indexPath = path.join(dir, ARCHIVE_INDEX_FILE);
+  if (fs.existsSync(indexPath)) {
+    const raw = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    const entries = Array.isArray(raw?.entries) ? raw.entries : [];
+    for (const entry of entries) {
+      const key = entry.key || buildArchiveKey(entry.url);
+      if (!key || !entry.file) continue;
+      const list = archive.entries.get(key) || [];
+      list.push({ ...entry, key, storeId: entry.storeId != null ? String(entry.storeId) : null });
+      archive.entries.set(key, list);
+      if (entry.storeId != null) archive.stores.add(String(entry.storeId));
+    }
+  }
+
+  if (fs.existsSync(dir)) {
+    for (const fileName of fs.readdirSync(dir)) {
+      const m = fileName.match(/__s([^_.]+)\.html$/i);
+      if (m) archive.stores.add(m[1]);
+    }
+  }
+
+  return archive;
+}
+
+export function findArchivedPage(archive, rawUrl, { storeId: contextStoreId = null } = {}) {
+  const key = buildArchiveKey(rawUrl);
+  if (!key) return null;
+  // store= dans l'URL est strict; sinon (fiches produit) on préfère le magasin du contexte.
+  const urlStoreId = getArchiveStoreId(rawUrl);
+  const storeId = urlStoreId || (contextStoreId != null ? String(contextStoreId) : null);
+
+  const indexed = archive.entries.get(key) || [];
+  const entry =
+    indexed.find((candidate) => storeId && candidate.storeId === storeId) ||
+    indexed.find((candidate) => !candidate.storeId) ||
+    (!urlStoreId ? indexed[0] : undefined);
+  if (entry) {
+    return { entry, filePath: path.join(archive.dir, entry.file) };
+  }
+
+  const candidates = [
+    storeId ? buildArchiveFileName(rawUrl, storeId) : null,
+    buildArchiveFileName(rawUrl),
+  ].filter(Boolean);
+  for (const fileName of candidates) {
+    const filePath = path.join(archive.dir, fileName);
+    if (fs.existsSync(filePath)) {
+      return { entry: { key, url: rawUrl, storeId, file: fileName }, filePath };
+    }
+  }
+
+  return null;
+}
+
+export function archiveHasStore(archive, storeId) {
+  if (!storeId) return true;
+  if (archive.stores.has(String(storeId))) return true;
+  // Archive sans magasin (pages sauvegardées à la main): on accepte tout magasin.
+  return archive.stores.size === 0;
+}
+
+const fulfillNotFound = (route) =>
+  route
+    .fulfill({
+      status: 404,
+      contentType: "text/html; charset=utf-8",
+      body: "<!doctype html><html><body></body></html>",
+    })
+    .catch(() => {});
+
+export async function installReplayRoutes(context, archive, { storeId = null } = {}) {
+  await context.route("**/*", async (route) => {
+    const request = route.request();
+    if (request.resourceType() !== "document") {
+      await route.abort().catch(() => {});
+      return;
+    }
+
+    const url = request.url();
+    const hit = findArchivedPage(archive, url, { storeId });
+    if (!hit) {
+      console.warn(`[REPLAY] Page absente de l'archive: ${url}`);
+      await fulfillNotFound(route);
+      return;
+    }
+
+    let body;
+    try {
+      body = await fs.promises.readFile(hit.filePath);
+    } catch (error) {
+      // Fichier indexé mais supprimé/illisible: traité comme une page absente.
+      console.warn(`[REPLAY] Lecture impossible (${hit.filePath}) pour ${url}:`, error?.message || error);
+      await fulfillNotFound(route);
+      return;
+    }
+    await route.fulfill({
+      status: 200,
+      contentType: "text/html; charset=utf-8",
+      body,
+    }).catch(() => {});
+  });
+}
+
+export function createPageRecorder(dir) {
+  const indexPath = path.join(dir, ARCHIVE_INDEX_FILE);
+  const entries = new Map();
+
+  if (fs.existsSync(indexPath)) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+      for (const entry of Array.isArray(raw?.entries) ? raw.entries : []) {
+        if (entry?.file) entries.set(entry.file, entry);
+      }
+    } catch (error) {
+      console.warn(`[RECORD] index.json illisible (${indexPath}), nouvel index:`, error?.message || error);
+    }
+  }
+
+  // Plusieurs magasins enregistrent en parallèle: on sérialise les écritures de l'index.
+  let writeChain = Promise.resolve();
+
+  const writeIndex = async () => {
+    const payload = {
+      version: ARCHIVE_VERSION,
+      updatedAt: new Date().toISOString(),
+      entries: Array.from(entries.values()).sort((a, b) => a.file.localeCompare(b.file)),
+    };
+    await fs.promises.writeFile(indexPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+  };
+
+  async function capture(page, { url = null, storeId = null, kind = "page" } = {}) {
+    const targetUrl = url || page.url();
+    const key = buildArchiveKey(targetUrl);
+    if (!key) return null;
+    const normalizedStoreId = storeId != null && storeId !== "" ? String(storeId) : null;
+    const file = buildArchiveFileName(targetUrl, normalizedStoreId);
+
+    try {
+      const html = await page.content();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, file), html, "utf8");
+    } catch (error) {
+      console.warn(`[RECORD] Impossible d'enregistrer ${targetUrl}:`, error?.message || error);
+      return null;
+    }
+
+    const entry = {
+      key,
+      url: targetUrl,
+      storeId: normalizedStoreId,
+      page: getArchivePageNumber(targetUrl),
+      kind,
+      file,
+      recordedAt: new Date().toISOString(),
+    };
+    entries.set(file, entry);
+    writeChain = writeChain.then(writeIndex).catch((error) => {
+      console.warn(`[RECORD] Écriture de l'index impossible (${indexPath}):`, error?.message || error);
+    });
+    await writeChain;
+    return entry;
+  }
+
+  return {
+    dir,
+    capture,
+    harPathFor(storeId) {
+      const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+      return path.join(dir, "har", `${storeId || "store"}-${timestamp}.har`);
+    },
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Écart de prix entre magasins pour un même produit (à partir de buildNationalIndex).
+ */
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {{ products: any[] }} nationalIndex
+ * @param {{ minStores?: number }} [options]
+ */
+export function computePriceSpreads(nationalIndex, { minStores = 2 } = {}) {
+  const rows = [];
+
+  for (const product of nationalIndex.products || []) {
+    const priced = product.stores.filter((store) => store.price != null);
+    if (priced.length < minStores) continue;
+
+    // stores est déjà trié du moins cher au plus cher.
+    const cheapest = priced[0];
+    const priciest = priced[priced.length - 1];
+    const spread = round2(priciest.price - cheapest.price);
+    const stockValues = product.stores
+      .map((store) => store.stockQty)
+      .filter((qty) => Number.isFinite(qty));
+
+    rows.push({
+      productKey: product.productKey,
+      title: product.title,
+      brand: product.brand,
+      storeCount: priced.length,
+      cheapest: { storeId: cheapest.storeId, storeName: cheapest.storeName, price: cheapest.price },
+      mostExpensive: { storeId: priciest.storeId, storeName: priciest.storeName, price: priciest.price },
+      spread,
+      spreadPercent: priciest.price > 0 ? round2((spread / priciest.price) * 100) : null,
+      totalStock: stockValues.length ? stockValues.reduce((sum, qty) => sum + qty, 0) : null,
+      storesWithUnknownStock: product.stores.length - stockValues.length,
+    });
+  }
+
+  return rows.sort(
+    (a, b) => b.spread - a.spread || (b.spreadPercent ?? 0) - (a.spreadPercent ?? 0) || a.productKey.localeCompare(b.productKey)
+  );
+}
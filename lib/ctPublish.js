@@ -0,0 +1,176 @@
+/**
+ * Écritures sans état intermédiaire visible: fichier temporaire dans le même dossier
+ * puis rename (atomique sur un même système de fichiers). Un crash laisse au pire
+ * un *.tmp-* orphelin, jamais un data.json absent ou tronqué.
+ */
+import fs from "fs";
+import path from "path";
+import { RECORD_SCHEMA, loadSchema, validateRecords } from "./ctSchema.js";
+
+export const INVALID_DATA_FILE = "data.invalid.json";
+
+const tmpPathFor = (filePath) =>
+  `${filePath}.tmp-${process.pid}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+
+export const isTmpFile = (fileName) => /\.tmp-[\w-]+$/.test(fileName);
+
+export async function writeFileAtomic(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = tmpPathFor(filePath);
+  try {
+    const handle = await fs.promises.open(tmpPath, "w");
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+export async function writeJsonAtomic(filePath, value) {
+  await writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+export async function copyFileAtomic(srcPath, destPath) {
+  await writeFileAtomic(destPath, await fs.promises.readFile(srcPath));
+}
+
+/**
+ * Produit un fichier via un writer qui prend un chemin (ex: csv-writer), puis le met en place.
+ */
+export async function withAtomicPath(filePath, writeTo) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = tmpPathFor(filePath);
+  try {
+    await writeTo(tmpPath);
+    await fs.promises.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tmpPath, { force: true }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Copie fichier par fichier (chacun atomiquement) de srcDir vers destDir.
+ * filter(relPath, dirent) → false pour exclure un fichier ou un dossier.
+ */
+export async function publishDir(srcDir, destDir, { filter = () => true } = {}) {
+  const published = [];
+  const walk = async (rel) => {
+    const entries = await fs.promises.readdir(path.join(srcDir, rel), { withFileTypes: true });
+    for (const entry of entries) {
+      const relPath = path.join(rel, entry.name);
+      if (isTmpFile(entry.name) || !filter(relPath, entry)) continue;
+      if (entry.isDirectory()) {
+        await walk(relPath);
+      } else if (entry.isFile()) {
+        await copyFileAtomic(path.join(srcDir, relPath), path.join(destDir, relPath));
+        published.push(relPath);
+      }
+    }
+  };
+  await walk("");
+  return published;
+}
+
+/**
+ * Contrôles avant écriture: schéma versionné (schemas/store-record.v*.schema.json) et
+ * cohérence avec le magasin. Un enregistrement invalide bloque la publication du magasin
+ * (les fichiers précédents restent en place); failures liste les erreurs par enregistrement.
+ */
+export function validateStoreRecords(records, { storeId = null, schema = loadSchema(RECORD_SCHEMA) } = {}) {
+  if (!Array.isArray(records)) {
+    return { ok: false, errors: ["les résultats ne sont pas un tableau"], failures: [] };
+  }
+
+  const failures = new Map(validateRecords(records, schema).map((failure) => [failure.index, failure]));
+  const addError = (index, record, error) => {
+    const failure = failures.get(index) || { index, key: record?.product_key ?? record?.url ?? null, errors: [] };
+    failure.errors.push(error);
+    failures.set(index, failure);
+  };
+  records.forEach((record, index) => {
+    if (storeId != null && String(record?.store_id ?? "") !== String(storeId)) {
+      addError(index, record, `$.store_id: ${record?.store_id} ≠ magasin ${storeId}`);
+    }
+    if (record && !record.product_key && !record.url) {
+      addError(index, record, "$: ni product_key ni url");
+    }
+  });
+
+  const sorted = Array.from(failures.values()).sort((a, b) => a.index - b.index);
+  return {
+    ok: sorted.length === 0,
+    errors: sorted.flatMap((failure) => failure.errors.map((error) => `#${failure.index} (${failure.key ?? "?"}) ${error}`)),
+    failures: sorted,
+  };
+}
+
+export const QUARANTINE_FILE = "quarantine.json";
+export const DEFAULT_MAX_DROP_RATIO = 0.5;
+// En dessous, la variation relative n'est pas significative (petit magasin, fin de liquidation).
+export const MIN_GUARD_BASELINE = 10;
+// Idem par catégorie: 1 ou 2 deals écoulés ne vident pas une catégorie "suspecte".
+export const MIN_CATEGORY_BASELINE = 3;
+
+const countByCategory = (records) => {
+  const counts = new Map();
+  for (const record of records) {
+    if (!record?.category) continue;
+    counts.set(record.category, (counts.get(record.category) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Compare la nouvelle exécution au dernier instantané publié: chute du nombre de deals
+ * au-delà de maxDropRatio, magasin vide, ou catégories qui avaient des deals et n'en ont plus.
+ */
+export function checkPublishGuard(previousRecords, currentRecords, {
+  maxDropRatio = DEFAULT_MAX_DROP_RATIO,
+  minBaseline = MIN_GUARD_BASELINE,
+  minCategoryBaseline = MIN_CATEGORY_BASELINE,
+} = {}) {
+  const previousCount = Array.isArray(previousRecords) ? previousRecords.length : 0;
+  const currentCount = currentRecords.length;
+  const reasons = [];
+
+  const dropRatio = previousCount > 0 ? (previousCount - currentCount) / previousCount : 0;
+  if (previousCount > 0 && currentCount === 0) {
+    reasons.push(`aucun deal (précédent: ${previousCount})`);
+  } else if (previousCount >= minBaseline && dropRatio > maxDropRatio) {
+    reasons.push(
+      `baisse de ${Math.round(dropRatio * 100)}% du nombre de deals (${previousCount} → ${currentCount}, ` +
+        `max ${Math.round(maxDropRatio * 100)}%)`
+    );
+  }
+
+  const previousCategories = countByCategory(previousRecords || []);
+  const currentCategories = countByCategory(currentRecords);
+  const emptiedCategories = Array.from(previousCategories.entries())
+    .filter(([category, count]) => count >= minCategoryBaseline && !currentCategories.has(category))
+    .map(([category]) => category)
+    .sort();
+  // Une catégorie vidée dans un magasin vide est déjà couverte par la raison précédente.
+  if (emptiedCategories.length && currentCount > 0) {
+    reasons.push(`catégorie(s) sans deal: ${emptiedCategories.join(", ")}`);
+  }
+
+  return {
+    ok: reasons.length === 0,
+    reasons,
+    previousCount,
+    currentCount,
+    dropRatio: Math.round(dropRatio * 1000) / 1000,
+    emptiedCategories,
+    categories: {
+      previous: Object.fromEntries(previousCategories),
+      current: Object.fromEntries(currentCategories),
+    },
+  };
+}
@@ -0,0 +1,80 @@
+/**
+ * Format v2 (--format v2 → data.v2.json à côté du data.json historique):
+ * un seul champ par notion, montants en cents entiers, objets prices / identifiers /
+ * availability / enrichment, dates ISO. Contrat: schemas/store-record.v2.schema.json.
+ */
+
+export const RECORD_V2_SCHEMA_VERSION = 2;
+export const V2_DATA_FILE = "data.v2.json";
+export const OUTPUT_FORMATS = ["legacy", "v2"];
+
+const toCents = (value) => (Number.isFinite(value) ? Math.round(value * 100) : null);
+const orNull = (value) => (value === undefined || value === "" ? null : value);
+
+/**
+ * @param {Record<string, any>} record enregistrement historique (createRecordFromCard + enrichissement)
+ * @param {{ scrapedAt?: string, storeName?: string|null }} [options]
+ */
+export function toRecordV2(record, { scrapedAt = new Date().toISOString(), storeName = null } = {}) {
+  const salePrice = record.sale_price ?? record.liquidation_price ?? record.price ?? null;
+  const multiBuy = record.multi_buy_quantity
+    ? { quantity: record.multi_buy_quantity, totalCents: toCents(record.multi_buy_total) }
+    : null;
+
+  return {
+    schema_version: RECORD_V2_SCHEMA_VERSION,
+    storeId: orNull(record.store_id),
+    storeName: orNull(storeName ?? record.city),
+    category: orNull(record.category),
+    title: orNull(record.title ?? record.name),
+    url: orNull(record.url ?? record.link),
+    imageUrl: orNull(record.image_url ?? record.image),
+    liquidation: !!record.liquidation,
+    badges: Array.isArray(record.badges) ? record.badges : [],
+    identifiers: {
+      productKey: orNull(record.product_key ?? record.productKey),
+      productNumber: orNull(record.product_number ?? record.productNumber),
+      productNumberRaw: orNull(record.product_number_raw ?? record.productNumberRaw),
+      sku: orNull(record.sku),
+      skuFormatted: orNull(record.sku_formatted),
+      productId: orNull(record.product_id),
+    },
+    prices: {
+      currency: "CAD",
+      type: record.price_type ?? "single",
+      saleCents: toCents(salePrice),
+      regularCents: toCents(record.regular_price),
+      saleMinCents: toCents(record.sale_price_min),
+      saleMaxCents: toCents(record.sale_price_max),
+      regularMinCents: toCents(record.regular_price_min),
+      regularMaxCents: toCents(record.regular_price_max),
+      savingsCents: toCents(record.savings),
+      discountPercent: record.discount_percent ?? null,
+      discountPercentMax: record.discount_percent_max ?? null,
+      ambiguous: !!record.price_ambiguous,
+      ambiguity: orNull(record.price_ambiguity),
+      multiBuy,
+      raw: {
+        sale: orNull(record.sale_price_raw ?? record.liquidation_price_raw ?? record.price_raw),
+        regular: orNull(record.regular_price_raw),
+      },
+    },
+    availability: {
+      status: record.availability ?? "unknown",
+      stockQty: record.stockQty ?? null,
+      text: orNull(record.availability_text),
+      unitsPerDay: record.units_per_day ?? null,
+      sellOutAt: orNull(record.sell_out_date),
+      goingFast: !!record.going_fast,
+    },
+    enrichment: {
+      brand: orNull(record.brand),
+      modelNumber: orNull(record.model_number),
+      modelNumberNormalized: orNull(record.model_number_norm),
+      partNumber: orNull(record.part_number),
+      partNumberNormalized: orNull(record.part_number_norm),
+      upc: orNull(record.upc),
+    },
+    scrapedAt,
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Fonctions sur les enregistrements data.json sans dépendance à Playwright:
+ * utilisables par les index et scripts sans charger le scraper.
+ */
+import { parseMoney } from "./ctMoney.js";
+
+export const DEFAULT_SITE_BASE = "https://www.canadiantire.ca";
+
+export function normalizeProductUrlForDedup(rawUrl) {
+  if (!rawUrl) return null;
+  try {
+    const parsed = new URL(rawUrl, DEFAULT_SITE_BASE);
+    parsed.search = "";
+    parsed.hash = "";
+    return parsed.toString().toLowerCase();
+  } catch {
+    const str = String(rawUrl);
+    return str ? str.toLowerCase() : null;
+  }
+}
+
+export function buildStableDedupKey(record) {
+  const productKey = record.product_key || record.productKey;
+  if (productKey) {
+    return `product_key:${String(productKey).toLowerCase()}`;
+  }
+
+  const storeId = record.store_id ?? record.storeId ?? null;
+  const sku = record.sku ?? record.sku_formatted ?? null;
+  if (storeId && sku) {
+    return `store:${storeId}|sku:${String(sku).toLowerCase()}`;
+  }
+
+  const normalizedUrl = normalizeProductUrlForDedup(record.url || record.link);
+  if (storeId && normalizedUrl) {
+    return `store:${storeId}|url:${normalizedUrl}`;
+  }
+
+  return null;
+}
+
+export function extractPrice(text) {
+  const parsed = parseMoney(text);
+  return parsed ? parsed.value : null;
+}
+
+export function normalizeAvailabilityInfo(rawAvailability, stockQtyInput = null) {
+  const availabilityText = rawAvailability == null
+    ? null
+    : (typeof rawAvailability === "string" ? rawAvailability : String(rawAvailability)).trim();
+
+  const isEnumAvailability =
+    availabilityText && ["in_stock", "out_of_stock", "unknown"].includes(availabilityText);
+
+  let availability = isEnumAvailability ? availabilityText : "unknown";
+  let stockQty = Number.isFinite(stockQtyInput) ? Number(stockQtyInput) : null;
+
+  const normalizedText = availabilityText
+    ? availabilityText
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+    : "";
+
+  if (stockQty == null && availabilityText) {
+    const prefix = availabilityText.split("#")[0];
+    const prefixNumbers = Array.from(prefix.matchAll(/(\d+)/g))
+      .map((match) => Number(match[1]))
+      .filter((num) => Number.isFinite(num) && num < 10000);
+
+    if (prefixNumbers.length > 0) {
+      stockQty = prefixNumbers[0];
+    }
+  }
+
+  if (stockQty != null) {
+    availability = stockQty > 0 ? "in_stock" : "out_of_stock";
+  } else if (!isEnumAvailability && normalizedText) {
+    if (/(rupture|out of stock|epuise|sold out|indisponible|not available)/.test(normalizedText)) {
+      availability = "out_of_stock";
+    } else if (/(en stock|available|disponible|quantite|reste)/.test(normalizedText)) {
+      availability = "in_stock";
+    }
+  }
+
+  return {
+    availability,
+    stockQty,
+    availabilityText: availabilityText || null,
+  };
+}
+
+export function mapRecordToNationalIndex(record, storeMeta) {
+  const productKey = record.product_key || record.productKey;
+  if (!productKey) return null;
+
+  const availabilityInfo = normalizeAvailabilityInfo(
+    record.availability_text ?? record.availabilityText ?? record.availability ?? null,
+    record.stockQty ?? record.stock_qty ?? null,
+  );
+
+  const price = extractPrice(
+    record.liquidation_price ?? record.sale_price ?? record.price ?? null
+  );
+  const originalPrice = extractPrice(
+    record.regular_price ?? record.price_original ?? record.price ?? null
+  );
+
+  return {
+    productKey,
+    storeId: storeMeta.storeId ?? null,
+    storeSlug: storeMeta.storeSlug ?? null,
+    storeName: storeMeta.storeName ?? null,
+    price: Number.isFinite(price) ? Number(price) : null,
+    originalPrice: Number.isFinite(originalPrice) ? Number(originalPrice) : null,
+    discountPercent: record.discount_percent ?? null,
+    title: record.title ?? record.name ?? null,
+    productUrl: record.url ?? record.link ?? null,
+    stockQty: availabilityInfo.stockQty,
+    availability: availabilityInfo.availability,
+    availabilityText: availabilityInfo.availabilityText,
+    goingFast: !!record.going_fast,
+  };
+}
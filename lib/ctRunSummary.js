@@ -0,0 +1,107 @@
+/**
+ * Manifeste d'exécution (outputs/runs/<date>.json): issue et métriques de chaque magasin
+ * (pages, cartes, deals, couverture d'enrichissement, sorties), raison d'un arrêt anticipé
+ * (signal, budget de temps), totaux et commit du scraper. Suivi de santé sur plusieurs semaines.
+ */
+import fs from "fs";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+import { writeJsonAtomic } from "./ctPublish.js";
+
+export const RUN_MANIFEST_VERSION = 1;
+const REPO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const ENRICHMENT_FIELDS = ["modelNumber", "partNumber", "upc", "brand"];
+
+export const DEFAULT_RUNS_DIR = path.join("outputs", "runs");
+export const STORE_OUTCOMES = ["done", "partial", "quarantined", "error", "skipped"];
+
+const runStamp = (startedAt) => String(startedAt).replace(/[:.]/g, "-");
+
+export function runSummaryPath(runsDir, startedAt) {
+  return path.join(runsDir, `${runStamp(startedAt)}.json`);
+}
+
+// Magasins sans aucune tentative réussie, à côté du manifeste de la même exécution.
+export function runFailuresPath(runsDir, startedAt) {
+  return path.join(runsDir, `${runStamp(startedAt)}.failures.json`);
+}
+
+const ratio = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+export function summarizeOutcomes(stores) {
+  const counts = Object.fromEntries(STORE_OUTCOMES.map((outcome) => [outcome, 0]));
+  const totals = {
+    deals: 0,
+    durationMs: 0,
+    categoriesVisited: 0,
+    pagesVisited: 0,
+    cardsSeen: 0,
+    storeSelectionAttempts: 0,
+  };
+  const enrichment = Object.fromEntries(["total", ...ENRICHMENT_FIELDS].map((field) => [field, 0]));
+  for (const store of stores) {
+    counts[store.outcome] = (counts[store.outcome] || 0) + 1;
+    totals.deals += store.count || 0;
+    totals.durationMs += store.durationMs || 0;
+    const metrics = store.metrics;
+    if (!metrics) continue;
+    totals.categoriesVisited += metrics.categoriesVisited;
+    totals.pagesVisited += metrics.pagesVisited;
+    totals.cardsSeen += metrics.cardsSeen;
+    totals.storeSelectionAttempts += metrics.storeSelectionAttempts;
+    for (const field of Object.keys(enrichment)) enrichment[field] += metrics.enrichment?.[field] || 0;
+  }
+  const coverage = Object.fromEntries(
+    ENRICHMENT_FIELDS.map((field) => [field, ratio(enrichment[field], enrichment.total)])
+  );
+  return { stores: stores.length, ...counts, ...totals, enrichment: { ...enrichment, coverage } };
+}
+
+/**
+ * Commit du scraper: GITHUB_SHA en CI, sinon git rev-parse dans le dépôt du scraper.
+ */
+export function resolveScraperInfo() {
+  let commit = process.env.GITHUB_SHA || null;
+  if (!commit) {
+    try {
+      commit = execFileSync("git", ["rev-parse", "HEAD"], {
+        cwd: REPO_DIR,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+        timeout: 5000,
+      }).trim() || null;
+    } catch {
+      commit = null;
+    }
+  }
+  let version = null;
+  try {
+    version = JSON.parse(fs.readFileSync(path.join(REPO_DIR, "package.json"), "utf8")).version ?? null;
+  } catch {
+    // package.json absent (copie partielle du dépôt)
+  }
+  return { commit, version, node: process.version };
+}
+
+export async function writeRunSummary(runsDir, summary) {
+  const summaryPath = runSummaryPath(runsDir, summary.startedAt);
+  await writeJsonAtomic(summaryPath, summary);
+  return summaryPath;
+}
+
+/**
+ * Écrit <runsDir>/<date>.failures.json; rien quand tous les magasins ont abouti.
+ * Les fichiers des autres exécutions (processus parallèles en CI) ne sont jamais touchés.
+ */
+export async function writeFailuresFile(runsDir, failures, { runStartedAt }) {
+  if (!failures.length) return null;
+  const failuresPath = runFailuresPath(runsDir, runStartedAt);
+  await writeJsonAtomic(failuresPath, {
+    generatedAt: new Date().toISOString(),
+    runStartedAt,
+    count: failures.length,
+    failures,
+  });
+  return failuresPath;
+}
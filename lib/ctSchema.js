@@ -0,0 +1,129 @@
+/**
+ * Schémas versionnés des sorties (schemas/*.schema.json) et validateur minimal
+ * (sous-ensemble de JSON Schema 2020-12: type, const, enum, required, properties,
+ * additionalProperties, items, minimum/maximum, exclusiveMinimum, pattern, $ref local).
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SCHEMAS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "schemas");
+
+export const RECORD_SCHEMA_VERSION = 1;
+export const INDEX_SCHEMA_VERSION = 1;
+export const RECORD_SCHEMA = `store-record.v${RECORD_SCHEMA_VERSION}`;
+export const RECORD_V2_SCHEMA = "store-record.v2";
+export const INDEX_SCHEMA = `deals-index.v${INDEX_SCHEMA_VERSION}`;
+
+const schemaCache = new Map();
+
+export function loadSchema(name) {
+  if (!schemaCache.has(name)) {
+    const schemaPath = path.join(SCHEMAS_DIR, `${name}.schema.json`);
+    schemaCache.set(name, JSON.parse(fs.readFileSync(schemaPath, "utf8")));
+  }
+  return schemaCache.get(name);
+}
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+};
+
+const matchesType = (value, expected) => {
+  const actual = typeOf(value);
+  return actual === expected || (expected === "number" && actual === "integer");
+};
+
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith("#/")) throw new Error(`[SCHEMA] $ref non supportée: ${ref}`);
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, part) => node?.[part], root);
+};
+
+function validateNode(value, schema, root, at, errors) {
+  if (schema.$ref) {
+    validateNode(value, resolveRef(root, schema.$ref), root, at, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path: at, message: `type ${typeOf(value)} au lieu de ${types.join("|")}` });
+      return;
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push({ path: at, message: `valeur ${JSON.stringify(value)} ≠ ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `valeur ${JSON.stringify(value)} hors de [${schema.enum.map((v) => JSON.stringify(v)).join(", ")}]` });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ path: at, message: `${value} < minimum ${schema.minimum}` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ path: at, message: `${value} > maximum ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      errors.push({ path: at, message: `${value} <= ${schema.exclusiveMinimum}` });
+    }
+  }
+  if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+    errors.push({ path: at, message: `"${value}" ne respecte pas ${schema.pattern}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, root, `${at}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${at}.${key}`, message: "champ requis absent" });
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(child, properties[key], root, `${at}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}.${key}`, message: "champ non déclaré dans le schéma" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validateNode(child, schema.additionalProperties, root, `${at}.${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * @returns {{ path: string, message: string }[]}
+ */
+export function validateAgainstSchema(value, schema) {
+  const errors = [];
+  validateNode(value, schema, schema, "$", errors);
+  return errors;
+}
+
+/**
+ * Validation enregistrement par enregistrement: [{ index, key, errors }] pour les seuls invalides.
+ */
+export function validateRecords(records, schema = loadSchema(RECORD_SCHEMA)) {
+  const failures = [];
+  records.forEach((record, index) => {
+    const errors = validateAgainstSchema(record, schema);
+    if (errors.length) {
+      failures.push({
+        index,
+        key: record?.product_key ?? record?.identifiers?.productKey ?? record?.url ?? null,
+        errors: errors.map((error) => `${error.path}: ${error.message}`),
+      });
+    }
+  });
+  return failures;
+}
@@ -0,0 +1,2578 @@
+// @ts-check
+/**
+ * Scraper Canadian Tire - Liquidation (Playwright + enrichissement fiche produit)
+ * - Module sans effet de bord: createScraper(options) → { scrapeStore, scrapeCategory, run, stop }
+ * - Titres/prix robustes (aria-label/title/alt, data-*), scroll "lazy"
+ * - Sorties par magasin: outputs/canadiantire/<store>-<city-slug>/{data.json,data.csv}
+ * - Enregistrement (recordDir) et rejeu hors-ligne (replayDir), voir lib/ctPageArchive.js
+ * - Site cible configurable via baseUrl (ex: scripts/mock_ct_server.js)
+ */
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { chromium } from "playwright";
+import fsExtra from "fs-extra";
+import slugify from "slugify";
+import { createObjectCsvWriter } from "csv-writer";
+import {
+  buildCtKeysFromText,
+  makeCtProductKey,
+  normalizeCtProductNumber,
+} from "./ctProductKey.js";
+import {
+  extractModelDataFromPage,
+  normalizeCode,
+} from "./ctModelNumber.js";
+import {
+  archiveHasStore,
+  createPageRecorder,
+  installReplayRoutes,
+  loadPageArchive,
+} from "./ctPageArchive.js";
+import { formatCents, parsePriceOffer } from "./ctMoney.js";
+import {
+  DEFAULT_SITE_BASE,
+  buildStableDedupKey,
+  normalizeAvailabilityInfo,
+  normalizeProductUrlForDedup,
+} from "./ctRecords.js";
+import { DEFAULT_MIN_DISCOUNT, categorySlugFromUrl, createThresholds } from "./ctThresholds.js";
+import { CHANGES_FILE, PREVIOUS_DATA_FILE, diffDeals, readRecordsFile, writeChangesFile } from "./ctDiff.js";
+import { DEFAULT_HISTORY_DIR, appendStoreSnapshot, readStoreHistory } from "./ctHistory.js";
+import { annotateSellThrough } from "./ctSellThrough.js";
+import { RECORD_SCHEMA, RECORD_SCHEMA_VERSION, RECORD_V2_SCHEMA, loadSchema, validateRecords } from "./ctSchema.js";
+import { OUTPUT_FORMATS, V2_DATA_FILE, toRecordV2 } from "./ctRecordV2.js";
+import { STORE_CSV_FILE, STORE_DATA_FILE, STORE_STATUS_FILE } from "./ctOutputs.js";
+import {
+  RUN_MANIFEST_VERSION,
+  resolveScraperInfo,
+  summarizeOutcomes,
+  writeFailuresFile,
+  writeRunSummary,
+} from "./ctRunSummary.js";
+import { STORE_ERROR_CODES, StoreScrapeError, classifyStoreError, isRetryableStoreError } from "./ctErrors.js";
+import { PARTIAL_DIR, createCheckpoint, partialPathFor, readPartialFile } from "./ctCheckpoint.js";
+import {
+  DEFAULT_MAX_DROP_RATIO,
+  INVALID_DATA_FILE,
+  QUARANTINE_FILE,
+  checkPublishGuard,
+  copyFileAtomic,
+  publishDir,
+  validateStoreRecords,
+  withAtomicPath,
+  writeJsonAtomic,
+} from "./ctPublish.js";
+import pLimit from "p-limit";
+
+const buildCtKeysFromAvailability = (availabilityText) =>
+  buildCtKeysFromText(availabilityText);
+
+const LIQUIDATION_PATH = "/fr/promotions/liquidation.html";
+const DEFAULT_LIQUIDATION_URL = `${DEFAULT_SITE_BASE}${LIQUIDATION_PATH}`;
+
+export const DEFAULT_STORE_BUDGET_MINUTES = 45;
+// Marge réservée à l'écriture/publication avant l'échéance globale (--maxRuntimeMinutes).
+const RUNTIME_MARGIN_MS = 2 * 60 * 1000;
+// Après le budget magasin: fiches produit encore visitées pendant ENRICH_GRACE_MS,
+// puis abandon du magasin (sans publication) au-delà de HARD_TIMEOUT_GRACE_MS.
+const STORE_ENRICH_GRACE_MS = 5 * 60 * 1000;
+const STORE_HARD_TIMEOUT_GRACE_MS = 10 * 60 * 1000;
+const DEBUG_CAPTURE_TIMEOUT_MS = 15 * 1000;
+export const DEFAULT_MAX_STORE_ATTEMPTS = 3;
+export const DEFAULT_RETRY_BASE_DELAY_MS = 30 * 1000;
+// Après stop() ou l'échéance globale: délai laissé aux pages en cours avant fermeture des navigateurs.
+export const DEFAULT_STOP_DRAIN_MS = 15 * 1000;
+
+export function parseBooleanArg(value, defaultValue = false) {
+  if (value === undefined) return defaultValue;
+  if (typeof value === "boolean") return value;
+  if (typeof value === "number") return value !== 0;
+  if (typeof value === "string") {
+    const normalized = value.trim().toLowerCase();
+    if (["false","0","no","off"].includes(normalized)) return false;
+    if (["true","1","yes","on"].includes(normalized)) return true;
+  }
+  return defaultValue;
+}
+
+// === Helpers & Sélecteurs ===
+
+const SELECTORS = {
+  card: "li[data-testid='product-grids']",
+};
+
+const AUTO_SCROLL_DEFAULTS = {
+  productSelector: SELECTORS.card,
+  maxRounds: 25,
+  stableRoundsToStop: 3,
+  perRoundWaitMs: 800,
+  maxTotalMs: 20000,
+};
+
+const PAGINATION_NAV_SELECTOR = [
+  "nav[aria-label*='pagination' i]",
+  "nav[aria-label*='Pagination' i]",
+  "[data-testid='pagination']",
+  "[data-testid='pagination-container']",
+  "nav[role='navigation']:has([aria-current])",
+].join(", ");
+
+const SEL = {
+  card: "li[data-testid=\"product-grids\"]",
+  price: "span[data-testid=\"priceTotal\"], .nl-price--total, .price, .c-pricing__current",
+  paginationNav: PAGINATION_NAV_SELECTOR,
+  currentPage: `${PAGINATION_NAV_SELECTOR} [aria-current], ${PAGINATION_NAV_SELECTOR} [aria-current=\"page\"]`,
+};
+
+async function dismissMedalliaPopup(page) {
+  try {
+    const possibleCloseButtons = page.locator(
+      [
+        '#kampyleInviteContainer button',
+        '#MDigitalInvitationWrapper button',
+        'button[aria-label*="close" i]',
+        'button[aria-label*="fermer" i]',
+        'button[aria-label*="feedback" i]'
+      ].join(', ')
+    );
+
+    const count = await possibleCloseButtons.count();
+    for (let i = 0; i < count; i++) {
+      const btn = possibleCloseButtons.nth(i);
+      if (await btn.isVisible().catch(() => false)) {
+        console.log('🧹 Medallia: clic sur le bouton de fermeture');
+        await btn.click({ timeout: 2000 }).catch(() => {});
+        break;
+      }
+    }
+
+    await page.evaluate(() => {
+      const ids = ['MDigitalInvitationWrapper', 'kampyleInviteContainer', 'kampyleInvite'];
+      for (const id of ids) {
+        const el = document.getElementById(id);
+        if (el) {
+          console.log('🧹 Medallia: suppression/masquage de', id);
+          el.remove();
+        }
+      }
+
+      ids.forEach((id) => {
+        const el = document.getElementById(id);
+        if (el) {
+          el.style.setProperty('display', 'none', 'important');
+          el.style.setProperty('pointer-events', 'none', 'important');
+        }
+      });
+    });
+  } catch (e) {
+    console.warn('⚠️ Impossible de fermer le pop-up Medallia:', e);
+  }
+}
+
+async function waitProductsStable(page, timeout = 45000) {
+  try {
+    // On attend que les produits soient présents dans le DOM (moins strict que "visible")
+    await page.waitForSelector('li[data-testid="product-grids"]', {
+      state: 'attached',
+      timeout,
+    });
+
+    // Petit délai pour laisser le layout se stabiliser
+    await page.waitForTimeout(300);
+
+    return true;
+  } catch (err) {
+    console.warn(
+      `[waitProductsStable] Impossible de stabiliser les produits : ${err.message}`
+    );
+    return false;
+  }
+}
+
+function findProductNumberInText(value) {
+  if (!value) return null;
+  const str = String(value);
+  const formattedMatch = str.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
+  if (formattedMatch) return formattedMatch[0];
+  const digitsMatch = str.match(/\b(\d{8})\b/);
+  return digitsMatch ? digitsMatch[1] : null;
+}
+
+function extractCtProductNumberRaw(...candidates) {
+  for (const candidate of candidates) {
+    const found = findProductNumberInText(candidate);
+    if (found) return found;
+  }
+  return null;
+}
+
+function buildProductIdentifiers(card) {
+  const identifiers = [];
+
+  const productKey = card.product_key || makeCtProductKey(card.product_number);
+  if (productKey) identifiers.push(productKey);
+
+  if (card.product_id) identifiers.push(`id:${card.product_id}`);
+
+  if (card.link) {
+    const normalizedLink = card.link.split("?")[0].toLowerCase();
+    identifiers.push(`href:${normalizedLink}`);
+  }
+
+  return identifiers.filter(Boolean);
+}
+
+async function extractFromCard(card, { base = DEFAULT_SITE_BASE } = {}) {
+  const data = await card.evaluate((el, { base }) => {
+    const textFromEl = (node) => {
+      if (!node) return null;
+      const t = node.textContent;
+      return t ? t.trim() : null;
+    };
+
+    const titleEl = el.querySelector("[id^='title__promolisting-'], .nl-product-card__title");
+    const title = textFromEl(titleEl);
+
+    const imgEl = el.querySelector(".nl-product-card__image-wrap img");
+    let image = null;
+    if (imgEl) image = imgEl.getAttribute("src") || imgEl.getAttribute("data-src");
+    if (image && image.startsWith("//")) image = `https:${image}`;
+    if (image && image.startsWith("/")) image = base + image;
+
+    const availability = textFromEl(el.querySelector(".nl-product-card__availability-message"));
+
+    const badges = Array.from(el.querySelectorAll(".nl-plp-badges"))
+      .map((node) => textFromEl(node))
+      .filter(Boolean);
+
+    const primaryAnchor = el.querySelector("a.nl-product-card__no-button.prod-link");
+    let link = primaryAnchor ? primaryAnchor.getAttribute("href") : null;
+    const titleAnchor = titleEl ? titleEl.closest("a") : null;
+    if (!link && titleAnchor) link = titleAnchor.getAttribute("href");
+    if (!link) {
+      const any = el.querySelector("a[href*='/p/'], a[href*='/product/']");
+      if (any) link = any.getAttribute("href");
+    }
+    if (link && link.startsWith("/")) link = base + link;
+
+    const productId = el.getAttribute("data-product-id") || el.getAttribute("data-productid") || null;
+    const extractProductNumberRaw = (source) => {
+      if (!source) return null;
+      const str = String(source);
+      const formatted = str.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
+      if (formatted) return formatted[0];
+      const digits = str.match(/\b(\d{8})\b/);
+      return digits ? digits[1] : null;
+    };
+
+    let productNumberRaw = null;
+    let sku = null;
+    let skuFormatted = null;
+    if (primaryAnchor) {
+      const href = primaryAnchor.getAttribute("href") || "";
+      const ariaLabelledby = primaryAnchor.getAttribute("aria-labelledby") || "";
+      const skuMatch = href.match(/-([0-9]{7})p\.html/i);
+      const skuFormattedMatch = ariaLabelledby.match(/promolisting-([0-9-]+)/i);
+      if (skuMatch) sku = skuMatch[1];
+      if (skuFormattedMatch) skuFormatted = skuFormattedMatch[1];
+      productNumberRaw = extractProductNumberRaw(ariaLabelledby) || extractProductNumberRaw(href);
+    }
+    if (!productNumberRaw) {
+      productNumberRaw = extractProductNumberRaw(link) || extractProductNumberRaw(title);
+    }
+
+    return {
+      name: title || null,
+      image: image || null,
+      availability: availability || null,
+      badges,
+      link: link || null,
+      product_id: productId,
+      sku,
+      sku_formatted: skuFormatted,
+      product_number_raw: productNumberRaw,
+    };
+  }, { base });
+
+  return data;
+}
+
+async function scrapeListing(page, { skipGuards = false, base = DEFAULT_SITE_BASE } = {}) {
+  if (!skipGuards) {
+    await page.waitForSelector(SELECTORS.card, { timeout: 45000 });
+    await page.waitForSelector("span[data-testid='priceTotal'], .nl-price--total", { timeout: 45000 }).catch(() => {});
+  } else {
+    const hasCards = await page.locator(SELECTORS.card).count();
+    if (!hasCards) {
+      await page.waitForSelector(SELECTORS.card, { timeout: 45000 });
+    }
+  }
+
+  const cardsLocator = page.locator(SELECTORS.card);
+  try {
+    const items =
+      (await cardsLocator.evaluateAll((nodes, { base }) => {
+      const textFromEl = (node) => {
+        if (!node) return null;
+        const t = node.textContent;
+        return t ? t.trim() : null;
+      };
+
+      const extractSkuData = (anchor) => {
+        if (!anchor) return { sku: null, sku_formatted: null, product_number_raw: null };
+        const href = anchor.getAttribute("href") || "";
+        const ariaLabelledby = anchor.getAttribute("aria-labelledby") || "";
+        const skuMatch = href.match(/-([0-9]{7})p\.html/i);
+        const skuFormattedMatch = ariaLabelledby.match(/promolisting-([0-9-]+)/i);
+        const productFormattedMatch = ariaLabelledby.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
+        const productDigitsMatch = href.match(/\b(\d{8})\b/);
+        return {
+          sku: skuMatch ? skuMatch[1] : null,
+          sku_formatted: skuFormattedMatch ? skuFormattedMatch[1] : null,
+          product_number_raw: productFormattedMatch
+            ? productFormattedMatch[0]
+            : productDigitsMatch
+            ? productDigitsMatch[1]
+            : null,
+        };
+      };
+
+      const extractProductNumberRaw = (sources) => {
+        for (const source of sources) {
+          if (!source) continue;
+          const str = String(source);
+          const formatted = str.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
+          if (formatted) return formatted[0];
+          const digits = str.match(/\b(\d{8})\b/);
+          if (digits) return digits[1];
+        }
+        return null;
+      };
+
+      return nodes.map((el) => {
+        const titleEl = el.querySelector("[id^='title__promolisting-'], .nl-product-card__title");
+        const title = textFromEl(titleEl);
+
+        const priceSaleRaw = textFromEl(el.querySelector("span[data-testid='priceTotal'], .nl-price--total"));
+        const priceWasRaw = textFromEl(el.querySelector(".nl-price__was s, .nl-price__was, .nl-price--was, .nl-price__change s"));
+
+        const imgEl = el.querySelector(".nl-product-card__image-wrap img");
+        let image = null;
+        if (imgEl) image = imgEl.getAttribute("src") || imgEl.getAttribute("data-src");
+        if (image && image.startsWith("//")) image = `https:${image}`;
+        if (image && image.startsWith("/")) image = base + image;
+
+        const availability = textFromEl(el.querySelector(".nl-product-card__availability-message"));
+
+        const badges = Array.from(el.querySelectorAll(".nl-plp-badges"))
+          .map((node) => textFromEl(node))
+          .filter(Boolean);
+
+        const primaryAnchor = el.querySelector("a.nl-product-card__no-button.prod-link");
+        let link = primaryAnchor ? primaryAnchor.getAttribute("href") : null;
+        const titleAnchor = titleEl ? titleEl.closest("a") : null;
+        if (!link && titleAnchor) link = titleAnchor.getAttribute("href");
+        if (!link) {
+          const any = el.querySelector("a[href*='/p/'], a[href*='/product/']");
+          if (any) link = any.getAttribute("href");
+        }
+        if (link && link.startsWith("/")) link = base + link;
+
+        const productId = el.getAttribute("data-product-id") || el.getAttribute("data-productid") || null;
+        const { sku, sku_formatted, product_number_raw: anchorProductNumber } = extractSkuData(primaryAnchor);
+        const product_number_raw = extractProductNumberRaw([
+          anchorProductNumber,
+          sku_formatted,
+          sku,
+          link,
+          title,
+          primaryAnchor ? primaryAnchor.getAttribute("aria-labelledby") : null,
+        ]);
+
+        return {
+          name: title || null,
+          price_sale_raw: priceSaleRaw || null,
+          price_original_raw: priceWasRaw || null,
+          image: image || null,
+          availability: availability || null,
+          badges,
+          link: link || null,
+          product_id: productId,
+          sku,
+          sku_formatted,
+          product_number_raw,
+        };
+      });
+    }, { base })) || [];
+
+    // Le parsing des montants se fait côté Node (lib/ctMoney.js), pas dans la page.
+    // Fourchettes et achats multiples: price_sale/price_original = borne basse ou prix unitaire.
+    return items.map((item) => {
+      const saleOffer = parsePriceOffer(item.price_sale_raw);
+      const regularOffer = parsePriceOffer(item.price_original_raw);
+      return {
+        ...item,
+        price_sale: formatCents(saleOffer?.minCents),
+        price_original: formatCents(regularOffer?.minCents),
+        sale_offer: saleOffer,
+        regular_offer: regularOffer,
+      };
+    });
+  } catch (e) {
+    console.warn("scrapeListing evaluateAll error:", e?.message || e);
+    if (!skipGuards) {
+      await page.waitForSelector(SELECTORS.card, { timeout: 45000 }).catch(() => {});
+    }
+    const cards = page.locator(SELECTORS.card);
+    const n = await cards.count();
+    const tasks = [];
+    for (let i = 0; i < n; i++) {
+      const card = cards.nth(i);
+      tasks.push(
+        extractFromCard(card, { base }).catch((err) => {
+          console.warn("extractFromCard error:", err?.message || err);
+          return null;
+        })
+      );
+    }
+    const out = await Promise.all(tasks);
+    return out.filter(Boolean);
+  }
+}
+
+// ---------- UTILS ----------
+export function computeDiscountPercent(regularPrice, liquidationPrice) {
+  if (regularPrice == null || liquidationPrice == null) return null;
+  if (regularPrice <= 0 || liquidationPrice <= 0) return null;
+
+  const discount = ((regularPrice - liquidationPrice) / regularPrice) * 100;
+  return Number.isFinite(discount) ? discount : null;
+}
+
+const roundPercent = (value) => (value != null ? Math.round(value * 100) / 100 : null);
+const centsToValue = (cents) => (Number.isFinite(cents) ? cents / 100 : null);
+
+/**
+ * Prix comparables d'une carte: achat multiple ramené au prix unitaire,
+ * fourchettes appariées min/min et max/max. discountPercent est la borne basse
+ * (jamais de rabais "optimiste" qui passerait le filtre à tort).
+ */
+export function computeCardPricing(card) {
+  const saleOffer = card.sale_offer
+    ?? parsePriceOffer(card.price_sale_raw ?? card.price_sale ?? card.sale_price ?? null);
+  const regularOffer = card.regular_offer
+    ?? parsePriceOffer(card.price_original_raw ?? card.price_original ?? card.regular_price ?? null);
+
+  let ambiguity = null;
+  if (saleOffer?.kind === "range" || regularOffer?.kind === "range") {
+    ambiguity = "price_range";
+  } else if (regularOffer?.kind === "multi" && saleOffer?.kind !== "multi") {
+    ambiguity = "multi_buy_regular";
+  }
+
+  const discounts = saleOffer && regularOffer
+    ? [
+        computeDiscountPercent(centsToValue(regularOffer.minCents), centsToValue(saleOffer.minCents)),
+        computeDiscountPercent(centsToValue(regularOffer.maxCents), centsToValue(saleOffer.maxCents)),
+      ].filter((value) => value != null)
+    : [];
+  const savingsCents = saleOffer && regularOffer
+    ? Math.min(regularOffer.minCents - saleOffer.minCents, regularOffer.maxCents - saleOffer.maxCents)
+    : null;
+
+  let priceType = "single";
+  if (saleOffer?.kind === "multi" || regularOffer?.kind === "multi") priceType = "multi_buy";
+  else if (ambiguity === "price_range") priceType = "range";
+
+  return {
+    salePrice: centsToValue(saleOffer?.minCents),
+    salePriceMin: centsToValue(saleOffer?.minCents),
+    salePriceMax: centsToValue(saleOffer?.maxCents),
+    regularPrice: centsToValue(regularOffer?.minCents),
+    regularPriceMin: centsToValue(regularOffer?.minCents),
+    regularPriceMax: centsToValue(regularOffer?.maxCents),
+    discountPercent: discounts.length ? Math.min(...discounts) : null,
+    discountPercentMax: ambiguity && discounts.length ? Math.max(...discounts) : null,
+    savings: savingsCents != null && savingsCents > 0 ? centsToValue(savingsCents) : null,
+    priceType,
+    ambiguity,
+    multiBuy: saleOffer?.kind === "multi"
+      ? { quantity: saleOffer.quantity, total: centsToValue(saleOffer.totalCents) }
+      : null,
+  };
+}
+
+export function withPageParam(urlStr, pageNum) {
+  try {
+    const url = new URL(urlStr, DEFAULT_SITE_BASE);
+    url.searchParams.set("page", String(pageNum));
+    return url.toString();
+  } catch {
+    const sep = urlStr.includes("?") ? "&" : "?";
+    return `${urlStr}${sep}page=${pageNum}`;
+  }
+}
+
+export function dedupeDeals(records) {
+  const seen = new Set();
+  const deduped = [];
+
+  for (const record of records) {
+    const key = buildStableDedupKey(record);
+    if (!key) {
+      deduped.push(record);
+      continue;
+    }
+    if (seen.has(key)) continue;
+    seen.add(key);
+    deduped.push(record);
+  }
+
+  return deduped;
+}
+
+function buildDedupKeysFromRecord(record) {
+  const keys = [];
+  if (record.product_key) {
+    keys.push(`product_key:${String(record.product_key).toLowerCase()}`);
+  }
+
+  const productNumber = record.product_number ?? record.productNumber;
+  if (productNumber) {
+    keys.push(`product_number:${String(productNumber).toLowerCase()}`);
+  }
+
+  const sku = record.sku ?? record.sku_formatted;
+  if (sku) {
+    keys.push(`sku:${String(sku).toLowerCase()}`);
+  }
+
+  const normalizedUrl = normalizeProductUrlForDedup(record.url || record.link);
+  if (normalizedUrl) {
+    keys.push(`url:${normalizedUrl}`);
+  }
+
+  return keys;
+}
+
+export function resolveOutputPaths(storeId, storeName = "", outBase = null) {
+  const storeIdStr = storeId != null ? String(storeId) : "";
+  const normalizedStoreName = storeName != null ? String(storeName) : "";
+  let OUT_BASE = outBase;
+  if (!OUT_BASE) {
+    const citySlug = slugify(normalizedStoreName, { lower: true, strict: true });
+    OUT_BASE = path.join("outputs", "canadiantire", `${storeIdStr}-${citySlug}`);
+  }
+  const jsonPath = path.join(OUT_BASE, STORE_DATA_FILE);
+  const csvPath = path.join(OUT_BASE, STORE_CSV_FILE);
+  return { OUT_BASE, jsonPath, csvPath };
+}
+
+export function buildCategoryUrlForStore(categoryUrl, storeId, defaultUrl = DEFAULT_LIQUIDATION_URL) {
+  if (!categoryUrl) return defaultUrl;
+  try {
+    const url = new URL(categoryUrl, defaultUrl);
+    if (storeId) {
+      url.searchParams.set("store", storeId);
+    }
+    return url.toString();
+  } catch {
+    return categoryUrl;
+  }
+}
+
+export function createRecordFromCard(card, pageIsClearance, storeContext = { storeId: null, city: null }, {
+  includeRegularPrice = true,
+  includeLiquidationPrice = true,
+  minDiscount = DEFAULT_MIN_DISCOUNT,
+  minSavings = 0,
+} = {}) {
+  const priceSaleRaw = card.price_sale_raw ?? card.price_sale ?? null;
+  const priceWasRaw = card.price_original_raw ?? card.price_original ?? null;
+  const pricing = computeCardPricing(card);
+  const salePrice = pricing.salePrice;
+  const regularPrice = pricing.regularPrice;
+  const priceRaw = priceSaleRaw || priceWasRaw || null;
+  const price = salePrice ?? regularPrice ?? null;
+
+  const availabilityKeys = buildCtKeysFromAvailability(card.availability);
+  const productNumberRaw =
+    card.product_number_raw ??
+    extractCtProductNumberRaw(
+      card.product_number,
+      card.link,
+      card.name,
+      card.title
+    ) ??
+    availabilityKeys.productNumberRaw ??
+    card.productNumberRaw ??
+    null;
+  const productNumber =
+    normalizeCtProductNumber(productNumberRaw) ??
+    availabilityKeys.productNumber ??
+    normalizeCtProductNumber(card.product_number ?? card.productNumber ?? null);
+  const productKey =
+    card.product_key ||
+    card.productKey ||
+    makeCtProductKey(
+      productNumberRaw ??
+      availabilityKeys.productNumberRaw ??
+      card.product_number ??
+      card.productNumber ??
+      null
+    ) ||
+    availabilityKeys.productKey;
+
+  const discountPercent =
+    card.discount_percent != null
+      ? card.discount_percent
+      : pricing.discountPercent;
+
+  const meetsDiscountThreshold =
+    regularPrice != null &&
+    salePrice != null &&
+    regularPrice > 0 &&
+    salePrice > 0 &&
+    discountPercent >= minDiscount &&
+    (!(minSavings > 0) || (pricing.savings ?? 0) >= minSavings);
+
+  if (!meetsDiscountThreshold) return null;
+
+  const discount_percent = roundPercent(discountPercent);
+
+  const badges = Array.isArray(card.badges) ? card.badges : [];
+  const normalizedBadges = badges.map((b) => b.toLowerCase());
+  const hasLiquidationBadge = normalizedBadges.some((b) => /liquidation|clearance/.test(b));
+  const isLiquidation = hasLiquidationBadge ||
+    (pageIsClearance && salePrice != null && (regularPrice == null || salePrice <= regularPrice));
+
+  const availabilityInfo = normalizeAvailabilityInfo(
+    card.availability,
+    card.stockQty ?? card.stock_qty ?? null,
+  );
+
+  const rec = {
+    schema_version: RECORD_SCHEMA_VERSION,
+    store_id: storeContext.storeId || null,
+    city: storeContext.city || null,
+    category: storeContext.category || null,
+    name: card.name || null,
+    title: card.name || null,
+    price,
+    price_raw: priceRaw,
+    liquidation: !!isLiquidation,
+    image: card.image || null,
+    image_url: card.image || null,
+    url: card.link || null,
+    link: card.link || null,
+    product_id: card.product_id || null,
+    sku: card.sku || null,
+    sku_formatted: card.sku_formatted || null,
+    product_number_raw: productNumberRaw || null,
+    product_number: productNumber || null,
+    product_key: productKey || null,
+    productNumberRaw: productNumberRaw || null,
+    productNumber: productNumber || null,
+    productKey: productKey || null,
+    availability: availabilityInfo.availability,
+    availability_text: availabilityInfo.availabilityText,
+    stockQty: availabilityInfo.stockQty,
+    badges,
+    discount_percent,
+    savings: pricing.savings,
+    discount_percent_max: roundPercent(pricing.discountPercentMax),
+    price_type: pricing.priceType,
+    price_ambiguous: !!pricing.ambiguity,
+    price_ambiguity: pricing.ambiguity,
+    multi_buy_quantity: pricing.multiBuy?.quantity ?? null,
+    multi_buy_total: pricing.multiBuy?.total ?? null,
+    model_number: null,
+    model_number_norm: null,
+    part_number: null,
+    part_number_norm: null,
+    brand: null,
+    upc: null,
+  };
+
+  if (includeLiquidationPrice) {
+    rec.liquidation_price = salePrice ?? null;
+    rec.liquidation_price_raw = priceSaleRaw || null;
+    rec.sale_price = salePrice ?? null;
+    rec.sale_price_raw = priceSaleRaw || null;
+    rec.sale_price_min = pricing.salePriceMin;
+    rec.sale_price_max = pricing.salePriceMax;
+  }
+  if (includeRegularPrice) {
+    rec.regular_price = regularPrice ?? null;
+    rec.regular_price_raw = priceWasRaw || null;
+    rec.regular_price_min = pricing.regularPriceMin;
+    rec.regular_price_max = pricing.regularPriceMax;
+  }
+
+  rec.price_sale_clean = card.price_sale || null;
+  rec.price_original_clean = card.price_original || null;
+
+  return rec;
+}
+
+async function lazyWarmup(page) {
+  // scroll rapide pour déclencher lazy render des prix/images sans multiplier les pauses
+  await page.evaluate(async () => {
+    const viewport = window.innerHeight || 800;
+    const maxScroll = document.body.scrollHeight || viewport;
+    if (maxScroll <= viewport * 1.15) {
+      window.scrollTo(0, 0);
+      return;
+    }
+    const step = Math.max(260, Math.floor(viewport * 1.3));
+    const delay = 35;
+    for (let y = 0; y < maxScroll; y += step) {
+      window.scrollTo(0, y);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+    window.scrollTo(0, 0);
+  });
+  await page.waitForTimeout(40);
+  await Promise.race([
+    page.waitForSelector(
+      "[data-testid='sale-price'], [data-testid='regular-price'], span[data-testid='priceTotal'], .nl-price--total, .price, .price__value",
+      { timeout: 45000 }
+    ),
+    page.waitForTimeout(650),
+  ]).catch(()=>{});
+}
+
+async function enrichRecordsWithModelData(context, records, {
+  concurrency = 4,
+  recorder = null,
+  shouldStop = () => false,
+} = {}) {
+  if (!records.length) return records;
+
+  const cache = new Map();
+  const limit = pLimit(concurrency);
+  let skipped = 0;
+  await Promise.all(
+    records.map((record) => limit(async () => {
+      const url = record.url || record.link;
+      if (!url) return;
+      if (shouldStop()) {
+        skipped += 1;
+        return;
+      }
+      const cacheKey = normalizeProductUrlForDedup(url) || url;
+      const cached = cache.get(cacheKey);
+      if (cached) {
+        record.model_number = cached.model_number;
+        record.model_number_norm = cached.model_number_norm;
+        record.part_number = cached.part_number;
+        record.part_number_norm = cached.part_number_norm;
+        record.brand = cached.brand;
+        record.upc = cached.upc;
+        return;
+      }
+      const page = await context.newPage();
+      page.setDefaultNavigationTimeout(10000);
+      page.setDefaultTimeout(10000);
+      try {
+        await page.goto(url, { timeout: 10000, waitUntil: "domcontentloaded" });
+        await page.waitForLoadState("networkidle", { timeout: 4000 }).catch(() => {});
+        await dismissMedalliaPopup(page);
+        for (let i = 0; i < 6; i += 1) {
+          await page.mouse.wheel(0, 1200);
+          await page.waitForTimeout(300);
+        }
+        const modelData = await extractModelDataFromPage(page);
+        if (recorder) {
+          await recorder.capture(page, { url, storeId: record.store_id, kind: "pdp" });
+        }
+        if (modelData?.model_number) {
+          record.model_number = modelData.model_number;
+          record.model_number_norm = modelData.model_number_norm || normalizeCode(modelData.model_number);
+        }
+        if (modelData?.part_number) {
+          record.part_number = modelData.part_number;
+          record.part_number_norm =
+            modelData.part_number_norm || normalizeCode(modelData.part_number);
+        }
+        if (modelData?.brand) record.brand = modelData.brand;
+        if (modelData?.upc) record.upc = modelData.upc;
+        cache.set(cacheKey, {
+          model_number: record.model_number ?? null,
+          model_number_norm: record.model_number_norm ?? null,
+          part_number: record.part_number ?? null,
+          part_number_norm: record.part_number_norm ?? null,
+          brand: record.brand ?? null,
+          upc: record.upc ?? null,
+        });
+      } catch (error) {
+        console.warn(`[MODEL] Erreur sur ${url}:`, error?.message || error);
+      } finally {
+        await page.close().catch(() => {});
+      }
+    }))
+  );
+
+  if (skipped) {
+    console.log(`[MODEL] Arrêt anticipé: ${skipped} fiche(s) produit non visitée(s).`);
+  }
+  return records;
+}
+
+async function maybeCloseStoreModal(page) {
+  const selectors = [
+    "button[aria-label='Fermer']",
+    "button[aria-label='Close']",
+    "button:has-text('Plus tard')",
+    "button:has-text('Later')",
+    "button:has-text('Continuer')",
+    "button:has-text('Continue')",
+  ];
+  for (const sel of selectors) {
+    try {
+      const loc = page.locator(sel).first();
+      if (await loc.isVisible().catch(()=>false)) {
+        await loc.click().catch(()=>{});
+        await page.waitForTimeout(500);
+      }
+    } catch {}
+  }
+}
+
+async function fetchCategoryUrls({
+  baseUrl = DEFAULT_SITE_BASE,
+  headless = true,
+  replayArchive = null,
+  recorder = null,
+  closeBrowsersOnSignal = true,
+  activeSessions = null,
+} = {}) {
+  const liquidationUrl = `${baseUrl}${LIQUIDATION_PATH}`;
+  const browser = await chromium.launch({
+    headless,
+    args: ["--disable-dev-shm-usage"],
+    handleSIGINT: closeBrowsersOnSignal,
+    handleSIGTERM: closeBrowsersOnSignal,
+  });
+  const context = await browser.newContext({ locale: "fr-CA" });
+  const session = { browser, context };
+  activeSessions?.add(session);
+  context.setDefaultTimeout(0);
+  if (replayArchive) await installReplayRoutes(context, replayArchive);
+  const page = await context.newPage();
+  page.setDefaultNavigationTimeout(0);
+
+  await page.route("**/*medallia*", (route) => route.abort());
+  await page.route("**/resources.digital-cloud.medallia.ca/**", (route) => route.abort());
+
+  try {
+    await page.goto(liquidationUrl, { timeout: 120000, waitUntil: "domcontentloaded" });
+    await maybeCloseStoreModal(page);
+    if (recorder) {
+      await recorder.capture(page, { url: liquidationUrl, kind: "landing" });
+    }
+
+    const links = await page
+      .locator("a[href*='/fr/promotions/liquidation/']")
+      .evaluateAll((anchors, base) => {
+        const urls = anchors
+          .map((anchor) => anchor.getAttribute("href"))
+          .filter(Boolean)
+          .map((href) => {
+            try {
+              const u = new URL(href, base);
+              u.hash = "";
+              return u.toString();
+            } catch {
+              return null;
+            }
+          })
+          .filter(Boolean)
+          .filter((href) => href.includes("/fr/promotions/liquidation/"));
+
+        return Array.from(new Set(urls));
+      }, baseUrl);
+
+    console.log(`[SCRAPER] ${links.length} catégorie(s) détectée(s) sur la page de liquidation.`);
+    return links;
+  } catch (error) {
+    console.error("[SCRAPER] Impossible de récupérer les catégories de liquidation :", error);
+    return [];
+  } finally {
+    activeSessions?.delete(session);
+    await browser.close();
+  }
+}
+
+const STORE_SELECTORS = {
+  openButtons: [
+    "button:has-text('Sélectionner le magasin')",
+    "button:has-text('Choose Store')",
+    "a:has-text('Changer de magasin')",
+    "a:has-text('Change Store')",
+  ].join(", "),
+  confirmButtons: [
+    "button:has-text('Définir ce magasin')",
+    "button:has-text('Set as My Store')",
+  ].join(", "),
+  closeButtons: [
+    "button[aria-label*='fermer' i]",
+    "button[aria-label*='close' i]",
+    "button:has-text('Fermer')",
+    "button:has-text('Close')",
+  ].join(", "),
+  storeCards: "[data-store-id], [href*='store=']",
+};
+
+async function openStoreSelector(page) {
+  const openButton = page.locator(STORE_SELECTORS.openButtons).first();
+  if (await openButton.isVisible().catch(() => false)) {
+    await openButton.click({ timeout: 5000 }).catch(() => {});
+  }
+  await page.locator(STORE_SELECTORS.storeCards).first().waitFor({ state: "visible", timeout: 10000 }).catch(() => {});
+}
+
+async function closeStoreSelector(page) {
+  const closeButton = page.locator(STORE_SELECTORS.closeButtons).first();
+  if (await closeButton.isVisible().catch(() => false)) {
+    await closeButton.click({ timeout: 3000 }).catch(() => {});
+  }
+  await page.keyboard.press("Escape").catch(() => {});
+  await page.locator(STORE_SELECTORS.storeCards).first().waitFor({ state: "hidden", timeout: 5000 }).catch(() => {});
+}
+
+async function clickStoreCard(page, storeId) {
+  const byId = page.locator(`[data-store-id='${storeId}'], [href*='store=${storeId}']`).first();
+  if (await byId.isVisible().catch(() => false)) {
+    await byId.click().catch(() => {});
+    return true;
+  }
+  const byText = page.locator(`text=${storeId}`).first();
+  if (await byText.isVisible().catch(() => false)) {
+    await byText.click().catch(() => {});
+    return true;
+  }
+  return false;
+}
+
+async function waitForStoreApplied(page, storeId, storeName) {
+  const expectedStoreId = String(storeId);
+  const currentUrl = page.url();
+  try {
+    const parsed = new URL(currentUrl);
+    if (parsed.searchParams.get("store") === expectedStoreId) {
+      return true;
+    }
+  } catch {}
+
+  const checks = [];
+
+  checks.push(
+    page.waitForFunction(
+      (id) => {
+        try {
+          const url = new URL(window.location.href);
+          return url.searchParams.get("store") === id;
+        } catch {
+          return false;
+        }
+      },
+      expectedStoreId,
+      { timeout: 15000 }
+    )
+  );
+
+  checks.push(
+    page.waitForResponse(
+      (response) => {
+        const url = response.url();
+        if (url.includes(`store=${expectedStoreId}`) || url.includes(`storeId=${expectedStoreId}`)) {
+          return true;
+        }
+        const postData = response.request().postData();
+        return postData ? postData.includes(expectedStoreId) : false;
+      },
+      { timeout: 15000 }
+    )
+  );
+
+  if (storeName) {
+    const normalizedStoreName = String(storeName).trim();
+    if (normalizedStoreName) {
+      checks.push(
+        page.locator(`text=${normalizedStoreName}`).first().waitFor({ state: "visible", timeout: 15000 })
+      );
+    }
+  }
+
+  try {
+    await Promise.any(checks);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function getDetectedStoreText(page) {
+  const candidates = page.locator(
+    [
+      "[data-testid*='store']",
+      "[aria-label*='magasin' i]",
+      "[aria-label*='store' i]",
+      "button:has-text('Magasin')",
+      "button:has-text('Store')",
+    ].join(", ")
+  );
+  const count = await candidates.count();
+  for (let i = 0; i < Math.min(count, 3); i++) {
+    const text = await candidates.nth(i).textContent().catch(() => null);
+    if (text && text.trim()) return text.trim();
+  }
+  return null;
+}
+
+async function saveStoreDebugArtifacts(page, storeId, debugDir, kind = "store-selection") {
+  if (!debugDir) return;
+  await fsExtra.ensureDir(debugDir);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const baseName = `${kind}-${storeId}-${timestamp}`;
+  const screenshotPath = path.join(debugDir, `${baseName}.png`);
+  const htmlPath = path.join(debugDir, `${baseName}.html`);
+  const logPath = path.join(debugDir, `${baseName}.log`);
+
+  const detectedStore = await getDetectedStoreText(page);
+  const logPayload = [
+    `storeId=${storeId}`,
+    `url=${page.url()}`,
+    `detectedStore=${detectedStore || "n/a"}`,
+  ].join("\n");
+
+  await Promise.all([
+    page.screenshot({ path: screenshotPath, fullPage: true }).catch(() => {}),
+    page.content().then((content) => fsExtra.writeFile(htmlPath, content)).catch(() => {}),
+    fsExtra.writeFile(logPath, logPayload).catch(() => {}),
+  ]);
+}
+
+const createStoreMetrics = () => ({
+  categoriesVisited: 0,
+  categoriesCompleted: 0,
+  categoriesResumed: 0,
+  pagesVisited: 0,
+  cardsSeen: 0,
+  dealsAccepted: 0,
+  storeSelectionAttempts: 0,
+  enrichment: { total: 0, modelNumber: 0, partNumber: 0, upc: 0, brand: 0 },
+  outputs: {
+    outBase: null,
+    json: null,
+    csv: null,
+    v2: null,
+    status: null,
+    changes: null,
+    publicDir: null,
+    quarantine: null,
+    invalid: null,
+  },
+});
+
+// Fichiers de debug produits depuis sinceMs (tentative en cours), pour failures.json.
+async function listDebugArtifacts(debugDir, sinceMs) {
+  const entries = await fs.promises.readdir(debugDir, { withFileTypes: true }).catch(() => []);
+  const artifacts = [];
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    const filePath = path.join(debugDir, entry.name);
+    const stat = await fs.promises.stat(filePath).catch(() => null);
+    if (stat && stat.mtimeMs >= sinceMs) artifacts.push(filePath);
+  }
+  return artifacts.sort();
+}
+
+async function selectStore(page, { storeId, storeName, debugDir, replayArchive = null, metrics = null } = {}) {
+  const normalizedStoreId = storeId != null ? String(storeId) : "";
+  if (!normalizedStoreId) return false;
+
+  if (replayArchive) {
+    // Rejeu: le magasin est "appliqué" si l'archive contient des pages pour lui.
+    const replayed = archiveHasStore(replayArchive, normalizedStoreId);
+    console.log(
+      `[REPLAY] Sélection magasin ${normalizedStoreId} → ${replayed ? "OK" : "absent de l'archive"}`
+    );
+    return replayed;
+  }
+
+  const maxRetries = 2;
+  console.log(`Selecting store ${normalizedStoreId}...`);
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt += 1) {
+    if (metrics) metrics.storeSelectionAttempts += 1;
+    await openStoreSelector(page);
+    const clicked = await clickStoreCard(page, normalizedStoreId);
+    if (!clicked) {
+      console.warn(`[STORE] Impossible de cliquer le magasin ${normalizedStoreId} (tentative ${attempt}).`);
+    }
+
+    const confirmButton = page.locator(STORE_SELECTORS.confirmButtons).first();
+    if (await confirmButton.isVisible().catch(() => false)) {
+      await confirmButton.click({ timeout: 5000 }).catch(() => {});
+      await confirmButton.waitFor({ state: "hidden", timeout: 10000 }).catch(() => {});
+    }
+
+    const validated = await waitForStoreApplied(page, normalizedStoreId, storeName);
+    if (validated) {
+      console.log(`Validated store ${normalizedStoreId}`);
+      return true;
+    }
+
+    if (attempt <= maxRetries) {
+      console.warn(`Validation failed → retry ${attempt}/${maxRetries} ...`);
+      await closeStoreSelector(page);
+      await page.waitForLoadState("domcontentloaded", { timeout: 60000 }).catch(() => {});
+    }
+  }
+
+  console.error("Failed after retries → debug saved");
+  await saveStoreDebugArtifacts(page, normalizedStoreId, debugDir);
+  return false;
+}
+
+async function autoScrollLoadAllProducts(page, {
+  productSelector = 'a[href*="/pdp/"]',
+  maxRounds = 25,
+  stableRoundsToStop = 3,
+  perRoundWaitMs = 800,
+  maxTotalMs = 20000,
+} = {}) {
+  const start = Date.now();
+
+  let lastCount = await page.locator(productSelector).count();
+  let lastHeight = await page.evaluate(() => document.body.scrollHeight);
+  console.log(`[PAGINATION] Auto-scroll: démarrage avec ${lastCount} produits.`);
+
+  let stable = 0;
+
+  for (let round = 1; round <= maxRounds; round++) {
+    if (Date.now() - start > maxTotalMs) {
+      console.log(`[PAGINATION] Auto-scroll: timeout global atteint (${maxTotalMs}ms). Stop.`);
+      break;
+    }
+
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await page.waitForTimeout(perRoundWaitMs);
+
+    const count = await page.locator(productSelector).count();
+    const height = await page.evaluate(() => document.body.scrollHeight);
+
+    const countChanged = count !== lastCount;
+    const heightChanged = height !== lastHeight;
+
+    if (countChanged || heightChanged) {
+      console.log(`[PAGINATION] Round ${round}: produits ${lastCount}→${count}, height ${lastHeight}→${height}`);
+      lastCount = count;
+      lastHeight = height;
+      stable = 0;
+    } else {
+      stable++;
+      console.log(`[PAGINATION] Round ${round}: stable (${stable}/${stableRoundsToStop})`);
+      if (stable >= stableRoundsToStop) {
+        console.log(`[PAGINATION] Auto-scroll: stable, stop.`);
+        break;
+      }
+    }
+  }
+
+  await page.evaluate(() => window.scrollTo(0, 0));
+}
+
+async function scrapeCategoryAllPages(page, categoryUrlWithStore, storeId, {
+  extractPage,
+  autoScrollConfig,
+  storeName,
+  debugDir,
+  maxPages: maxPagesOption = 50,
+  replayArchive = null,
+  recorder = null,
+  shouldStop = () => false,
+  startPage = 1,
+  initialItems = [],
+  onPage = null,
+  metrics = null,
+} = {}) {
+  const items = [...initialItems];
+  const maxPages = Math.max(1, Number(maxPagesOption) || 50);
+  let previousSignature = null;
+  let storeInitialized = false;
+  const seen = new Set();
+  let zeroStreak = 0;
+  const ZERO_STREAK_LIMIT = 3;
+  // false si la pagination a été interrompue (limite de temps) avant la dernière page.
+  let complete = true;
+  let lastPage = startPage - 1;
+
+  const dedupKeyOf = (record) => {
+    const sku = record.sku ?? record.sku_formatted ?? null;
+    const url = normalizeProductUrlForDedup(record.url || record.link);
+    return sku ? `sku:${String(sku).toLowerCase()}` : url ? `url:${url}` : null;
+  };
+  for (const record of initialItems) {
+    const key = dedupKeyOf(record);
+    if (key) seen.add(key);
+  }
+
+  for (let pageNum = startPage; pageNum <= maxPages; pageNum++) {
+    if (shouldStop()) {
+      console.log(`[PAGINATION] Stop page ${pageNum}: limite de temps atteinte.`);
+      complete = false;
+      break;
+    }
+
+    try {
+      const pageUrl = withPageParam(categoryUrlWithStore, pageNum);
+      console.log("➡️  Go to:", pageUrl);
+
+      let retries = 3;
+      while (retries > 0) {
+        try {
+          await page.goto(pageUrl, { timeout: 120000, waitUntil: "domcontentloaded" });
+          break;
+        } catch (e) {
+          if (--retries === 0) {
+            throw new StoreScrapeError(
+              classifyStoreError(e) === STORE_ERROR_CODES.NAVIGATION_TIMEOUT
+                ? STORE_ERROR_CODES.NAVIGATION_TIMEOUT
+                : STORE_ERROR_CODES.NAVIGATION_FAILED,
+              `Chargement impossible de ${pageUrl}: ${String(e?.message || e).split("\n")[0]}`,
+              { storeId, cause: e }
+            );
+          }
+          console.log("Retrying page load...");
+          await page.waitForTimeout(3000);
+        }
+      }
+
+      await maybeCloseStoreModal(page);
+
+      if (!storeInitialized) {
+        const m = pageUrl.match(/[?&]store=(\d+)/);
+        const storeIdFromUrl = m ? m[1] : null;
+        if (storeIdFromUrl || storeId) {
+          const selectionOk = await selectStore(page, {
+            storeId: storeIdFromUrl || storeId,
+            storeName,
+            debugDir,
+            replayArchive,
+            metrics,
+          });
+          if (!selectionOk) {
+            throw new StoreScrapeError(
+              STORE_ERROR_CODES.STORE_SELECTION_FAILED,
+              `Store selection failed for ${storeIdFromUrl || storeId}`,
+              { storeId: storeIdFromUrl || storeId }
+            );
+          }
+          await page.goto(pageUrl, { timeout: 120000, waitUntil: "domcontentloaded" }).catch(() => {});
+        }
+        storeInitialized = true;
+      }
+
+      if (metrics) metrics.pagesVisited += 1;
+      const isStable = await waitProductsStable(page);
+      if (!isStable) {
+        if (recorder) {
+          await recorder.capture(page, { url: pageUrl, storeId, kind: "category" });
+        }
+        console.log(`[PAGINATION] Stop page ${pageNum}: page instable ou timeout.`);
+        // Page fermée par le délai de vidage: la catégorie n'est pas terminée.
+        if (shouldStop()) complete = false;
+        break;
+      }
+
+      await lazyWarmup(page);
+      await autoScrollLoadAllProducts(page, autoScrollConfig);
+      if (recorder) {
+        await recorder.capture(page, { url: pageUrl, storeId, kind: "category" });
+      }
+
+      const { records, totalProducts, productKeys } = await extractPage(pageNum);
+      console.log(`[PAGINATION] Page ${pageNum}: ${records.length} items extraits`);
+
+      items.push(...records);
+      lastPage = pageNum;
+      if (onPage) await onPage(pageNum, items);
+
+      let newlyAdded = 0;
+      for (const record of records) {
+        const key = dedupKeyOf(record);
+        if (!key) continue;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        newlyAdded += 1;
+      }
+
+      if (newlyAdded === 0) {
+        zeroStreak += 1;
+      } else {
+        zeroStreak = 0;
+      }
+
+      console.log(
+        `[PAGINATION] Page ${pageNum} stats: extracted=${records.length}, newlyAdded=${newlyAdded}, zeroStreak=${zeroStreak}, totalUnique=${seen.size}`
+      );
+
+      if (zeroStreak >= ZERO_STREAK_LIMIT) {
+        console.log(
+          `[PAGINATION] Stop page ${pageNum}: zeroStreak >= ${ZERO_STREAK_LIMIT} (aucun nouvel item).`
+        );
+        break;
+      }
+
+      let stopReason = null;
+      if (!totalProducts || totalProducts <= 0) {
+        stopReason = "aucun produit sur la page";
+      } else if (records.length === 0) {
+        stopReason = "0 item extrait";
+      } else {
+        const signature = Array.from(productKeys || [])
+          .map((k) => String(k).toLowerCase())
+          .sort()
+          .join("|");
+        if (previousSignature && signature && signature === previousSignature) {
+          stopReason = "contenu identique à la page précédente (signature produits)";
+        }
+        previousSignature = signature || previousSignature;
+
+        if (!stopReason && totalProducts < 50) {
+          stopReason = "< 50 produits détectés (dernière page probable)";
+        }
+      }
+
+      if (stopReason) {
+        console.log(`[PAGINATION] Stop page ${pageNum}: ${stopReason}`);
+        break;
+      }
+    } catch (error) {
+      // Arrêt demandé (stop(), délai de vidage écoulé): la page a pu être fermée en cours de route.
+      // Les pages déjà lues sont conservées et la catégorie reste à reprendre.
+      if (!shouldStop()) throw error;
+      console.log(
+        `[PAGINATION] Arrêt page ${pageNum}: ${String(error?.message || error).split("\n")[0]} ` +
+          `(${items.length} item(s) conservé(s)).`
+      );
+      complete = false;
+      break;
+    }
+  }
+
+  return { items, complete, lastPage };
+}
+
+// ---------- MAIN ----------
+const CSV_HEADER_BASE = [
+  { id: "store_id", title: "store_id" },
+  { id: "city", title: "city" },
+  { id: "name", title: "name" },
+  { id: "title", title: "title" },
+  { id: "price", title: "price" },
+  { id: "price_raw", title: "price_raw" },
+];
+
+const CSV_HEADER_REGULAR = [
+  { id: "regular_price", title: "regular_price" },
+  { id: "regular_price_raw", title: "regular_price_raw" },
+  { id: "regular_price_min", title: "regular_price_min" },
+  { id: "regular_price_max", title: "regular_price_max" },
+];
+
+const CSV_HEADER_LIQUIDATION = [
+  { id: "liquidation_price", title: "liquidation_price" },
+  { id: "liquidation_price_raw", title: "liquidation_price_raw" },
+  { id: "sale_price", title: "sale_price" },
+  { id: "sale_price_raw", title: "sale_price_raw" },
+  { id: "sale_price_min", title: "sale_price_min" },
+  { id: "sale_price_max", title: "sale_price_max" },
+];
+
+const CSV_HEADER_TAIL = [
+  { id: "liquidation", title: "liquidation" },
+  { id: "url", title: "url" },
+  { id: "link", title: "link" },
+  { id: "image", title: "image" },
+  { id: "image_url", title: "image_url" },
+  { id: "product_id", title: "product_id" },
+  { id: "product_number_raw", title: "product_number_raw" },
+  { id: "product_number", title: "product_number" },
+  { id: "product_key", title: "product_key" },
+  { id: "sku", title: "sku" },
+  { id: "sku_formatted", title: "sku_formatted" },
+  { id: "model_number", title: "model_number" },
+  { id: "model_number_norm", title: "model_number_norm" },
+  { id: "part_number", title: "part_number" },
+  { id: "part_number_norm", title: "part_number_norm" },
+  { id: "brand", title: "brand" },
+  { id: "upc", title: "upc" },
+  { id: "availability", title: "availability" },
+  { id: "availability_text", title: "availability_text" },
+  { id: "stockQty", title: "stockQty" },
+  { id: "badges", title: "badges" },
+  { id: "discount_percent", title: "discount_percent" },
+  { id: "savings", title: "savings" },
+  { id: "category", title: "category" },
+  { id: "units_per_day", title: "units_per_day" },
+  { id: "sell_out_date", title: "sell_out_date" },
+  { id: "going_fast", title: "going_fast" },
+  { id: "discount_percent_max", title: "discount_percent_max" },
+  { id: "price_type", title: "price_type" },
+  { id: "price_ambiguous", title: "price_ambiguous" },
+  { id: "price_ambiguity", title: "price_ambiguity" },
+  { id: "multi_buy_quantity", title: "multi_buy_quantity" },
+  { id: "multi_buy_total", title: "multi_buy_total" },
+  { id: "price_sale_clean", title: "price_sale_clean" },
+  { id: "price_original_clean", title: "price_original_clean" },
+];
+
+export function normalizeStore(store) {
+  return {
+    storeId: store?.storeId != null ? String(store.storeId) : store?.id != null ? String(store.id) : null,
+    storeName: store?.storeName ?? store?.city ?? store?.name ?? "",
+  };
+}
+
+/**
+ * Crée une instance de scraper sans effet de bord au chargement du module.
+ * Événements: "store:start", "category:page", "record" (dès l'extraction de la page,
+ * avant enrichissement fiche produit), "store:done", "store:quarantine" (publication retenue), "store:error".
+ * Hooks optionnels: onRecord(record, meta) et onEvent(type, payload).
+ * run(stores) renvoie le manifeste d'exécution (lib/ctRunSummary.js); stop(reason) arrête proprement.
+ */
+export function createScraper(options = {}) {
+  const {
+    baseUrl: baseUrlOption = DEFAULT_SITE_BASE,
+    headless = true,
+    includeRegularPrice = true,
+    includeLiquidationPrice = true,
+    maxPages = 120,
+    outBase = null,
+    publicRoot = path.join(process.cwd(), "public", "canadiantire"),
+    concurrency = 25,
+    modelConcurrency = 4,
+    autoScroll = {},
+    replayDir = null,
+    recordDir = null,
+    recordHar = false,
+    onRecord = null,
+    onEvent = null,
+    minDiscount = null,
+    minSavings = null,
+    thresholdsConfig = null,
+    historyDir = DEFAULT_HISTORY_DIR,
+    publishGuard = true,
+    maxDropRatio = DEFAULT_MAX_DROP_RATIO,
+    // Magasins dont la sortie est acceptée malgré le garde-fou (chute vérifiée à la main): lève la quarantaine.
+    acceptStores = [],
+    format = "legacy",
+    checkpointPath = null,
+    resume = false,
+    maxRuntimeMinutes = null,
+    storeBudgetMinutes = DEFAULT_STORE_BUDGET_MINUTES,
+    // false quand l'appelant gère SIGINT/SIGTERM (stop()): Playwright ne ferme plus les navigateurs
+    // de lui-même et chaque magasin en cours peut écrire sa sortie partielle.
+    closeBrowsersOnSignal = true,
+    runsDir = null,
+    // Relance en fin d'exécution des magasins en échec: délai retryBaseDelayMs × 2^(tentative - 2).
+    maxStoreAttempts = DEFAULT_MAX_STORE_ATTEMPTS,
+    retryBaseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+    stopDrainMs = DEFAULT_STOP_DRAIN_MS,
+  } = options;
+
+  const baseUrl = String(baseUrlOption || DEFAULT_SITE_BASE).replace(/\/+$/, "");
+  const liquidationUrl = `${baseUrl}${LIQUIDATION_PATH}`;
+  const recordOptions = { includeRegularPrice, includeLiquidationPrice };
+  const thresholds = createThresholds({ minDiscount, minSavings, config: thresholdsConfig });
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`[SCRAPER] format inconnu: ${format} (attendu: ${OUTPUT_FORMATS.join(", ")})`);
+  }
+  const maxRuntimeMs = maxRuntimeMinutes != null ? Number(maxRuntimeMinutes) * 60 * 1000 : null;
+  if (maxRuntimeMs != null && !(maxRuntimeMs > 0)) {
+    throw new Error(`[SCRAPER] maxRuntimeMinutes invalide: ${maxRuntimeMinutes}`);
+  }
+  const storeBudgetMs = Number(storeBudgetMinutes) * 60 * 1000;
+  if (!(storeBudgetMs > 0)) {
+    throw new Error(`[SCRAPER] storeBudgetMinutes invalide: ${storeBudgetMinutes}`);
+  }
+  // L'échéance court depuis la création du scraper (≈ début du job CI).
+  const runDeadline = maxRuntimeMs != null
+    ? Date.now() + maxRuntimeMs - Math.min(RUNTIME_MARGIN_MS, maxRuntimeMs / 10)
+    : null;
+  if (!Number.isInteger(maxStoreAttempts) || maxStoreAttempts < 1) {
+    throw new Error(`[SCRAPER] maxStoreAttempts invalide: ${maxStoreAttempts} (entier >= 1 attendu)`);
+  }
+  if (!Number.isFinite(stopDrainMs) || stopDrainMs < 0) {
+    throw new Error(`[SCRAPER] stopDrainMs invalide: ${stopDrainMs}`);
+  }
+  if (!Number.isFinite(maxDropRatio) || maxDropRatio < 0 || maxDropRatio > 1) {
+    throw new Error(`[PUBLISH] maxDropRatio invalide: ${maxDropRatio} (attendu entre 0 et 1)`);
+  }
+  const acceptedStoreIds = new Set(acceptStores.map((id) => String(id)));
+  const autoScrollConfig = {
+    productSelector: SELECTORS.card,
+    maxRounds: Number(autoScroll.maxRounds) || AUTO_SCROLL_DEFAULTS.maxRounds,
+    stableRoundsToStop: Number(autoScroll.stableRoundsToStop) || AUTO_SCROLL_DEFAULTS.stableRoundsToStop,
+    perRoundWaitMs: Number(autoScroll.perRoundWaitMs) || AUTO_SCROLL_DEFAULTS.perRoundWaitMs,
+    maxTotalMs: Number(autoScroll.maxTotalMs) || AUTO_SCROLL_DEFAULTS.maxTotalMs,
+  };
+
+  let replayArchive = null;
+  if (replayDir) {
+    if (!fs.existsSync(replayDir)) {
+      throw new Error(`[REPLAY] Dossier --replayDir introuvable: ${replayDir}`);
+    }
+    replayArchive = loadPageArchive(replayDir);
+    console.log(
+      `[REPLAY] Mode hors-ligne: ${replayArchive.entries.size} page(s) indexée(s) depuis ${replayDir}`
+    );
+  }
+
+  const recorder = recordDir ? createPageRecorder(recordDir) : null;
+  if (recorder) {
+    console.log(`[RECORD] Pages visitées enregistrées dans ${recordDir}${recordHar ? " (+ HAR)" : ""}`);
+  }
+
+  const emitter = new EventEmitter();
+  const stats = {
+    modelCount: 0,
+    partCount: 0,
+    upcCount: 0,
+    brandCount: 0,
+  };
+  let stopRequested = false;
+  // "max_runtime" (budget global écoulé), "stop_requested" ou le motif passé à stop().
+  let stopReason = null;
+  let drainTimeoutId = null;
+  // Navigateurs ouverts par openSession, fermés de force quand le délai de vidage expire.
+  const activeSessions = new Set();
+  // Métriques de la dernière tentative par magasin (createStoreMetrics), pour le manifeste de run().
+  const storeMetrics = new Map();
+  // Dernière erreur classée par magasin (scrapeStore renvoie null): { code, message, debugArtifacts }.
+  const storeErrors = new Map();
+  // Point de reprise de run() en cours (null pour scrapeStore/scrapeCategory appelés seuls).
+  let activeCheckpoint = null;
+  let cachedCategoryUrls = null;
+  let categoryFetchPromise = null;
+
+  // Un listener ou un hook défaillant ne doit jamais interrompre le scraping.
+  const callSafely = (label, fn) => {
+    try {
+      const result = fn();
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => console.warn(`[EVENTS] ${label} a échoué:`, error?.message || error));
+      }
+    } catch (error) {
+      console.warn(`[EVENTS] ${label} a échoué:`, error?.message || error);
+    }
+  };
+
+  function emitEvent(type, payload) {
+    callSafely(`listener ${type}`, () => emitter.emit(type, payload));
+    if (onEvent) callSafely(`onEvent(${type})`, () => onEvent(type, payload));
+  }
+
+  function emitRecord(record, meta) {
+    callSafely("listener record", () => emitter.emit("record", record, meta));
+    if (onRecord) callSafely("onRecord", () => onRecord(record, meta));
+    if (onEvent) callSafely("onEvent(record)", () => onEvent("record", { ...meta, record }));
+  }
+
+  // Les pages d'une même catégorie se recoupent: on n'émet chaque produit qu'une fois par magasin.
+  function createRecordEmitter() {
+    const emittedKeys = new Set();
+    return (record, meta) => {
+      const key = buildStableDedupKey(record);
+      if (key && emittedKeys.has(key)) return;
+      if (key) emittedKeys.add(key);
+      emitRecord(record, meta);
+    };
+  }
+
+  // Plus de nouveau travail; les pages en cours ont stopDrainMs pour finir, puis les contextes sont
+  // fermés et chaque magasin écrit sa sortie partielle avec les deals déjà collectés.
+  function requestStop(reason) {
+    if (stopRequested) return;
+    stopRequested = true;
+    stopReason = reason;
+    drainTimeoutId = setTimeout(() => {
+      if (!activeSessions.size) return;
+      console.log(
+        `[SCRAPER] Délai de vidage (${Math.round(stopDrainMs / 1000)} s) écoulé: ` +
+          `fermeture de ${activeSessions.size} navigateur(s) en cours.`
+      );
+      for (const session of activeSessions) {
+        session.context?.close().catch(() => {});
+      }
+    }, stopDrainMs);
+    drainTimeoutId.unref?.();
+  }
+
+  function hasReachedTimeLimit() {
+    if (stopRequested) return true;
+
+    if (runDeadline != null && Date.now() >= runDeadline) {
+      requestStop("max_runtime");
+      console.log(
+        `[SCRAPER] Budget de ${maxRuntimeMinutes} min presque écoulé: aucun nouveau travail lancé, ` +
+          "écriture des résultats partiels."
+      );
+    }
+    return stopRequested;
+  }
+
+  async function getCategoryUrls() {
+    if (cachedCategoryUrls) return cachedCategoryUrls;
+
+    if (!categoryFetchPromise) {
+      categoryFetchPromise = fetchCategoryUrls({
+        baseUrl,
+        headless,
+        replayArchive,
+        recorder,
+        closeBrowsersOnSignal,
+        activeSessions,
+      }).catch((error) => {
+        console.error("[SCRAPER] Échec lors de la récupération des catégories :", error);
+        return [];
+      });
+    }
+
+    cachedCategoryUrls = await categoryFetchPromise;
+    return cachedCategoryUrls;
+  }
+
+  async function openSession(storeId) {
+    const browser = await chromium.launch({
+      headless,
+      args: ["--disable-dev-shm-usage"],
+      handleSIGINT: closeBrowsersOnSignal,
+      handleSIGTERM: closeBrowsersOnSignal,
+    });
+    try {
+      const contextOptions = { locale: "fr-CA" };
+      if (recordHar && recorder) {
+        const harPath = recorder.harPathFor(storeId);
+        await fsExtra.ensureDir(path.dirname(harPath));
+        contextOptions.recordHar = { path: harPath };
+      }
+      const context = await browser.newContext(contextOptions);
+      context.setDefaultTimeout(0);
+      if (replayArchive) await installReplayRoutes(context, replayArchive, { storeId });
+      const page = await context.newPage();
+      page.setDefaultNavigationTimeout(0);
+
+      await page.route("**/*medallia*", (route) => route.abort());
+      await page.route("**/resources.digital-cloud.medallia.ca/**", (route) => route.abort());
+      const session = { browser, context, page };
+      activeSessions.add(session);
+      return session;
+    } catch (error) {
+      await browser.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  async function closeSession(session) {
+    if (!session) return;
+    activeSessions.delete(session);
+    await session.context?.close().catch(() => {});
+    await session.browser?.close().catch(() => {});
+  }
+
+  async function scrapeCategoryDeals(page, categoryUrl, storeContext, {
+    storeName,
+    debugDir,
+    emitPageRecord = createRecordEmitter(),
+    resumeFrom = null,
+    onPage = null,
+    shouldStop = hasReachedTimeLimit,
+    metrics = null,
+  } = {}) {
+    const storeId = storeContext.storeId;
+    const storeCategoryUrl = buildCategoryUrlForStore(categoryUrl, storeId, liquidationUrl);
+    const category = categorySlugFromUrl(storeCategoryUrl);
+    const categoryContext = { ...storeContext, category };
+    // Cartes produit vues (avant seuils): 0 sur tout un magasin = page cassée ou magasin non appliqué.
+    let cardsCount = resumeFrom?.records?.length ?? 0;
+    // Produits en liquidation vus, sous les seuils compris: l'historique suit chaque palier (30 → 50 → 70 %).
+    const observed = new Map();
+    const observe = (record) => {
+      observed.set(buildStableDedupKey(record) ?? `#${observed.size}`, record);
+    };
+    (resumeFrom?.observed ?? []).forEach(observe);
+
+    const extractProductsOnPage = async (skipGuards, pageNum) => {
+      const cards = await scrapeListing(page, { skipGuards, base: baseUrl });
+      cardsCount += cards.length;
+      if (metrics) metrics.cardsSeen += cards.length;
+      const pageIsClearance = /\/liquidation\.html/i.test(await page.url());
+      const productKeysSet = new Set();
+      const records = [];
+
+      for (const card of cards) {
+        const availabilityKeys = buildCtKeysFromAvailability(card.availability);
+        const productNumberRaw =
+          card.product_number_raw ??
+          extractCtProductNumberRaw(card.link, card.name, card.title) ??
+          availabilityKeys.productNumberRaw ??
+          null;
+        const normalizedProductNumber =
+          normalizeCtProductNumber(productNumberRaw) ??
+          availabilityKeys.productNumber ??
+          normalizeCtProductNumber(card.product_number ?? card.productNumber ?? null);
+        const productKey =
+          card.product_key ||
+          card.productKey ||
+          makeCtProductKey(productNumberRaw ?? availabilityKeys.productNumberRaw ?? null) ||
+          availabilityKeys.productKey;
+
+        if (productNumberRaw) card.product_number_raw = productNumberRaw;
+        if (normalizedProductNumber) card.product_number = normalizedProductNumber;
+        if (productKey) card.product_key = productKey;
+
+        buildProductIdentifiers(card).forEach((key) => productKeysSet.add(key));
+
+        // Borne basse pour les fourchettes, prix unitaire pour les achats multiples.
+        const pricing = computeCardPricing(card);
+        const discountPercent = pricing.discountPercent;
+        const record = createRecordFromCard(
+          { ...card, discount_percent: discountPercent },
+          pageIsClearance,
+          categoryContext,
+          { ...recordOptions, minDiscount: 0, minSavings: 0 }
+        );
+        if (!record) continue;
+        if (record.liquidation) observe(record);
+
+        if (
+          !thresholds.accepts({
+            category,
+            regularPrice: pricing.regularPrice,
+            discountPercent,
+            savings: pricing.savings,
+          })
+        ) {
+          continue;
+        }
+        if (record.title || record.price != null || record.image) {
+          records.push(record);
+        }
+      }
+
+      const meta = { storeId, categoryUrl: storeCategoryUrl, page: pageNum };
+      emitEvent("category:page", { ...meta, extracted: cards.length, accepted: records.length });
+      records.forEach((record) => emitPageRecord(record, meta));
+
+      return { records, totalProducts: cards.length, productKeys: productKeysSet, accepted: records.length };
+    };
+
+    // Reprise: catégorie terminée → deals sauvegardés tels quels, sinon page suivante.
+    const { items: itemsAllPages, complete, lastPage } = resumeFrom?.complete
+      ? { items: resumeFrom.records, complete: true, lastPage: resumeFrom.lastPage }
+      : await scrapeCategoryAllPages(page, storeCategoryUrl, storeId, {
+          extractPage: (pageNum) => extractProductsOnPage(true, pageNum),
+          autoScrollConfig,
+          storeName,
+          debugDir,
+          maxPages,
+          replayArchive,
+          recorder,
+          shouldStop,
+          startPage: resumeFrom ? resumeFrom.lastPage + 1 : 1,
+          initialItems: resumeFrom?.records ?? [],
+          onPage: onPage ? (pageNum, items) => onPage(pageNum, items, Array.from(observed.values())) : null,
+          metrics,
+        });
+
+    // Seuils déjà appliqués carte par carte (catégorie et bande de prix connues à ce moment-là).
+    const deals = dedupeDeals(itemsAllPages.filter((x) => x.discount_percent != null));
+
+    return {
+      deals,
+      observed: Array.from(observed.values()),
+      itemsCount: itemsAllPages.length,
+      cardsCount,
+      storeCategoryUrl,
+      complete,
+      lastPage,
+    };
+  }
+
+  async function scrapeCategory(categoryUrl, store) {
+    const { storeId, storeName } = normalizeStore(store);
+    const { OUT_BASE } = resolveOutputPaths(storeId ?? "", storeName, outBase);
+    const storeContext = { storeId, city: storeName || null };
+    const session = await openSession(storeId);
+    try {
+      const { deals } = await scrapeCategoryDeals(session.page, categoryUrl, storeContext, {
+        storeName,
+        debugDir: path.join(OUT_BASE, "debug"),
+      });
+      return deals;
+    } finally {
+      await closeSession(session);
+    }
+  }
+
+  // data.json, data.csv, data.v2.json (format v2) et status.json d'un magasin, chacun par rename.
+  async function writeStoreFiles(dir, results, v2Records, status) {
+    const outputs = {
+      json: path.join(dir, STORE_DATA_FILE),
+      csv: path.join(dir, STORE_CSV_FILE),
+      v2: v2Records ? path.join(dir, V2_DATA_FILE) : null,
+      status: path.join(dir, STORE_STATUS_FILE),
+    };
+    await writeJsonAtomic(outputs.json, results);
+    console.log(`💾  JSON → ${outputs.json}`);
+
+    await withAtomicPath(outputs.csv, (tmpPath) =>
+      createObjectCsvWriter({
+        path: tmpPath,
+        header: [
+          ...CSV_HEADER_BASE,
+          ...(includeRegularPrice ? CSV_HEADER_REGULAR : []),
+          ...(includeLiquidationPrice ? CSV_HEADER_LIQUIDATION : []),
+          ...CSV_HEADER_TAIL,
+        ],
+      }).writeRecords(results)
+    );
+    console.log(`📄  CSV  → ${outputs.csv}`);
+    if (v2Records) {
+      await writeJsonAtomic(outputs.v2, v2Records);
+      console.log(`💾  JSON v2 → ${outputs.v2}`);
+    } else {
+      // Reste d'une exécution --format v2: ne doit plus être republié.
+      await fsExtra.remove(path.join(dir, V2_DATA_FILE));
+    }
+    await writeJsonAtomic(outputs.status, status);
+    return outputs;
+  }
+
+  async function scrapeStore(store) {
+    const normalizedStore = normalizeStore(store);
+    const storeId = normalizedStore.storeId;
+    const city = normalizedStore.storeName || null;
+    const storeName = normalizedStore.storeName || "";
+    if (hasReachedTimeLimit()) {
+      console.log(
+        `[SCRAPER] Limite atteinte avant le magasin ${storeId ?? "?"}. Arrêt du lancement de ce magasin.`
+      );
+      return null;
+    }
+    console.log(`[SCRAPER] Magasin ${storeId ?? "?"} – ${storeName || city || "Nom inconnu"} : début`);
+    const startedAt = Date.now();
+    // Budget magasin: plus de nouvelle page/catégorie au-delà, les deals collectés sont écrits (partial).
+    const storeDeadline = startedAt + storeBudgetMs;
+    const storeShouldStop = () => hasReachedTimeLimit() || Date.now() >= storeDeadline;
+    const partialReason = () => stopReason ?? "store_budget";
+
+    const { OUT_BASE, jsonPath: OUT_JSON, csvPath: OUT_CSV } = resolveOutputPaths(
+      storeId ?? "",
+      storeName || city || "",
+      outBase
+    );
+    const storeSlug = path.basename(OUT_BASE);
+    const debugDir = path.join(OUT_BASE, "debug");
+
+    console.log(`OUT_BASE=${OUT_BASE}`);
+    console.log(`💾  JSON → ${OUT_JSON}`);
+    console.log(`📄  CSV  → ${OUT_CSV}`);
+    emitEvent("store:start", { storeId, storeName, outBase: OUT_BASE });
+
+    let session = null;
+    let storeTimeoutId;
+    let storeTimedOut = false;
+    let scrapePromise = null;
+    // Après le délai dur, la tâche abandonnée ne doit plus rien écrire (sorties, checkpoint, historique).
+    const ensureActive = () => {
+      if (storeTimedOut) {
+        throw new StoreScrapeError(
+          STORE_ERROR_CODES.STORE_TIMEOUT,
+          `Timeout magasin ${storeId ?? "?"}: écriture annulée.`,
+          { storeId }
+        );
+      }
+    };
+    // Catégorie(s) non parcourue(s) jusqu'au bout: le magasin reste à reprendre (--resume).
+    let interrupted = false;
+
+    const storeContext = { storeId, city: storeName || city || null };
+    // Métriques de la tentative en cours, reprises par run() pour le manifeste.
+    const metrics = createStoreMetrics();
+    storeMetrics.set(String(storeId ?? "?"), metrics);
+    metrics.outputs.outBase = OUT_BASE;
+
+    try {
+      session = await openSession(storeId);
+      const { context, page } = session;
+      await fsExtra.ensureDir(OUT_BASE);
+
+      const hardTimeoutMs = storeBudgetMs + STORE_HARD_TIMEOUT_GRACE_MS;
+      const timeoutPromise = new Promise((_, reject) => {
+        storeTimeoutId = setTimeout(() => {
+          storeTimedOut = true;
+          reject(
+            new StoreScrapeError(
+              STORE_ERROR_CODES.STORE_TIMEOUT,
+              `Timeout magasin ${storeId ?? "?"} après ${Math.round(hardTimeoutMs / 60000)} min.`,
+              { storeId }
+            )
+          );
+        }, hardTimeoutMs);
+      });
+
+      scrapePromise = (async () => {
+        const categoryUrls = await getCategoryUrls();
+        const urlsToProcess = categoryUrls.length ? categoryUrls : [liquidationUrl];
+        console.log(
+          `[SCRAPER] ${urlsToProcess.length} catégorie(s) à parcourir pour le magasin ${storeId ?? "?"}.`
+        );
+        console.log(`⚙️  Options → liquidation_price=${includeLiquidationPrice ? "on":"off"}, regular_price=${includeRegularPrice ? "on":"off"}`);
+        console.log(`⚙️  Seuils → ${thresholds.describe()}`);
+
+        const allDeals = [];
+        const dedupeKeys = new Set();
+        // Historique: produits en liquidation observés, seuils non appliqués (seules les sorties sont filtrées).
+        const observedByKey = new Map();
+        const emitPageRecord = createRecordEmitter();
+        const checkpoint = activeCheckpoint;
+        let completedCategories = 0;
+        let storeCardsCount = 0;
+
+        const registerRecord = (record) => {
+          const key = buildStableDedupKey(record);
+          if (key && dedupeKeys.has(key)) return false;
+          if (key) dedupeKeys.add(key);
+          allDeals.push(record);
+          return true;
+        };
+
+        for (const categoryUrl of urlsToProcess) {
+          if (storeShouldStop()) {
+            console.log(
+              `[SCRAPER] Limite atteinte (${partialReason()}) avant le chargement de la catégorie ${categoryUrl} ` +
+                `pour ${storeId ?? "?"}.`
+            );
+            interrupted = true;
+            break;
+          }
+
+          const partialPath = partialPathFor(OUT_BASE, categoryUrl);
+          const saved = checkpoint?.getCategory(storeId, categoryUrl) ?? null;
+          const savedPartial = saved ? readPartialFile(saved.partialPath || partialPath) : null;
+          const resumeFrom = savedPartial
+            ? { complete: saved.status === "done", lastPage: Number(saved.lastPage) || 0, ...savedPartial }
+            : null;
+          if (resumeFrom) {
+            console.log(
+              `[CHECKPOINT] ${categoryUrl} (${storeId ?? "?"}): ${savedPartial.records.length} item(s) repris, ` +
+                (resumeFrom.complete ? "catégorie terminée." : `reprise à la page ${resumeFrom.lastPage + 1}.`)
+            );
+          }
+
+          const { deals, observed, itemsCount, cardsCount, storeCategoryUrl, complete, lastPage } = await scrapeCategoryDeals(
+            page,
+            categoryUrl,
+            storeContext,
+            {
+              storeName: storeName || city || "",
+              debugDir,
+              emitPageRecord,
+              resumeFrom,
+              shouldStop: storeShouldStop,
+              metrics,
+              onPage: checkpoint
+                ? async (pageNum, items, observedSoFar) => {
+                    ensureActive();
+                    await writeJsonAtomic(partialPath, {
+                      storeId,
+                      categoryUrl,
+                      lastPage: pageNum,
+                      records: items,
+                      observed: observedSoFar,
+                    });
+                    await checkpoint.markPage(storeId, categoryUrl, { lastPage: pageNum, partialPath, count: items.length });
+                  }
+                : null,
+            }
+          );
+          storeCardsCount += cardsCount;
+          metrics.categoriesVisited += 1;
+          if (resumeFrom) metrics.categoriesResumed += 1;
+          if (complete) {
+            completedCategories += 1;
+            metrics.categoriesCompleted += 1;
+          }
+          if (!complete) {
+            interrupted = true;
+          } else if (checkpoint && !resumeFrom?.complete) {
+            ensureActive();
+            await checkpoint.markCategoryDone(storeId, categoryUrl, { lastPage, partialPath, count: itemsCount });
+          }
+
+          let accepted = 0;
+          for (const deal of deals) {
+            if (registerRecord(deal)) accepted += 1;
+          }
+          for (const record of observed) {
+            const key = buildStableDedupKey(record);
+            if (!key || !observedByKey.has(key)) observedByKey.set(key ?? `#${observedByKey.size}`, record);
+          }
+
+          console.log(
+            `✅ ${accepted} deal(s) retenu(s) agrégés sur ${itemsCount} item(s) pour ${storeCategoryUrl}`
+          );
+          if (accepted === 0) {
+            console.log("ℹ️  Aucun deal au-dessus des seuils sur l'ensemble des pages de cette catégorie.");
+          }
+        }
+
+        console.log(
+          `[SCRAPER] Fin du scraping pour le magasin ${storeId ?? "?"} – ${allDeals.length} deal(s) total.`
+        );
+        if (storeCardsCount === 0 && !interrupted) {
+          throw new StoreScrapeError(
+            STORE_ERROR_CODES.ZERO_CARDS,
+            `Aucune carte produit sur ${urlsToProcess.length} catégorie(s) pour ${storeId ?? "?"}.`,
+            { storeId }
+          );
+        }
+
+        await enrichRecordsWithModelData(context, allDeals, {
+          concurrency: Math.max(1, Number(modelConcurrency) || 4),
+          recorder,
+          shouldStop: () => hasReachedTimeLimit() || Date.now() >= storeDeadline + STORE_ENRICH_GRACE_MS,
+        });
+        if (interrupted) {
+          console.log(
+            `[SCRAPER] Magasin ${storeId ?? "?"} partiel (${partialReason()}): ` +
+              `${completedCategories}/${urlsToProcess.length} catégorie(s) complète(s), ${allDeals.length} deal(s).`
+          );
+        }
+        const status = {
+          storeId,
+          storeName,
+          partial: interrupted,
+          reason: interrupted ? partialReason() : null,
+          categories: { total: urlsToProcess.length, completed: completedCategories },
+          count: allDeals.length,
+        };
+
+        const results = allDeals.map((out) => ({
+          ...out,
+          image_url: out.image_url ?? out.image ?? null,
+        }));
+        const resultKeys = new Set(results.map(buildStableDedupKey));
+        const historyRecords = [
+          ...results,
+          ...Array.from(observedByKey).filter(([key]) => !resultKeys.has(key)).map(([, record]) => record),
+        ];
+
+        const modelCount = results.filter((item) => item.model_number).length;
+        const partCount = results.filter((item) => item.part_number).length;
+        const upcCount = results.filter((item) => item.upc).length;
+        const brandCount = results.filter((item) => item.brand).length;
+        console.log("model_number_found:", modelCount);
+        console.log("part_number_found:", partCount);
+        console.log("upc_found:", upcCount);
+        console.log("brand_found:", brandCount);
+        stats.modelCount += modelCount;
+        stats.partCount += partCount;
+        stats.upcCount += upcCount;
+        stats.brandCount += brandCount;
+        metrics.dealsAccepted = results.length;
+        metrics.enrichment = {
+          total: results.length,
+          modelNumber: modelCount,
+          partNumber: partCount,
+          upc: upcCount,
+          brand: brandCount,
+        };
+
+        // Écoulement des stocks: historique des exécutions précédentes + stockQty courants.
+        const runAt = new Date().toISOString();
+        let historyEntries = [];
+        if (historyDir) {
+          historyEntries = await readStoreHistory(historyDir, storeId).catch((error) => {
+            console.warn(`[HISTORY] Lecture impossible pour ${storeId ?? "?"}:`, error?.message || error);
+            return [];
+          });
+        }
+        const { goingFast } = annotateSellThrough(results, historyEntries, { runAt });
+        if (goingFast) {
+          console.log(`🔥  ${goingFast} produit(s) en rupture imminente (going_fast)`);
+        }
+
+        // Résultat invalide: data.json/data.csv et public/ restent ceux de l'exécution précédente.
+        const validation = validateStoreRecords(results, { storeId });
+        // Format v2 (data.v2.json): dérivé du format historique, validé avec son propre schéma.
+        const v2Records = format === "v2"
+          ? results.map((record) => toRecordV2(record, { scrapedAt: runAt, storeName: storeName || city }))
+          : null;
+        const v2Failures = v2Records ? validateRecords(v2Records, loadSchema(RECORD_V2_SCHEMA)) : [];
+        if (!validation.ok || v2Failures.length) {
+          const invalidPath = path.join(OUT_BASE, INVALID_DATA_FILE);
+          metrics.outputs.invalid = invalidPath;
+          ensureActive();
+          await writeJsonAtomic(invalidPath, {
+            storeId,
+            schema: RECORD_SCHEMA,
+            failures: validation.failures,
+            ...(v2Failures.length ? { v2Schema: RECORD_V2_SCHEMA, v2Failures } : {}),
+            records: results,
+          });
+          const firstError = validation.errors[0] ?? `v2 #${v2Failures[0].index} ${v2Failures[0].errors[0]}`;
+          throw new StoreScrapeError(STORE_ERROR_CODES.VALIDATION_FAILED, 
+            `Validation échouée pour ${storeId ?? "?"} (${validation.failures.length + v2Failures.length} ` +
+              `enregistrement(s), ex: ${firstError}) – sortie conservée dans ${invalidPath}`,
+            { storeId }
+          );
+        }
+
+        // Sortie partielle (limite de temps, signal): écrite dans partial/ uniquement. data.json,
+        // data.previous.json/changes.json et public/ ne changent qu'après une exécution complète et contrôlée.
+        if (interrupted) {
+          ensureActive();
+          const partialOutputs = await writeStoreFiles(path.join(OUT_BASE, PARTIAL_DIR), results, v2Records, {
+            generatedAt: runAt,
+            ...status,
+          });
+          Object.assign(metrics.outputs, partialOutputs);
+          if (historyDir) {
+            ensureActive();
+            try {
+              const { historyPath, count } = await appendStoreSnapshot(historyDir, storeId, historyRecords, {
+                runAt,
+                partial: true,
+              });
+              console.log(`🕒  Historique → ${historyPath} (${count} produit(s), exécution partielle)`);
+            } catch (error) {
+              console.warn(`[HISTORY] Écriture impossible pour ${storeId ?? "?"}:`, error?.message || error);
+            }
+          }
+          console.log(
+            `[PUBLISH] Magasin ${storeId ?? "?"} partiel: sortie conservée dans ${partialOutputs.json}, ` +
+              "dernière publication inchangée."
+          );
+          emitEvent("store:done", {
+            storeId,
+            storeName,
+            count: results.length,
+            jsonPath: partialOutputs.json,
+            csvPath: partialOutputs.csv,
+            publicDir: null,
+            changes: null,
+            partial: true,
+            durationMs: Date.now() - startedAt,
+          });
+          return {
+            storeId,
+            storeName,
+            outBase: OUT_BASE,
+            jsonPath: partialOutputs.json,
+            csvPath: partialOutputs.csv,
+            publicDir: null,
+            interrupted,
+            records: results,
+          };
+        }
+
+        // Garde-fou: comparaison avec le dernier instantané publié (public/, sinon outputs/).
+        // En cas de chute suspecte, rien n'est remplacé et la nouvelle sortie part en quarantaine.
+        const publicStoreDir = path.join(publicRoot, storeSlug);
+        const quarantinePath = path.join(OUT_BASE, QUARANTINE_FILE);
+        if (publishGuard) {
+          const publishedRecords =
+            readRecordsFile(path.join(publicStoreDir, path.basename(OUT_JSON)), { logPrefix: "[PUBLISH]" }) ??
+            readRecordsFile(OUT_JSON, { logPrefix: "[PUBLISH]" });
+          const guard = checkPublishGuard(publishedRecords, results, { maxDropRatio });
+          if (!guard.ok && acceptedStoreIds.has(String(storeId))) {
+            console.warn(
+              `[PUBLISH] Magasin ${storeId} accepté malgré le garde-fou (acceptStores): ${guard.reasons.join("; ")}`
+            );
+          } else if (!guard.ok) {
+            ensureActive();
+            await writeJsonAtomic(quarantinePath, {
+              generatedAt: new Date().toISOString(),
+              storeId,
+              storeName,
+              ...guard,
+              records: results,
+            });
+            console.warn(
+              `[PUBLISH] Magasin ${storeId ?? "?"} mis en quarantaine: ${guard.reasons.join("; ")} → ${quarantinePath} ` +
+                `(--acceptStore ${storeId ?? "?"} pour accepter cette sortie)`
+            );
+            metrics.outputs.quarantine = quarantinePath;
+            // Exécution complète: les fichiers de reprise ne servent plus.
+            await fsExtra.remove(path.join(OUT_BASE, PARTIAL_DIR));
+            emitEvent("store:quarantine", {
+              storeId,
+              storeName,
+              reasons: guard.reasons,
+              previousCount: guard.previousCount,
+              count: guard.currentCount,
+              quarantinePath,
+              durationMs: Date.now() - startedAt,
+            });
+            return {
+              storeId,
+              storeName,
+              outBase: OUT_BASE,
+              jsonPath: OUT_JSON,
+              csvPath: OUT_CSV,
+              publicDir: null,
+              quarantine: { path: quarantinePath, reasons: guard.reasons },
+              interrupted: false,
+              records: results,
+            };
+          }
+        }
+
+        // L'exécution précédente devient data.previous.json (base du changes.json),
+        // puis chaque fichier est remplacé par rename: jamais de data.json absent ou tronqué.
+        const previousJsonPath = path.join(OUT_BASE, PREVIOUS_DATA_FILE);
+        ensureActive();
+        if (await fsExtra.pathExists(OUT_JSON)) {
+          await copyFileAtomic(OUT_JSON, previousJsonPath);
+        }
+
+        ensureActive();
+        Object.assign(
+          metrics.outputs,
+          await writeStoreFiles(OUT_BASE, results, v2Records, { generatedAt: runAt, ...status })
+        );
+        await fsExtra.remove(path.join(OUT_BASE, INVALID_DATA_FILE));
+        await fsExtra.remove(quarantinePath);
+
+        let changesSummary = null;
+        ensureActive();
+        try {
+          const previousRecords = readRecordsFile(previousJsonPath);
+          if (previousRecords) {
+            const changes = diffDeals(previousRecords, results, { keyOf: buildStableDedupKey });
+            const changesPath = await writeChangesFile(path.join(OUT_BASE, CHANGES_FILE), changes, { storeId, storeName });
+            changesSummary = changes.summary;
+            metrics.outputs.changes = changesPath;
+            console.log(
+              `🔁  Changements → ${changesPath} (+${changes.summary.added} / -${changes.summary.removed}, ` +
+                `${changes.summary.priceDrops} baisse(s), ${changes.summary.priceIncreases} hausse(s), ` +
+                `${changes.summary.stockChanges} stock)`
+            );
+          } else {
+            await fsExtra.remove(path.join(OUT_BASE, CHANGES_FILE));
+          }
+        } catch (error) {
+          console.warn(`[DIFF] Comparaison impossible pour ${storeId ?? "?"}:`, error?.message || error);
+        }
+
+        if (historyDir) {
+          ensureActive();
+          try {
+            const { historyPath, count } = await appendStoreSnapshot(historyDir, storeId, historyRecords, { runAt });
+            console.log(`🕒  Historique → ${historyPath} (${count} produit(s))`);
+          } catch (error) {
+            console.warn(`[HISTORY] Écriture impossible pour ${storeId ?? "?"}:`, error?.message || error);
+          }
+        }
+
+        // Un magasin qui a dépassé le délai dur (budget + HARD_TIMEOUT_GRACE_MS) ne publie pas.
+        ensureActive();
+        await publishDir(OUT_BASE, publicStoreDir, {
+          filter: (rel) =>
+            ![
+              "debug",
+              PARTIAL_DIR,
+              PREVIOUS_DATA_FILE,
+              INVALID_DATA_FILE,
+              QUARANTINE_FILE,
+            ].includes(rel),
+        });
+        // publishDir ne supprime rien: un data.v2.json déjà publié disparaît avec le format v2.
+        if (!v2Records) await fsExtra.remove(path.join(publicStoreDir, V2_DATA_FILE));
+        console.log(`📁  Publish → ${publicStoreDir}`);
+        metrics.outputs.publicDir = publicStoreDir;
+        ensureActive();
+        await fsExtra.remove(path.join(OUT_BASE, PARTIAL_DIR));
+
+        console.log(`[SCRAPER] Magasin ${storeId ?? "?"} – terminé`);
+        emitEvent("store:done", {
+          storeId,
+          storeName,
+          count: results.length,
+          jsonPath: OUT_JSON,
+          csvPath: OUT_CSV,
+          publicDir: publicStoreDir,
+          changes: changesSummary,
+          partial: false,
+          durationMs: Date.now() - startedAt,
+        });
+        return {
+          storeId,
+          storeName,
+          outBase: OUT_BASE,
+          jsonPath: OUT_JSON,
+          csvPath: OUT_CSV,
+          publicDir: publicStoreDir,
+          interrupted: false,
+          records: results,
+        };
+      })();
+
+      return await Promise.race([scrapePromise, timeoutPromise]);
+    } catch (error) {
+      const code = classifyStoreError(error);
+      console.error(`[SCRAPER] ERREUR magasin ${storeId ?? "?"} (${code}) –`, error);
+      // La sélection magasin sauvegarde déjà ses captures; sinon état de la page au moment de l'échec.
+      if (session?.page && !session.page.isClosed() && code !== STORE_ERROR_CODES.STORE_SELECTION_FAILED) {
+        await Promise.race([
+          saveStoreDebugArtifacts(session.page, storeId, debugDir, code).catch(() => {}),
+          new Promise((resolve) => setTimeout(resolve, DEBUG_CAPTURE_TIMEOUT_MS)),
+        ]);
+      }
+      storeErrors.set(String(storeId ?? "?"), {
+        code,
+        message: String(error?.message || error).split("\n")[0],
+        debugArtifacts: await listDebugArtifacts(debugDir, startedAt),
+      });
+      emitEvent("store:error", {
+        storeId,
+        storeName,
+        code,
+        error: error?.message || String(error),
+        durationMs: Date.now() - startedAt,
+      });
+      return null;
+    } finally {
+      if (storeTimeoutId) clearTimeout(storeTimeoutId);
+      await closeSession(session);
+      // Navigateur fermé: la tâche abandonnée échoue vite. On attend sa fin avant une nouvelle tentative
+      // pour qu'elle ne réécrive pas les sorties de celle-ci.
+      if (storeTimedOut && scrapePromise) await scrapePromise.catch(() => {});
+    }
+  }
+
+  async function run(storesInput) {
+    const runStartedAt = new Date();
+    let stores = storesInput;
+    const checkpoint = checkpointPath ? createCheckpoint(checkpointPath, { resume }) : null;
+    activeCheckpoint = checkpoint;
+    if (resume) {
+      if (!checkpoint) {
+        console.warn("[CHECKPOINT] --resume sans fichier de reprise: exécution complète.");
+      } else {
+        stores = storesInput.filter((store) => !checkpoint.isStoreDone(normalizeStore(store).storeId));
+        console.log(
+          `[CHECKPOINT] Reprise depuis ${checkpointPath}: ${storesInput.length - stores.length} magasin(s) déjà terminé(s), ` +
+            `${stores.length} restant(s).`
+        );
+      }
+    }
+
+    console.log(
+      `[SCRAPER] ${stores.length} magasins à traiter, ${concurrency} en parallèle.`
+    );
+
+    // Issue par magasin (index dans stores); les magasins jamais lancés restent "skipped".
+    const outcomes = new Map();
+    const recordOutcome = (index, store, attempt, startedAt, result) => {
+      const { storeId, storeName } = normalizeStore(store);
+      const failure = result ? null : storeErrors.get(String(storeId ?? "?")) ?? null;
+      let outcome = "skipped";
+      if (result?.quarantine) outcome = "quarantined";
+      else if (result?.interrupted) outcome = "partial";
+      else if (result) outcome = "done";
+      else if (failure) outcome = "error";
+      const previous = outcomes.get(index);
+      const errors = [...(previous?.errors ?? [])];
+      if (failure) errors.push({ attempt, code: failure.code, message: failure.message });
+      outcomes.set(index, {
+        storeId,
+        storeName,
+        outcome,
+        attempts: attempt,
+        count: result?.records?.length ?? 0,
+        durationMs: (previous?.durationMs ?? 0) + Date.now() - startedAt,
+        error: failure?.message ?? null,
+        errorCode: failure?.code ?? null,
+        errors,
+        debugArtifacts: failure?.debugArtifacts ?? [],
+        quarantineReasons: result?.quarantine?.reasons ?? null,
+        metrics: storeMetrics.get(String(storeId ?? "?")) ?? null,
+      });
+    };
+
+    const launchStore = (index, attempt) => {
+      const store = stores[index];
+      if (hasReachedTimeLimit()) {
+        console.log(
+          `[SCRAPER] Limite atteinte avant le magasin ${store.storeId}. Arrêt du lancement de ce magasin.`
+        );
+        return Promise.resolve();
+      }
+
+      const storeStartedAt = Date.now();
+      storeErrors.delete(String(normalizeStore(store).storeId ?? "?"));
+      storeMetrics.delete(String(normalizeStore(store).storeId ?? "?"));
+      return scrapeStore(store)
+        .then((result) => {
+          recordOutcome(index, store, attempt, storeStartedAt, result);
+          if (checkpoint && result && !result.interrupted) {
+            return checkpoint.markStoreDone(result.storeId, { count: result.records.length });
+          }
+          return undefined;
+        })
+        .catch((err) => {
+          console.error("[SCRAPER] Erreur dans un magasin :", err);
+        });
+    };
+
+    const runBatches = async (indexes, attempt) => {
+      for (let i = 0; i < indexes.length; i += concurrency) {
+        if (hasReachedTimeLimit()) {
+          console.log(
+            `[SCRAPER] Limite atteinte avant le lancement du batch ${i / concurrency + 1}. Arrêt anticipé du shard.`
+          );
+          break;
+        }
+        const batch = indexes.slice(i, i + concurrency);
+
+        console.log(
+          `[SCRAPER] Batch ${i / concurrency + 1} – magasins index ${batch[0]} à ${batch[batch.length - 1]}` +
+            (attempt > 1 ? ` (tentative ${attempt}/${maxStoreAttempts})` : "")
+        );
+
+        await Promise.all(batch.map((index) => launchStore(index, attempt)));
+      }
+    };
+
+    // Attente de relance interrompue dès qu'un arrêt est demandé ou que le budget est écoulé.
+    const waitBeforeRetry = async (delayMs) => {
+      const until = Date.now() + delayMs;
+      while (Date.now() < until && !hasReachedTimeLimit()) {
+        await new Promise((resolve) => setTimeout(resolve, Math.min(1000, until - Date.now())));
+      }
+    };
+
+    await runBatches(stores.map((_, index) => index), 1);
+
+    for (let attempt = 2; attempt <= maxStoreAttempts; attempt += 1) {
+      const retryIndexes = Array.from(outcomes.entries())
+        .filter(([, outcome]) => outcome.outcome === "error" && isRetryableStoreError(outcome.errorCode))
+        .map(([index]) => index)
+        .sort((a, b) => a - b);
+      if (!retryIndexes.length || hasReachedTimeLimit()) break;
+
+      const delayMs = retryBaseDelayMs * 2 ** (attempt - 2);
+      console.log(
+        `[RETRY] ${retryIndexes.length} magasin(s) en échec relancé(s) dans ${Math.round(delayMs / 1000)} s ` +
+          `(tentative ${attempt}/${maxStoreAttempts}).`
+      );
+      await waitBeforeRetry(delayMs);
+      await runBatches(retryIndexes, attempt);
+    }
+
+    if (checkpoint) {
+      activeCheckpoint = null;
+      if (stores.every((store) => checkpoint.isStoreDone(normalizeStore(store).storeId))) {
+        await checkpoint.remove();
+        console.log(`[CHECKPOINT] Tous les magasins sont terminés: ${checkpointPath} supprimé.`);
+      } else {
+        await checkpoint.flush();
+        console.log(`[CHECKPOINT] Exécution incomplète: reprise possible avec --resume (${checkpointPath}).`);
+      }
+    }
+
+    console.log("model_number_found:", stats.modelCount);
+    console.log("part_number_found:", stats.partCount);
+    console.log("upc_found:", stats.upcCount);
+    console.log("brand_found:", stats.brandCount);
+
+    const storeSummaries = stores.map((store, index) =>
+      outcomes.get(index) ?? {
+        ...normalizeStore(store),
+        outcome: "skipped",
+        attempts: 0,
+        count: 0,
+        durationMs: 0,
+        error: null,
+        errorCode: null,
+        errors: [],
+        debugArtifacts: [],
+        quarantineReasons: null,
+        metrics: null,
+      }
+    );
+    const summary = {
+      schema_version: RUN_MANIFEST_VERSION,
+      scraper: resolveScraperInfo(),
+      options: {
+        baseUrl,
+        maxPages,
+        concurrency,
+        thresholds: thresholds.describe(),
+        format,
+        maxRuntimeMinutes,
+        storeBudgetMinutes,
+        maxStoreAttempts,
+        resume,
+      },
+      startedAt: runStartedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - runStartedAt.getTime(),
+      stopped: stopRequested,
+      stopReason,
+      resumedStores: storesInput.length - stores.length,
+      totals: summarizeOutcomes(storeSummaries),
+      stores: storeSummaries,
+    };
+    const { totals } = summary;
+    console.log(
+      `[SCRAPER] Résumé: ${totals.done} terminé(s), ${totals.partial} partiel(s), ${totals.quarantined} en quarantaine, ` +
+        `${totals.error} en erreur, ${totals.skipped} non lancé(s) – ${totals.deals} deal(s).`
+    );
+    if (runsDir) {
+      try {
+        const failures = storeSummaries
+          .filter((store) => store.outcome === "error")
+          .map(({ storeId, storeName, attempts, errorCode, error, errors, debugArtifacts }) => ({
+            storeId,
+            storeName,
+            attempts,
+            code: errorCode,
+            error,
+            errors,
+            debugArtifacts,
+          }));
+        summary.failuresPath = await writeFailuresFile(runsDir, failures, { runStartedAt: summary.startedAt });
+        if (summary.failuresPath) {
+          console.log(`⚠️  ${failures.length} magasin(s) en échec → ${summary.failuresPath}`);
+        }
+        summary.summaryPath = await writeRunSummary(runsDir, summary);
+        console.log(`🧾  Manifeste → ${summary.summaryPath}`);
+      } catch (error) {
+        console.warn("[SCRAPER] Écriture du résumé impossible:", error?.message || error);
+      }
+    }
+    return summary;
+  }
+
+  return Object.assign(emitter, {
+    baseUrl,
+    stats,
+    getCategoryUrls,
+    scrapeCategory,
+    scrapeStore,
+    run,
+    stop(reason = "stop_requested") {
+      requestStop(reason);
+    },
+  });
+}
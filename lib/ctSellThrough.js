@@ -0,0 +1,96 @@
+/**
+ * Écoulement des stocks à partir des stockQty successifs (historique lib/ctHistory.js):
+ * unités parties par jour, date de rupture estimée et indicateur "going_fast".
+ * Les réassorts (stock en hausse) sont ignorés: seules les baisses comptent comme ventes.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Fenêtre d'observation: au-delà, le rythme ne reflète plus la demande actuelle.
+export const SELL_THROUGH_WINDOW_DAYS = 14;
+// "going fast": rupture estimée dans moins de N jours.
+export const GOING_FAST_DAYS = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {{ runAt: string, stockQty: number|null }[]} points triés par date
+ */
+export function computeSellThrough(points, {
+  windowDays = SELL_THROUGH_WINDOW_DAYS,
+  goingFastDays = GOING_FAST_DAYS,
+} = {}) {
+  const known = points.filter((point) => Number.isFinite(point.stockQty));
+  if (known.length < 2) return null;
+
+  const latest = known[known.length - 1];
+  const windowStart = Date.parse(latest.runAt) - windowDays * DAY_MS;
+  const window = known.filter((point) => Date.parse(point.runAt) >= windowStart);
+  if (window.length < 2) return null;
+
+  let unitsGone = 0;
+  for (let i = 1; i < window.length; i++) {
+    const drop = window[i - 1].stockQty - window[i].stockQty;
+    if (drop > 0) unitsGone += drop;
+  }
+  const days = (Date.parse(latest.runAt) - Date.parse(window[0].runAt)) / DAY_MS;
+  if (days <= 0) return null;
+
+  const unitsPerDay = unitsGone / days;
+  const stockQty = latest.stockQty;
+  const daysLeft = unitsPerDay > 0 ? stockQty / unitsPerDay : null;
+
+  return {
+    stockQty,
+    unitsGone,
+    observedDays: round2(days),
+    unitsPerDay: round2(unitsPerDay),
+    daysLeft: daysLeft != null ? round2(daysLeft) : null,
+    sellOutDate: daysLeft != null
+      ? new Date(Date.parse(latest.runAt) + daysLeft * DAY_MS).toISOString()
+      : null,
+    goingFast: stockQty > 0 && daysLeft != null && daysLeft <= goingFastDays,
+  };
+}
+
+/**
+ * Points de stock par productKey, historique + exécution courante (pas encore écrite).
+ */
+export function indexStockPoints(historyEntries, currentRecords = [], { runAt = new Date().toISOString() } = {}) {
+  const byProduct = new Map();
+  const push = (productKey, point) => {
+    if (!productKey) return;
+    const list = byProduct.get(productKey) || [];
+    list.push(point);
+    byProduct.set(productKey, list);
+  };
+
+  for (const entry of historyEntries) {
+    if (entry.type !== "record") continue;
+    push(entry.productKey, { runAt: entry.runAt, stockQty: entry.stockQty ?? null });
+  }
+  for (const record of currentRecords) {
+    push(record.product_key ?? record.productKey, { runAt, stockQty: record.stockQty ?? null });
+  }
+
+  for (const list of byProduct.values()) {
+    list.sort((a, b) => a.runAt.localeCompare(b.runAt));
+  }
+  return byProduct;
+}
+
+/**
+ * Ajoute units_per_day, sell_out_date et going_fast aux enregistrements d'un magasin.
+ */
+export function annotateSellThrough(records, historyEntries, options = {}) {
+  const pointsByProduct = indexStockPoints(historyEntries, records, options);
+  let goingFast = 0;
+  for (const record of records) {
+    const points = pointsByProduct.get(record.product_key ?? record.productKey);
+    const metrics = points ? computeSellThrough(points, options) : null;
+    record.units_per_day = metrics?.unitsPerDay ?? null;
+    record.sell_out_date = metrics?.sellOutDate ?? null;
+    record.going_fast = !!metrics?.goingFast;
+    if (record.going_fast) goingFast += 1;
+  }
+  return { goingFast };
+}
@@ -0,0 +1,140 @@
+/**
+ * Seuils de rabais (--minDiscount, --minSavings, --thresholdsFile <json>)
+ * {
+ *   "minDiscount": 50,
+ *   "minSavings": 0,
+ *   "priceBands": [{ "minRegularPrice": 200, "minDiscount": 30 }, { "maxRegularPrice": 25, "minDiscount": 70 }],
+ *   "categories": { "outils": { "minDiscount": 40, "priceBands": [...] } }
+ * }
+ * Priorité: bande de prix de la catégorie > catégorie > bande de prix globale > global.
+ */
+import fs from "fs";
+
+export const DEFAULT_MIN_DISCOUNT = 50;
+
+const toThreshold = (value, label) => {
+  if (value == null || value === "") return undefined;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    throw new Error(`[THRESHOLDS] Valeur invalide pour ${label}: ${value}`);
+  }
+  return parsed;
+};
+
+const pickLevels = (source, label) => ({
+  minDiscount: toThreshold(source?.minDiscount, `${label}.minDiscount`),
+  minSavings: toThreshold(source?.minSavings, `${label}.minSavings`),
+});
+
+const normalizeBands = (bands, label) => {
+  if (bands == null) return [];
+  if (!Array.isArray(bands)) {
+    throw new Error(`[THRESHOLDS] ${label}.priceBands doit être un tableau.`);
+  }
+  return bands.map((band, index) => ({
+    minRegularPrice: toThreshold(band?.minRegularPrice, `${label}.priceBands[${index}].minRegularPrice`),
+    maxRegularPrice: toThreshold(band?.maxRegularPrice, `${label}.priceBands[${index}].maxRegularPrice`),
+    ...pickLevels(band, `${label}.priceBands[${index}]`),
+  }));
+};
+
+const bandMatches = (band, regularPrice) => {
+  if (regularPrice == null) return false;
+  if (band.minRegularPrice !== undefined && regularPrice < band.minRegularPrice) return false;
+  if (band.maxRegularPrice !== undefined && regularPrice > band.maxRegularPrice) return false;
+  return true;
+};
+
+const applyLevels = (target, levels) => {
+  if (!levels) return target;
+  if (levels.minDiscount !== undefined) target.minDiscount = levels.minDiscount;
+  if (levels.minSavings !== undefined) target.minSavings = levels.minSavings;
+  return target;
+};
+
+/**
+ * Slug de catégorie à partir de l'URL de liquidation
+ * (".../liquidation/outils.html?page=2" → "outils", page racine → "liquidation").
+ */
+export function categorySlugFromUrl(rawUrl) {
+  if (!rawUrl) return null;
+  try {
+    const { pathname } = new URL(rawUrl);
+    const last = pathname.split("/").filter(Boolean).pop() || "";
+    return last.replace(/\.html?$/i, "").toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
+
+export function loadThresholdsFile(filePath) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`[THRESHOLDS] Lecture impossible de ${filePath}: ${error?.message || error}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`[THRESHOLDS] ${filePath} doit contenir un objet JSON.`);
+  }
+  return raw;
+}
+
+/**
+ * Les options CLI (minDiscount/minSavings) priment sur les valeurs globales du fichier,
+ * jamais sur les surcharges par catégorie ou bande de prix.
+ */
+export function createThresholds({ minDiscount, minSavings, config = null } = {}) {
+  const global = {
+    minDiscount: DEFAULT_MIN_DISCOUNT,
+    minSavings: 0,
+  };
+  applyLevels(global, pickLevels(config, "config"));
+  applyLevels(global, {
+    minDiscount: toThreshold(minDiscount, "--minDiscount"),
+    minSavings: toThreshold(minSavings, "--minSavings"),
+  });
+  const globalBands = normalizeBands(config?.priceBands, "config");
+
+  const categories = new Map();
+  const rawCategories = config?.categories ?? {};
+  if (typeof rawCategories !== "object" || Array.isArray(rawCategories)) {
+    throw new Error("[THRESHOLDS] config.categories doit être un objet { <slug>: {...} }.");
+  }
+  for (const [slug, value] of Object.entries(rawCategories)) {
+    const label = `categories.${slug}`;
+    categories.set(slug.toLowerCase(), {
+      ...pickLevels(value, label),
+      priceBands: normalizeBands(value?.priceBands, label),
+    });
+  }
+
+  function resolve(categorySlug = null, regularPrice = null) {
+    const resolved = { ...global };
+    applyLevels(resolved, globalBands.find((band) => bandMatches(band, regularPrice)));
+    const category = categorySlug ? categories.get(String(categorySlug).toLowerCase()) : null;
+    if (category) {
+      applyLevels(resolved, category);
+      applyLevels(resolved, category.priceBands.find((band) => bandMatches(band, regularPrice)));
+    }
+    return resolved;
+  }
+
+  function accepts({ category = null, regularPrice = null, discountPercent = null, savings = null } = {}) {
+    if (discountPercent == null) return false;
+    const { minDiscount: minPct, minSavings: minAmount } = resolve(category, regularPrice);
+    if (discountPercent < minPct) return false;
+    if (minAmount > 0 && (savings == null || savings < minAmount)) return false;
+    return true;
+  }
+
+  function describe() {
+    const parts = [`global >= ${global.minDiscount}%`];
+    if (global.minSavings > 0) parts.push(`économie >= ${global.minSavings} $`);
+    if (globalBands.length) parts.push(`${globalBands.length} bande(s) de prix`);
+    if (categories.size) parts.push(`surcharges: ${Array.from(categories.keys()).join(", ")}`);
+    return parts.join(", ");
+  }
+
+  return { global: { ...global }, resolve, accepts, describe };
+}
@@ -1,32 +1,38 @@
 // @ts-check
 /**
- * Scraper Canadian Tire - Liquidation (Playwright + enrichissement fiche produit)
+ * Scraper Canadian Tire - Liquidation (CLI, logique dans lib/ctScraper.js)
  * - Multi-magasins via --store <ID> --city "<Nom>"
  * - Titres/prix robustes (aria-label/title/alt, data-*), scroll "lazy"
  * - Enrichissement depuis la liste uniquement (pas de PDP)
  * - Sorties par magasin: outputs/canadiantire/<store>-<city-slug>/{data.json,data.csv}
+ * - Enregistrement des pages visitées via --record <dir> [--recordHar]
+ * - Rejeu hors-ligne via --replayDir <dir> (pages HTML sauvegardées, voir lib/ctPageArchive.js)
+ * - Site cible configurable via --baseUrl / CT_BASE_URL (ex: scripts/mock_ct_server.js)
+ * - Flux d'événements NDJSON (store:start, category:page, record, ...) via --eventsFile <path>
+ * - Historique des prix (append-only) dans outputs/history/<store>.ndjson, --historyDir <dir> ou --no-history
+ * - Garde-fou de publication: --maxDropRatio <0-1> (0.5 par défaut), --no-publishGuard pour forcer;
+ *   --acceptStore <id>[,<id>] accepte la sortie d'un magasin en quarantaine (chute vérifiée) sans toucher aux autres
+ * - Budget de temps: --maxRuntimeMinutes <min> (global, arrêt propre; sortie partielle dans <OUT_BASE>/partial/, non publiée)
+ *   et --storeBudgetMinutes <min> par magasin (45 par défaut)
+ * - SIGINT/SIGTERM: pages en cours terminées, sorties partielles écrites, navigateurs fermés (2e signal: sortie immédiate);
+ *   --stopDrainSeconds <s> (15): au-delà, les navigateurs encore ouverts sont fermés (aussi à l'échéance --maxRuntimeMinutes)
+ * - Manifeste d'exécution (métriques par magasin, totaux, commit) dans outputs/runs/<date>.json (--runsDir <dir>),
+ *   magasins en échec dans outputs/runs/<date>.failures.json
+ * - Relance des magasins en échec en fin d'exécution: --maxStoreAttempts <n> (3), --retryBaseDelayMs <ms> (30000, doublé à chaque tentative)
+ * - Point de reprise (magasins/catégories/pages terminés) dans outputs/checkpoint.<storeId>.json (un fichier
+ *   par magasin ou liste de magasins): --resume pour reprendre une exécution interrompue avec les mêmes magasins,
+ *   --checkpointFile <path>, --no-checkpoint pour désactiver
+ * - --format v2: data.v2.json (cents, objets prices/identifiers/availability/enrichment) en plus du data.json historique
+ * - Seuils: --minDiscount <pct> (50 par défaut), --minSavings <$>, --thresholdsFile <json> (voir lib/ctThresholds.js)
  */
 import fs from "fs";
 import path from "path";
-import { chromium } from "playwright";
-import fsExtra from "fs-extra";
-import slugify from "slugify";
-import { createObjectCsvWriter } from "csv-writer";
 import minimist from "minimist";
 import { fileURLToPath } from "url";
-import {
-  buildCtKeysFromText,
-  makeCtProductKey,
-  normalizeCtProductNumber,
-} from "./lib/ctProductKey.js";
-import {
-  extractModelDataFromPage,
-  normalizeCode,
-} from "./lib/ctModelNumber.js";
-import pLimit from "p-limit";
-
-const buildCtKeysFromAvailability = (availabilityText) =>
-  buildCtKeysFromText(availabilityText);
+import { createScraper, parseBooleanArg } from "./lib/ctScraper.js";
+import { loadThresholdsFile } from "./lib/ctThresholds.js";
+import { defaultCheckpointPath } from "./lib/ctCheckpoint.js";
+import { DEFAULT_RUNS_DIR } from "./lib/ctRunSummary.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -80,9 +86,9 @@ function safeLoadStores() {
 // the current store (including 218 St. Eustache), and will not reuse Rosemere's paths.
 
 const args = minimist(process.argv.slice(2), {
-  string: ["storeId", "storeName", "outBase", "maxPages", "concurrency", "storesFile"],
-  boolean: ["debug", "headful", "downloadImages"],
-  default: { maxPages: "120", concurrency: "25" },
+  string: ["storeId", "storeName", "outBase", "maxPages", "concurrency", "storesFile", "replayDir", "record", "baseUrl", "eventsFile", "minDiscount", "minSavings", "thresholdsFile", "historyDir", "maxDropRatio", "format", "checkpointFile", "maxRuntimeMinutes", "storeBudgetMinutes", "runsDir", "maxStoreAttempts", "retryBaseDelayMs", "stopDrainSeconds", "acceptStore"],
+  boolean: ["debug", "headful", "downloadImages", "recordHar", "history", "publishGuard", "checkpoint", "resume"],
+  default: { maxPages: "120", concurrency: "25", history: true, publishGuard: true, checkpoint: true },
 });
 
 const storeIdCLI = args.storeId != null ? String(args.storeId) : "";
@@ -155,11 +161,6 @@ const rawTotalShards = process.env.TOTAL_SHARDS;
 // On considère que SHARD_INDEX est 1-based (1,2,...,TOTAL_SHARDS)
 const shardIndex = rawShardIndex ? parseInt(rawShardIndex, 10) : 0;
 const totalShards = rawTotalShards ? parseInt(rawTotalShards, 10) : 0;
-let stopRequested = false;
-let globalModelCount = 0;
-let globalPartCount = 0;
-let globalUpcCount = 0;
-let globalBrandCount = 0;
 
 if (!storesFileCLI) {
   if (
@@ -206,1583 +207,108 @@ if (storeFilter) {
   );
 }
 
-function hasReachedTimeLimit() {
-  if (stopRequested) return true;
-
-  return stopRequested;
-}
-
-function parseBooleanArg(value, defaultValue = false) {
-  if (value === undefined) return defaultValue;
-  if (typeof value === "boolean") return value;
-  if (typeof value === "number") return value !== 0;
-  if (typeof value === "string") {
-    const normalized = value.trim().toLowerCase();
-    if (["false","0","no","off"].includes(normalized)) return false;
-    if (["true","1","yes","on"].includes(normalized)) return true;
-  }
-  return defaultValue;
-}
-
 // ---------- CLI ----------
-const DEFAULT_BASE = "https://www.canadiantire.ca/fr/promotions/liquidation.html";
-
-const HEADLESS  = !args.headful;
-
-const INCLUDE_REGULAR_PRICE    = parseBooleanArg(args["include-regular-price"] ?? args.includeRegularPrice, true);
-const INCLUDE_LIQUIDATION_PRICE= parseBooleanArg(args["include-liquidation-price"] ?? args.includeLiquidationPrice, true);
-
-// === Helpers & Sélecteurs ===
-const BASE = "https://www.canadiantire.ca";
-
-const SELECTORS = {
-  card: "li[data-testid='product-grids']",
-};
-
-const AUTO_SCROLL_DEFAULTS = {
-  productSelector: SELECTORS.card,
-  maxRounds: 25,
-  stableRoundsToStop: 3,
-  perRoundWaitMs: 800,
-  maxTotalMs: 20000,
-};
-
-const PAGINATION_NAV_SELECTOR = [
-  "nav[aria-label*='pagination' i]",
-  "nav[aria-label*='Pagination' i]",
-  "[data-testid='pagination']",
-  "[data-testid='pagination-container']",
-  "nav[role='navigation']:has([aria-current])",
-].join(", ");
-
-const SEL = {
-  card: "li[data-testid=\"product-grids\"]",
-  price: "span[data-testid=\"priceTotal\"], .nl-price--total, .price, .c-pricing__current",
-  paginationNav: PAGINATION_NAV_SELECTOR,
-  currentPage: `${PAGINATION_NAV_SELECTOR} [aria-current], ${PAGINATION_NAV_SELECTOR} [aria-current=\"page\"]`,
-};
-
-const cleanMoney = (s) => {
-  if (!s) return null;
-  s = s.replace(/\u00a0/g, " ").trim();
-  const m = s.match(/(\d[\d\s.,]*)(?:\s*\$)?/);
-  return m ? m[1].replace(/\s/g, "") : s;
-};
-
-async function dismissMedalliaPopup(page) {
-  try {
-    const possibleCloseButtons = page.locator(
-      [
-        '#kampyleInviteContainer button',
-        '#MDigitalInvitationWrapper button',
-        'button[aria-label*="close" i]',
-        'button[aria-label*="fermer" i]',
-        'button[aria-label*="feedback" i]'
-      ].join(', ')
-    );
-
-    const count = await possibleCloseButtons.count();
-    for (let i = 0; i < count; i++) {
-      const btn = possibleCloseButtons.nth(i);
-      if (await btn.isVisible().catch(() => false)) {
-        console.log('🧹 Medallia: clic sur le bouton de fermeture');
-        await btn.click({ timeout: 2000 }).catch(() => {});
-        break;
-      }
-    }
-
-    await page.evaluate(() => {
-      const ids = ['MDigitalInvitationWrapper', 'kampyleInviteContainer', 'kampyleInvite'];
-      for (const id of ids) {
-        const el = document.getElementById(id);
-        if (el) {
-          console.log('🧹 Medallia: suppression/masquage de', id);
-          el.remove();
-        }
-      }
-
-      ids.forEach((id) => {
-        const el = document.getElementById(id);
-        if (el) {
-          el.style.setProperty('display', 'none', 'important');
-          el.style.setProperty('pointer-events', 'none', 'important');
+const replayDirCLI = args.replayDir ? path.resolve(String(args.replayDir)) : "";
+const recordDirCLI = args.record ? path.resolve(String(args.record)) : "";
+const eventsFileCLI = args.eventsFile ? path.resolve(String(args.eventsFile)) : "";
+
+let eventsStream = null;
+if (eventsFileCLI) {
+  fs.mkdirSync(path.dirname(eventsFileCLI), { recursive: true });
+  eventsStream = fs.createWriteStream(eventsFileCLI, { flags: "a" });
+  console.log(`[EVENTS] Flux NDJSON → ${eventsFileCLI}`);
+}
+
+let scraper;
+try {
+  const thresholdsConfig = args.thresholdsFile
+    ? loadThresholdsFile(path.resolve(String(args.thresholdsFile)))
+    : null;
+  scraper = createScraper({
+    baseUrl: args.baseUrl || process.env.CT_BASE_URL || undefined,
+    headless: !args.headful,
+    includeRegularPrice: parseBooleanArg(args["include-regular-price"] ?? args.includeRegularPrice, true),
+    includeLiquidationPrice: parseBooleanArg(args["include-liquidation-price"] ?? args.includeLiquidationPrice, true),
+    maxPages: Number(args.maxPages) || 50,
+    outBase: args.outBase || null,
+    concurrency: CONCURRENCY,
+    modelConcurrency: Number(args.modelConcurrency) || 4,
+    autoScroll: {
+      maxRounds: args.autoScrollMaxRounds,
+      stableRoundsToStop: args.autoScrollStableRounds,
+      perRoundWaitMs: args.autoScrollWaitMs,
+      maxTotalMs: args.autoScrollMaxTotalMs,
+    },
+    replayDir: replayDirCLI || null,
+    recordDir: recordDirCLI || null,
+    recordHar: !!recordDirCLI && parseBooleanArg(args.recordHar, false),
+    minDiscount: args.minDiscount ?? null,
+    minSavings: args.minSavings ?? null,
+    thresholdsConfig,
+    historyDir: args.history
+      ? path.resolve(String(args.historyDir || path.join("outputs", "history")))
+      : null,
+    onEvent: eventsStream
+      ? (type, payload) => {
+          eventsStream.write(`${JSON.stringify({ type, at: new Date().toISOString(), ...payload })}\n`);
         }
-      });
-    });
-  } catch (e) {
-    console.warn('⚠️ Impossible de fermer le pop-up Medallia:', e);
-  }
-}
-
-async function waitProductsStable(page, timeout = 45000) {
-  try {
-    // On attend que les produits soient présents dans le DOM (moins strict que "visible")
-    await page.waitForSelector('li[data-testid="product-grids"]', {
-      state: 'attached',
-      timeout,
-    });
-
-    // Petit délai pour laisser le layout se stabiliser
-    await page.waitForTimeout(300);
-
-    return true;
-  } catch (err) {
-    console.warn(
-      `[waitProductsStable] Impossible de stabiliser les produits : ${err.message}`
-    );
-    return false;
-  }
-}
-
-function findProductNumberInText(value) {
-  if (!value) return null;
-  const str = String(value);
-  const formattedMatch = str.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
-  if (formattedMatch) return formattedMatch[0];
-  const digitsMatch = str.match(/\b(\d{8})\b/);
-  return digitsMatch ? digitsMatch[1] : null;
-}
-
-function extractCtProductNumberRaw(...candidates) {
-  for (const candidate of candidates) {
-    const found = findProductNumberInText(candidate);
-    if (found) return found;
-  }
-  return null;
-}
-
-function buildProductIdentifiers(card) {
-  const identifiers = [];
-
-  const productKey = card.product_key || makeCtProductKey(card.product_number);
-  if (productKey) identifiers.push(productKey);
-
-  if (card.product_id) identifiers.push(`id:${card.product_id}`);
-
-  if (card.link) {
-    const normalizedLink = card.link.split("?")[0].toLowerCase();
-    identifiers.push(`href:${normalizedLink}`);
-  }
-
-  return identifiers.filter(Boolean);
-}
-
-async function extractFromCard(card) {
-  const data = await card.evaluate((el, { base }) => {
-    const cleanMoney = (s) => {
-      if (!s) return null;
-      s = s.replace(/\u00a0/g, " ").trim();
-      const m = s.match(/(\d[\d\s.,]*)(?:\s*\$)?/);
-      return m ? m[1].replace(/\s/g, "") : s;
-    };
-
-    const textFromEl = (node) => {
-      if (!node) return null;
-      const t = node.textContent;
-      return t ? t.trim() : null;
-    };
-
-    const titleEl = el.querySelector("[id^='title__promolisting-'], .nl-product-card__title");
-    const title = textFromEl(titleEl);
-
-    const imgEl = el.querySelector(".nl-product-card__image-wrap img");
-    let image = null;
-    if (imgEl) image = imgEl.getAttribute("src") || imgEl.getAttribute("data-src");
-    if (image && image.startsWith("//")) image = `https:${image}`;
-    if (image && image.startsWith("/")) image = base + image;
-
-    const availability = textFromEl(el.querySelector(".nl-product-card__availability-message"));
-
-    const badges = Array.from(el.querySelectorAll(".nl-plp-badges"))
-      .map((node) => textFromEl(node))
-      .filter(Boolean);
-
-    const primaryAnchor = el.querySelector("a.nl-product-card__no-button.prod-link");
-    let link = primaryAnchor ? primaryAnchor.getAttribute("href") : null;
-    const titleAnchor = titleEl ? titleEl.closest("a") : null;
-    if (!link && titleAnchor) link = titleAnchor.getAttribute("href");
-    if (!link) {
-      const any = el.querySelector("a[href*='/p/'], a[href*='/product/']");
-      if (any) link = any.getAttribute("href");
-    }
-    if (link && link.startsWith("/")) link = base + link;
-
-    const productId = el.getAttribute("data-product-id") || el.getAttribute("data-productid") || null;
-    const extractProductNumberRaw = (source) => {
-      if (!source) return null;
-      const str = String(source);
-      const formatted = str.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
-      if (formatted) return formatted[0];
-      const digits = str.match(/\b(\d{8})\b/);
-      return digits ? digits[1] : null;
-    };
-
-    let productNumberRaw = null;
-    let sku = null;
-    let skuFormatted = null;
-    if (primaryAnchor) {
-      const href = primaryAnchor.getAttribute("href") || "";
-      const ariaLabelledby = primaryAnchor.getAttribute("aria-labelledby") || "";
-      const skuMatch = href.match(/-([0-9]{7})p\.html/i);
-      const skuFormattedMatch = ariaLabelledby.match(/promolisting-([0-9-]+)/i);
-      if (skuMatch) sku = skuMatch[1];
-      if (skuFormattedMatch) skuFormatted = skuFormattedMatch[1];
-      productNumberRaw = extractProductNumberRaw(ariaLabelledby) || extractProductNumberRaw(href);
-    }
-    if (!productNumberRaw) {
-      productNumberRaw = extractProductNumberRaw(link) || extractProductNumberRaw(title);
-    }
-
-    return {
-      name: title || null,
-      image: image || null,
-      availability: availability || null,
-      badges,
-      link: link || null,
-      product_id: productId,
-      sku,
-      sku_formatted: skuFormatted,
-      product_number_raw: productNumberRaw,
-    };
-  }, { base: BASE });
-
-  return data;
-}
-
-async function scrapeListing(page, { skipGuards = false } = {}) {
-  if (!skipGuards) {
-    await page.waitForSelector(SELECTORS.card, { timeout: 45000 });
-    await page.waitForSelector("span[data-testid='priceTotal'], .nl-price--total", { timeout: 45000 }).catch(() => {});
-  } else {
-    const hasCards = await page.locator(SELECTORS.card).count();
-    if (!hasCards) {
-      await page.waitForSelector(SELECTORS.card, { timeout: 45000 });
-    }
-  }
-
-  const cardsLocator = page.locator(SELECTORS.card);
-  try {
-    const items =
-      (await cardsLocator.evaluateAll((nodes, { base }) => {
-      const cleanMoney = (s) => {
-        if (!s) return null;
-        s = s.replace(/\u00a0/g, " ").trim();
-        const m = s.match(/(\d[\d\s.,]*)(?:\s*\$)?/);
-        return m ? m[1].replace(/\s/g, "") : s;
-      };
-
-      const textFromEl = (node) => {
-        if (!node) return null;
-        const t = node.textContent;
-        return t ? t.trim() : null;
-      };
-
-      const extractSkuData = (anchor) => {
-        if (!anchor) return { sku: null, sku_formatted: null, product_number_raw: null };
-        const href = anchor.getAttribute("href") || "";
-        const ariaLabelledby = anchor.getAttribute("aria-labelledby") || "";
-        const skuMatch = href.match(/-([0-9]{7})p\.html/i);
-        const skuFormattedMatch = ariaLabelledby.match(/promolisting-([0-9-]+)/i);
-        const productFormattedMatch = ariaLabelledby.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
-        const productDigitsMatch = href.match(/\b(\d{8})\b/);
-        return {
-          sku: skuMatch ? skuMatch[1] : null,
-          sku_formatted: skuFormattedMatch ? skuFormattedMatch[1] : null,
-          product_number_raw: productFormattedMatch
-            ? productFormattedMatch[0]
-            : productDigitsMatch
-            ? productDigitsMatch[1]
-            : null,
-        };
-      };
-
-      const extractProductNumberRaw = (sources) => {
-        for (const source of sources) {
-          if (!source) continue;
-          const str = String(source);
-          const formatted = str.match(/#?\s*(\d{3}-\d{4}-\d)\b/);
-          if (formatted) return formatted[0];
-          const digits = str.match(/\b(\d{8})\b/);
-          if (digits) return digits[1];
-        }
-        return null;
-      };
-
-      return nodes.map((el) => {
-        const titleEl = el.querySelector("[id^='title__promolisting-'], .nl-product-card__title");
-        const title = textFromEl(titleEl);
-
-        const priceSaleRaw = textFromEl(el.querySelector("span[data-testid='priceTotal'], .nl-price--total"));
-        const priceWasRaw = textFromEl(el.querySelector(".nl-price__was s, .nl-price__was, .nl-price--was, .nl-price__change s"));
-        const price_sale = cleanMoney(priceSaleRaw);
-        const price_original = cleanMoney(priceWasRaw);
-
-        const imgEl = el.querySelector(".nl-product-card__image-wrap img");
-        let image = null;
-        if (imgEl) image = imgEl.getAttribute("src") || imgEl.getAttribute("data-src");
-        if (image && image.startsWith("//")) image = `https:${image}`;
-        if (image && image.startsWith("/")) image = base + image;
-
-        const availability = textFromEl(el.querySelector(".nl-product-card__availability-message"));
-
-        const badges = Array.from(el.querySelectorAll(".nl-plp-badges"))
-          .map((node) => textFromEl(node))
-          .filter(Boolean);
-
-        const primaryAnchor = el.querySelector("a.nl-product-card__no-button.prod-link");
-        let link = primaryAnchor ? primaryAnchor.getAttribute("href") : null;
-        const titleAnchor = titleEl ? titleEl.closest("a") : null;
-        if (!link && titleAnchor) link = titleAnchor.getAttribute("href");
-        if (!link) {
-          const any = el.querySelector("a[href*='/p/'], a[href*='/product/']");
-          if (any) link = any.getAttribute("href");
-        }
-        if (link && link.startsWith("/")) link = base + link;
-
-        const productId = el.getAttribute("data-product-id") || el.getAttribute("data-productid") || null;
-        const { sku, sku_formatted, product_number_raw: anchorProductNumber } = extractSkuData(primaryAnchor);
-        const product_number_raw = extractProductNumberRaw([
-          anchorProductNumber,
-          sku_formatted,
-          sku,
-          link,
-          title,
-          primaryAnchor ? primaryAnchor.getAttribute("aria-labelledby") : null,
-        ]);
-
-        return {
-          name: title || null,
-          price_sale,
-          price_sale_raw: priceSaleRaw || null,
-          price_original,
-          price_original_raw: priceWasRaw || null,
-          image: image || null,
-          availability: availability || null,
-          badges,
-          link: link || null,
-          product_id: productId,
-          sku,
-          sku_formatted,
-          product_number_raw,
-        };
-      });
-    }, { base: BASE })) || [];
-
-    return items;
-  } catch (e) {
-    console.warn("scrapeListing evaluateAll error:", e?.message || e);
-    if (!skipGuards) {
-      await page.waitForSelector(SELECTORS.card, { timeout: 45000 }).catch(() => {});
-    }
-    const cards = page.locator(SELECTORS.card);
-    const n = await cards.count();
-    const tasks = [];
-    for (let i = 0; i < n; i++) {
-      const card = cards.nth(i);
-      tasks.push(
-        extractFromCard(card).catch((err) => {
-          console.warn("extractFromCard error:", err?.message || err);
-          return null;
-        })
-      );
-    }
-    const out = await Promise.all(tasks);
-    return out.filter(Boolean);
-  }
-}
-
-// ---------- UTILS ----------
-function extractPrice(text) {
-  if (text == null) return null;
-  const normalized = String(text);
-  const m = normalized.replace(/\s/g, "").match(/(\d+[\.,]?\d*)/);
-  return m ? parseFloat(m[1].replace(",", ".")) : null;
-}
-
-function computeDiscountPercent(regularPrice, liquidationPrice) {
-  if (regularPrice == null || liquidationPrice == null) return null;
-  if (regularPrice <= 0 || liquidationPrice <= 0) return null;
-
-  const discount = ((regularPrice - liquidationPrice) / regularPrice) * 100;
-  return Number.isFinite(discount) ? discount : null;
-}
-
-function normalizeProductUrlForDedup(rawUrl) {
-  if (!rawUrl) return null;
-  try {
-    const parsed = new URL(rawUrl, BASE);
-    parsed.search = "";
-    parsed.hash = "";
-    return parsed.toString().toLowerCase();
-  } catch {
-    const str = String(rawUrl);
-    return str ? str.toLowerCase() : null;
-  }
-}
-
-function withPageParam(urlStr, pageNum) {
-  try {
-    const url = new URL(urlStr, BASE);
-    url.searchParams.set("page", String(pageNum));
-    return url.toString();
-  } catch {
-    const sep = urlStr.includes("?") ? "&" : "?";
-    return `${urlStr}${sep}page=${pageNum}`;
-  }
-}
-
-function buildStableDedupKey(record) {
-  const productKey = record.product_key || record.productKey;
-  if (productKey) {
-    return `product_key:${String(productKey).toLowerCase()}`;
-  }
-
-  const storeId = record.store_id ?? record.storeId ?? null;
-  const sku = record.sku ?? record.sku_formatted ?? null;
-  if (storeId && sku) {
-    return `store:${storeId}|sku:${String(sku).toLowerCase()}`;
-  }
-
-  const normalizedUrl = normalizeProductUrlForDedup(record.url || record.link);
-  if (storeId && normalizedUrl) {
-    return `store:${storeId}|url:${normalizedUrl}`;
-  }
-
-  return null;
-}
-
-function dedupeDeals(records) {
-  const seen = new Set();
-  const deduped = [];
-
-  for (const record of records) {
-    const key = buildStableDedupKey(record);
-    if (!key) {
-      deduped.push(record);
-      continue;
-    }
-    if (seen.has(key)) continue;
-    seen.add(key);
-    deduped.push(record);
-  }
-
-  return deduped;
-}
-
-function buildDedupKeysFromRecord(record) {
-  const keys = [];
-  if (record.product_key) {
-    keys.push(`product_key:${String(record.product_key).toLowerCase()}`);
-  }
-
-  const productNumber = record.product_number ?? record.productNumber;
-  if (productNumber) {
-    keys.push(`product_number:${String(productNumber).toLowerCase()}`);
-  }
-
-  const sku = record.sku ?? record.sku_formatted;
-  if (sku) {
-    keys.push(`sku:${String(sku).toLowerCase()}`);
-  }
-
-  const normalizedUrl = normalizeProductUrlForDedup(record.url || record.link);
-  if (normalizedUrl) {
-    keys.push(`url:${normalizedUrl}`);
-  }
-
-  return keys;
-}
-
-function resolveOutputPaths(storeId, storeName = "") {
-  const storeIdStr = storeId != null ? String(storeId) : "";
-  const normalizedStoreName = storeName != null ? String(storeName) : "";
-  let OUT_BASE = args.outBase;
-  if (!OUT_BASE) {
-    const citySlug = slugify(normalizedStoreName, { lower: true, strict: true });
-    OUT_BASE = path.join("outputs", "canadiantire", `${storeIdStr}-${citySlug}`);
-  }
-  const jsonPath = path.join(OUT_BASE, "data.json");
-  const csvPath = path.join(OUT_BASE, "data.csv");
-  return { OUT_BASE, jsonPath, csvPath };
-}
-
-function buildCategoryUrlForStore(categoryUrl, storeId) {
-  if (!categoryUrl) return DEFAULT_BASE;
-  try {
-    const url = new URL(categoryUrl, BASE);
-    if (storeId) {
-      url.searchParams.set("store", storeId);
-    }
-    return url.toString();
-  } catch {
-    return categoryUrl;
-  }
-}
-
-function normalizeAvailabilityInfo(rawAvailability, stockQtyInput = null) {
-  const availabilityText = rawAvailability == null
-    ? null
-    : (typeof rawAvailability === "string" ? rawAvailability : String(rawAvailability)).trim();
-
-  const isEnumAvailability =
-    availabilityText && ["in_stock", "out_of_stock", "unknown"].includes(availabilityText);
-
-  let availability = isEnumAvailability ? availabilityText : "unknown";
-  let stockQty = Number.isFinite(stockQtyInput) ? Number(stockQtyInput) : null;
-
-  const normalizedText = availabilityText
-    ? availabilityText
-        .normalize("NFD")
-        .replace(/[\u0300-\u036f]/g, "")
-        .toLowerCase()
-    : "";
-
-  if (stockQty == null && availabilityText) {
-    const prefix = availabilityText.split("#")[0];
-    const prefixNumbers = Array.from(prefix.matchAll(/(\d+)/g))
-      .map((match) => Number(match[1]))
-      .filter((num) => Number.isFinite(num) && num < 10000);
-
-    if (prefixNumbers.length > 0) {
-      stockQty = prefixNumbers[0];
-    }
-  }
-
-  if (stockQty != null) {
-    availability = stockQty > 0 ? "in_stock" : "out_of_stock";
-  } else if (!isEnumAvailability && normalizedText) {
-    if (/(rupture|out of stock|epuise|sold out|indisponible|not available)/.test(normalizedText)) {
-      availability = "out_of_stock";
-    } else if (/(en stock|available|disponible|quantite|reste)/.test(normalizedText)) {
-      availability = "in_stock";
-    }
-  }
-
-  return {
-    availability,
-    stockQty,
-    availabilityText: availabilityText || null,
-  };
-}
-
-function mapRecordToNationalIndex(record, storeMeta) {
-  const productKey = record.product_key || record.productKey;
-  if (!productKey) return null;
-
-  const availabilityInfo = normalizeAvailabilityInfo(
-    record.availability_text ?? record.availabilityText ?? record.availability ?? null,
-    record.stockQty ?? record.stock_qty ?? null,
-  );
-
-  const price = extractPrice(
-    record.liquidation_price ?? record.sale_price ?? record.price ?? null
-  );
-  const originalPrice = extractPrice(
-    record.regular_price ?? record.price_original ?? record.price ?? null
-  );
-
-  return {
-    productKey,
-    storeId: storeMeta.storeId ?? null,
-    storeSlug: storeMeta.storeSlug ?? null,
-    storeName: storeMeta.storeName ?? null,
-    price: Number.isFinite(price) ? Number(price) : null,
-    originalPrice: Number.isFinite(originalPrice) ? Number(originalPrice) : null,
-    discountPercent: record.discount_percent ?? null,
-    title: record.title ?? record.name ?? null,
-    productUrl: record.url ?? record.link ?? null,
-    stockQty: availabilityInfo.stockQty,
-    availability: availabilityInfo.availability,
-    availabilityText: availabilityInfo.availabilityText,
-  };
-}
-
-function createRecordFromCard(card, pageIsClearance, storeContext = { storeId: null, city: null }) {
-  const priceSaleRaw = card.price_sale_raw ?? card.price_sale ?? null;
-  const priceWasRaw = card.price_original_raw ?? card.price_original ?? null;
-  const salePrice = extractPrice(priceSaleRaw ?? undefined);
-  const regularPrice = extractPrice(priceWasRaw ?? undefined);
-  const priceRaw = priceSaleRaw || priceWasRaw || null;
-  const price = salePrice ?? regularPrice ?? null;
-
-  const availabilityKeys = buildCtKeysFromAvailability(card.availability);
-  const productNumberRaw =
-    card.product_number_raw ??
-    extractCtProductNumberRaw(
-      card.product_number,
-      card.link,
-      card.name,
-      card.title
-    ) ??
-    availabilityKeys.productNumberRaw ??
-    card.productNumberRaw ??
-    null;
-  const productNumber =
-    normalizeCtProductNumber(productNumberRaw) ??
-    availabilityKeys.productNumber ??
-    normalizeCtProductNumber(card.product_number ?? card.productNumber ?? null);
-  const productKey =
-    card.product_key ||
-    card.productKey ||
-    makeCtProductKey(
-      productNumberRaw ??
-      availabilityKeys.productNumberRaw ??
-      card.product_number ??
-      card.productNumber ??
-      null
-    ) ||
-    availabilityKeys.productKey;
-
-  const discountPercent =
-    card.discount_percent != null
-      ? card.discount_percent
-      : computeDiscountPercent(regularPrice, salePrice);
-
-  const meetsDiscountThreshold =
-    regularPrice != null &&
-    salePrice != null &&
-    regularPrice > 0 &&
-    salePrice > 0 &&
-    discountPercent >= 50;
-
-  if (!meetsDiscountThreshold) return null;
-
-  const discount_percent =
-    discountPercent != null ? Math.round(discountPercent * 100) / 100 : null;
-
-  const badges = Array.isArray(card.badges) ? card.badges : [];
-  const normalizedBadges = badges.map((b) => b.toLowerCase());
-  const hasLiquidationBadge = normalizedBadges.some((b) => /liquidation|clearance/.test(b));
-  const isLiquidation = hasLiquidationBadge ||
-    (pageIsClearance && salePrice != null && (regularPrice == null || salePrice <= regularPrice));
-
-  const availabilityInfo = normalizeAvailabilityInfo(
-    card.availability,
-    card.stockQty ?? card.stock_qty ?? null,
-  );
-
-  const rec = {
-    store_id: storeContext.storeId || null,
-    city: storeContext.city || null,
-    name: card.name || null,
-    title: card.name || null,
-    price,
-    price_raw: priceRaw,
-    liquidation: !!isLiquidation,
-    image: card.image || null,
-    image_url: card.image || null,
-    url: card.link || null,
-    link: card.link || null,
-    product_id: card.product_id || null,
-    sku: card.sku || null,
-    sku_formatted: card.sku_formatted || null,
-    product_number_raw: productNumberRaw || null,
-    product_number: productNumber || null,
-    product_key: productKey || null,
-    productNumberRaw: productNumberRaw || null,
-    productNumber: productNumber || null,
-    productKey: productKey || null,
-    availability: availabilityInfo.availability,
-    availability_text: availabilityInfo.availabilityText,
-    stockQty: availabilityInfo.stockQty,
-    badges,
-    discount_percent,
-    model_number: null,
-    model_number_norm: null,
-    part_number: null,
-    part_number_norm: null,
-    brand: null,
-    upc: null,
-  };
-
-  if (INCLUDE_LIQUIDATION_PRICE) {
-    rec.liquidation_price = salePrice ?? null;
-    rec.liquidation_price_raw = priceSaleRaw || null;
-    rec.sale_price = salePrice ?? null;
-    rec.sale_price_raw = priceSaleRaw || null;
-  }
-  if (INCLUDE_REGULAR_PRICE) {
-    rec.regular_price = regularPrice ?? null;
-    rec.regular_price_raw = priceWasRaw || null;
-  }
-
-  rec.price_sale_clean = card.price_sale || null;
-  rec.price_original_clean = card.price_original || null;
-
-  return rec;
-}
-
-async function lazyWarmup(page) {
-  // scroll rapide pour déclencher lazy render des prix/images sans multiplier les pauses
-  await page.evaluate(async () => {
-    const viewport = window.innerHeight || 800;
-    const maxScroll = document.body.scrollHeight || viewport;
-    if (maxScroll <= viewport * 1.15) {
-      window.scrollTo(0, 0);
-      return;
-    }
-    const step = Math.max(260, Math.floor(viewport * 1.3));
-    const delay = 35;
-    for (let y = 0; y < maxScroll; y += step) {
-      window.scrollTo(0, y);
-      await new Promise((resolve) => setTimeout(resolve, delay));
-    }
-    window.scrollTo(0, 0);
+      : null,
+    publishGuard: args.publishGuard,
+    maxDropRatio: args.maxDropRatio != null ? Number(args.maxDropRatio) : undefined,
+    acceptStores: [].concat(args.acceptStore ?? []).flatMap((value) => String(value).split(",")).filter(Boolean),
+    format: args.format ? String(args.format) : undefined,
+    checkpointPath: args.checkpoint
+      ? path.resolve(
+          String(args.checkpointFile || defaultCheckpointPath(storesToProcess.map((store) => store.storeId ?? store.id)))
+        )
+      : null,
+    resume: !!args.resume,
+    maxRuntimeMinutes: args.maxRuntimeMinutes != null ? Number(args.maxRuntimeMinutes) : null,
+    storeBudgetMinutes: args.storeBudgetMinutes != null ? Number(args.storeBudgetMinutes) : undefined,
+    closeBrowsersOnSignal: false,
+    runsDir: path.resolve(String(args.runsDir || DEFAULT_RUNS_DIR)),
+    maxStoreAttempts: args.maxStoreAttempts != null ? Number(args.maxStoreAttempts) : undefined,
+    retryBaseDelayMs: args.retryBaseDelayMs != null ? Number(args.retryBaseDelayMs) : undefined,
+    stopDrainMs: args.stopDrainSeconds != null ? Number(args.stopDrainSeconds) * 1000 : undefined,
   });
-  await page.waitForTimeout(40);
-  await Promise.race([
-    page.waitForSelector(
-      "[data-testid='sale-price'], [data-testid='regular-price'], span[data-testid='priceTotal'], .nl-price--total, .price, .price__value",
-      { timeout: 45000 }
-    ),
-    page.waitForTimeout(650),
-  ]).catch(()=>{});
-}
-
-async function enrichRecordsWithModelData(context, records, {
-  concurrency = 4,
-} = {}) {
-  if (!records.length) return records;
-
-  const cache = new Map();
-  const limit = pLimit(concurrency);
-  await Promise.all(
-    records.map((record) => limit(async () => {
-      const url = record.url || record.link;
-      if (!url) return;
-      const cacheKey = normalizeProductUrlForDedup(url) || url;
-      const cached = cache.get(cacheKey);
-      if (cached) {
-        record.model_number = cached.model_number;
-        record.model_number_norm = cached.model_number_norm;
-        record.part_number = cached.part_number;
-        record.part_number_norm = cached.part_number_norm;
-        record.brand = cached.brand;
-        record.upc = cached.upc;
-        return;
-      }
-      const page = await context.newPage();
-      page.setDefaultNavigationTimeout(10000);
-      page.setDefaultTimeout(10000);
-      try {
-        await page.goto(url, { timeout: 10000, waitUntil: "domcontentloaded" });
-        await page.waitForLoadState("networkidle", { timeout: 4000 }).catch(() => {});
-        await dismissMedalliaPopup(page);
-        for (let i = 0; i < 6; i += 1) {
-          await page.mouse.wheel(0, 1200);
-          await page.waitForTimeout(300);
-        }
-        const modelData = await extractModelDataFromPage(page);
-        if (modelData?.model_number) {
-          record.model_number = modelData.model_number;
-          record.model_number_norm = modelData.model_number_norm || normalizeCode(modelData.model_number);
-        }
-        if (modelData?.part_number) {
-          record.part_number = modelData.part_number;
-          record.part_number_norm =
-            modelData.part_number_norm || normalizeCode(modelData.part_number);
-        }
-        if (modelData?.brand) record.brand = modelData.brand;
-        if (modelData?.upc) record.upc = modelData.upc;
-        cache.set(cacheKey, {
-          model_number: record.model_number ?? null,
-          model_number_norm: record.model_number_norm ?? null,
-          part_number: record.part_number ?? null,
-          part_number_norm: record.part_number_norm ?? null,
-          brand: record.brand ?? null,
-          upc: record.upc ?? null,
-        });
-      } catch (error) {
-        console.warn(`[MODEL] Erreur sur ${url}:`, error?.message || error);
-      } finally {
-        await page.close().catch(() => {});
-      }
-    }))
-  );
-
-  return records;
-}
-
-async function maybeCloseStoreModal(page) {
-  const selectors = [
-    "button[aria-label='Fermer']",
-    "button[aria-label='Close']",
-    "button:has-text('Plus tard')",
-    "button:has-text('Later')",
-    "button:has-text('Continuer')",
-    "button:has-text('Continue')",
-  ];
-  for (const sel of selectors) {
-    try {
-      const loc = page.locator(sel).first();
-      if (await loc.isVisible().catch(()=>false)) {
-        await loc.click().catch(()=>{});
-        await page.waitForTimeout(500);
-      }
-    } catch {}
-  }
-}
-
-let cachedCategoryUrls = null;
-let categoryFetchPromise = null;
-
-async function fetchCategoryUrls() {
-  const browser = await chromium.launch({ headless: HEADLESS, args: ["--disable-dev-shm-usage"] });
-  const context = await browser.newContext({ locale: "fr-CA" });
-  context.setDefaultTimeout(0);
-  const page = await context.newPage();
-  page.setDefaultNavigationTimeout(0);
-
-  await page.route("**/*medallia*", (route) => route.abort());
-  await page.route("**/resources.digital-cloud.medallia.ca/**", (route) => route.abort());
-
-  try {
-    await page.goto(DEFAULT_BASE, { timeout: 120000, waitUntil: "domcontentloaded" });
-    await maybeCloseStoreModal(page);
-
-    const links = await page
-      .locator("a[href*='/fr/promotions/liquidation/']")
-      .evaluateAll((anchors, base) => {
-        const urls = anchors
-          .map((anchor) => anchor.getAttribute("href"))
-          .filter(Boolean)
-          .map((href) => {
-            try {
-              const u = new URL(href, base);
-              u.hash = "";
-              return u.toString();
-            } catch {
-              return null;
-            }
-          })
-          .filter(Boolean)
-          .filter((href) => href.includes("/fr/promotions/liquidation/"));
-
-        return Array.from(new Set(urls));
-      }, BASE);
-
-    console.log(`[SCRAPER] ${links.length} catégorie(s) détectée(s) sur la page de liquidation.`);
-    return links;
-  } catch (error) {
-    console.error("[SCRAPER] Impossible de récupérer les catégories de liquidation :", error);
-    return [];
-  } finally {
-    await browser.close();
-  }
+} catch (error) {
+  console.error(error?.message || error);
+  process.exit(1);
 }
 
-async function getCategoryUrls() {
-  if (cachedCategoryUrls) return cachedCategoryUrls;
+// --storeId / --storeName priment sur les valeurs du fichier de magasins.
+const cliStores = storesToProcess.map((store) => ({
+  storeId: storeIdCLI || (store.storeId ?? store.id ?? null),
+  storeName: storeNameCLI || (store.storeName ?? store.city ?? store.name ?? ""),
+}));
 
-  if (!categoryFetchPromise) {
-    categoryFetchPromise = fetchCategoryUrls().catch((error) => {
-      console.error("[SCRAPER] Échec lors de la récupération des catégories :", error);
-      return [];
-    });
+// Arrêt propre: les magasins en cours finissent leur page et écrivent leur sortie partielle.
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+let receivedSignal = null;
+const onSignal = (signal) => {
+  if (receivedSignal) {
+    console.error(`[SCRAPER] ${signal} reçu à nouveau: arrêt immédiat.`);
+    process.exit(SIGNAL_EXIT_CODES[signal]);
   }
-
-  cachedCategoryUrls = await categoryFetchPromise;
-  return cachedCategoryUrls;
-}
-
-const STORE_SELECTORS = {
-  openButtons: [
-    "button:has-text('Sélectionner le magasin')",
-    "button:has-text('Choose Store')",
-    "a:has-text('Changer de magasin')",
-    "a:has-text('Change Store')",
-  ].join(", "),
-  confirmButtons: [
-    "button:has-text('Définir ce magasin')",
-    "button:has-text('Set as My Store')",
-  ].join(", "),
-  closeButtons: [
-    "button[aria-label*='fermer' i]",
-    "button[aria-label*='close' i]",
-    "button:has-text('Fermer')",
-    "button:has-text('Close')",
-  ].join(", "),
-  storeCards: "[data-store-id], [href*='store=']",
+  receivedSignal = signal;
+  console.log(`[SCRAPER] ${signal} reçu: fin des pages en cours puis écriture des sorties partielles.`);
+  scraper.stop(`signal:${signal}`);
 };
-
-async function openStoreSelector(page) {
-  const openButton = page.locator(STORE_SELECTORS.openButtons).first();
-  if (await openButton.isVisible().catch(() => false)) {
-    await openButton.click({ timeout: 5000 }).catch(() => {});
-  }
-  await page.locator(STORE_SELECTORS.storeCards).first().waitFor({ state: "visible", timeout: 10000 }).catch(() => {});
-}
-
-async function closeStoreSelector(page) {
-  const closeButton = page.locator(STORE_SELECTORS.closeButtons).first();
-  if (await closeButton.isVisible().catch(() => false)) {
-    await closeButton.click({ timeout: 3000 }).catch(() => {});
-  }
-  await page.keyboard.press("Escape").catch(() => {});
-  await page.locator(STORE_SELECTORS.storeCards).first().waitFor({ state: "hidden", timeout: 5000 }).catch(() => {});
-}
-
-async function clickStoreCard(page, storeId) {
-  const byId = page.locator(`[data-store-id='${storeId}'], [href*='store=${storeId}']`).first();
-  if (await byId.isVisible().catch(() => false)) {
-    await byId.click().catch(() => {});
-    return true;
-  }
-  const byText = page.locator(`text=${storeId}`).first();
-  if (await byText.isVisible().catch(() => false)) {
-    await byText.click().catch(() => {});
-    return true;
-  }
-  return false;
-}
-
-async function waitForStoreApplied(page, storeId, storeName) {
-  const expectedStoreId = String(storeId);
-  const currentUrl = page.url();
-  try {
-    const parsed = new URL(currentUrl);
-    if (parsed.searchParams.get("store") === expectedStoreId) {
-      return true;
-    }
-  } catch {}
-
-  const checks = [];
-
-  checks.push(
-    page.waitForFunction(
-      (id) => {
-        try {
-          const url = new URL(window.location.href);
-          return url.searchParams.get("store") === id;
-        } catch {
-          return false;
-        }
-      },
-      expectedStoreId,
-      { timeout: 15000 }
-    )
-  );
-
-  checks.push(
-    page.waitForResponse(
-      (response) => {
-        const url = response.url();
-        if (url.includes(`store=${expectedStoreId}`) || url.includes(`storeId=${expectedStoreId}`)) {
-          return true;
-        }
-        const postData = response.request().postData();
-        return postData ? postData.includes(expectedStoreId) : false;
-      },
-      { timeout: 15000 }
-    )
-  );
-
-  if (storeName) {
-    const normalizedStoreName = String(storeName).trim();
-    if (normalizedStoreName) {
-      checks.push(
-        page.locator(`text=${normalizedStoreName}`).first().waitFor({ state: "visible", timeout: 15000 })
-      );
-    }
-  }
-
-  try {
-    await Promise.any(checks);
-    return true;
-  } catch {
-    return false;
-  }
-}
-
-async function getDetectedStoreText(page) {
-  const candidates = page.locator(
-    [
-      "[data-testid*='store']",
-      "[aria-label*='magasin' i]",
-      "[aria-label*='store' i]",
-      "button:has-text('Magasin')",
-      "button:has-text('Store')",
-    ].join(", ")
-  );
-  const count = await candidates.count();
-  for (let i = 0; i < Math.min(count, 3); i++) {
-    const text = await candidates.nth(i).textContent().catch(() => null);
-    if (text && text.trim()) return text.trim();
-  }
-  return null;
-}
-
-async function saveStoreDebugArtifacts(page, storeId, debugDir) {
-  if (!debugDir) return;
-  await fsExtra.ensureDir(debugDir);
-  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-  const baseName = `store-selection-${storeId}-${timestamp}`;
-  const screenshotPath = path.join(debugDir, `${baseName}.png`);
-  const htmlPath = path.join(debugDir, `${baseName}.html`);
-  const logPath = path.join(debugDir, `${baseName}.log`);
-
-  const detectedStore = await getDetectedStoreText(page);
-  const logPayload = [
-    `storeId=${storeId}`,
-    `url=${page.url()}`,
-    `detectedStore=${detectedStore || "n/a"}`,
-  ].join("\n");
-
-  await Promise.all([
-    page.screenshot({ path: screenshotPath, fullPage: true }).catch(() => {}),
-    page.content().then((content) => fsExtra.writeFile(htmlPath, content)).catch(() => {}),
-    fsExtra.writeFile(logPath, logPayload).catch(() => {}),
-  ]);
-}
-
-async function selectStore(page, { storeId, storeName, debugDir } = {}) {
-  const normalizedStoreId = storeId != null ? String(storeId) : "";
-  if (!normalizedStoreId) return false;
-
-  const maxRetries = 2;
-  console.log(`Selecting store ${normalizedStoreId}...`);
-
-  for (let attempt = 1; attempt <= maxRetries + 1; attempt += 1) {
-    await openStoreSelector(page);
-    const clicked = await clickStoreCard(page, normalizedStoreId);
-    if (!clicked) {
-      console.warn(`[STORE] Impossible de cliquer le magasin ${normalizedStoreId} (tentative ${attempt}).`);
-    }
-
-    const confirmButton = page.locator(STORE_SELECTORS.confirmButtons).first();
-    if (await confirmButton.isVisible().catch(() => false)) {
-      await confirmButton.click({ timeout: 5000 }).catch(() => {});
-      await confirmButton.waitFor({ state: "hidden", timeout: 10000 }).catch(() => {});
-    }
-
-    const validated = await waitForStoreApplied(page, normalizedStoreId, storeName);
-    if (validated) {
-      console.log(`Validated store ${normalizedStoreId}`);
-      return true;
-    }
-
-    if (attempt <= maxRetries) {
-      console.warn(`Validation failed → retry ${attempt}/${maxRetries} ...`);
-      await closeStoreSelector(page);
-      await page.waitForLoadState("domcontentloaded", { timeout: 60000 }).catch(() => {});
-    }
-  }
-
-  console.error("Failed after retries → debug saved");
-  await saveStoreDebugArtifacts(page, normalizedStoreId, debugDir);
-  return false;
-}
-
-async function autoScrollLoadAllProducts(page, {
-  productSelector = 'a[href*="/pdp/"]',
-  maxRounds = 25,
-  stableRoundsToStop = 3,
-  perRoundWaitMs = 800,
-  maxTotalMs = 20000,
-} = {}) {
-  const start = Date.now();
-
-  let lastCount = await page.locator(productSelector).count();
-  let lastHeight = await page.evaluate(() => document.body.scrollHeight);
-  console.log(`[PAGINATION] Auto-scroll: démarrage avec ${lastCount} produits.`);
-
-  let stable = 0;
-
-  for (let round = 1; round <= maxRounds; round++) {
-    if (Date.now() - start > maxTotalMs) {
-      console.log(`[PAGINATION] Auto-scroll: timeout global atteint (${maxTotalMs}ms). Stop.`);
-      break;
-    }
-
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-    await page.waitForTimeout(perRoundWaitMs);
-
-    const count = await page.locator(productSelector).count();
-    const height = await page.evaluate(() => document.body.scrollHeight);
-
-    const countChanged = count !== lastCount;
-    const heightChanged = height !== lastHeight;
-
-    if (countChanged || heightChanged) {
-      console.log(`[PAGINATION] Round ${round}: produits ${lastCount}→${count}, height ${lastHeight}→${height}`);
-      lastCount = count;
-      lastHeight = height;
-      stable = 0;
-    } else {
-      stable++;
-      console.log(`[PAGINATION] Round ${round}: stable (${stable}/${stableRoundsToStop})`);
-      if (stable >= stableRoundsToStop) {
-        console.log(`[PAGINATION] Auto-scroll: stable, stop.`);
-        break;
-      }
-    }
-  }
-
-  await page.evaluate(() => window.scrollTo(0, 0));
-}
-
-async function scrapeCategoryAllPages(page, categoryUrlWithStore, storeId, {
-  extractPage,
-  autoScrollConfig,
-  storeName,
-  debugDir,
-} = {}) {
-  const items = [];
-  const maxPages = Math.max(1, Number(args.maxPages) || 50);
-  let previousSignature = null;
-  let storeInitialized = false;
-  const seen = new Set();
-  let zeroStreak = 0;
-  const ZERO_STREAK_LIMIT = 3;
-
-  for (let pageNum = 1; pageNum <= maxPages; pageNum++) {
-    if (hasReachedTimeLimit()) {
-      console.log(`[PAGINATION] Stop page ${pageNum}: limite de temps atteinte.`);
-      break;
-    }
-
-    const pageUrl = withPageParam(categoryUrlWithStore, pageNum);
-    console.log("➡️  Go to:", pageUrl);
-
-    let retries = 3;
-    while (retries > 0) {
-      try {
-        await page.goto(pageUrl, { timeout: 120000, waitUntil: "domcontentloaded" });
-        break;
-      } catch (e) {
-        if (--retries === 0) throw e;
-        console.log("Retrying page load...");
-        await page.waitForTimeout(3000);
-      }
-    }
-
-    await maybeCloseStoreModal(page);
-
-    if (!storeInitialized) {
-      const m = pageUrl.match(/[?&]store=(\d+)/);
-      const storeIdFromUrl = m ? m[1] : null;
-      if (storeIdFromUrl || storeId) {
-        const selectionOk = await selectStore(page, {
-          storeId: storeIdFromUrl || storeId,
-          storeName,
-          debugDir,
-        });
-        if (!selectionOk) {
-          throw new Error(`Store selection failed for ${storeIdFromUrl || storeId}`);
-        }
-        await page.goto(pageUrl, { timeout: 120000, waitUntil: "domcontentloaded" }).catch(() => {});
-      }
-      storeInitialized = true;
-    }
-
-    const isStable = await waitProductsStable(page);
-    if (!isStable) {
-      console.log(`[PAGINATION] Stop page ${pageNum}: page instable ou timeout.`);
-      break;
-    }
-
-    await lazyWarmup(page);
-    await autoScrollLoadAllProducts(page, autoScrollConfig);
-
-    const { records, totalProducts, productKeys } = await extractPage(pageNum);
-    console.log(`[PAGINATION] Page ${pageNum}: ${records.length} items extraits`);
-
-    items.push(...records);
-
-    let newlyAdded = 0;
-    for (const record of records) {
-      const sku = record.sku ?? record.sku_formatted ?? null;
-      const url = normalizeProductUrlForDedup(record.url || record.link);
-      const key = sku ? `sku:${String(sku).toLowerCase()}` : url ? `url:${url}` : null;
-      if (!key) continue;
-      if (seen.has(key)) continue;
-      seen.add(key);
-      newlyAdded += 1;
-    }
-
-    if (newlyAdded === 0) {
-      zeroStreak += 1;
-    } else {
-      zeroStreak = 0;
-    }
-
-    console.log(
-      `[PAGINATION] Page ${pageNum} stats: extracted=${records.length}, newlyAdded=${newlyAdded}, zeroStreak=${zeroStreak}, totalUnique=${seen.size}`
-    );
-
-    if (zeroStreak >= ZERO_STREAK_LIMIT) {
-      console.log(
-        `[PAGINATION] Stop page ${pageNum}: zeroStreak >= ${ZERO_STREAK_LIMIT} (aucun nouvel item).`
-      );
-      break;
-    }
-
-    let stopReason = null;
-    if (!totalProducts || totalProducts <= 0) {
-      stopReason = "aucun produit sur la page";
-    } else if (records.length === 0) {
-      stopReason = "0 item extrait";
-    } else {
-      const signature = Array.from(productKeys || [])
-        .map((k) => String(k).toLowerCase())
-        .sort()
-        .join("|");
-      if (previousSignature && signature && signature === previousSignature) {
-        stopReason = "contenu identique à la page précédente (signature produits)";
-      }
-      previousSignature = signature || previousSignature;
-
-      if (!stopReason && totalProducts < 50) {
-        stopReason = "< 50 produits détectés (dernière page probable)";
-      }
-    }
-
-    if (stopReason) {
-      console.log(`[PAGINATION] Stop page ${pageNum}: ${stopReason}`);
-      break;
-    }
-  }
-
-  return items;
-}
-
-// ---------- MAIN ----------
-async function scrapeStore(store) {
-  const normalizedStore = {
-    storeId: store?.storeId != null ? String(store.storeId) : store?.id != null ? String(store.id) : null,
-    storeName: store?.storeName ?? store?.city ?? store?.name ?? "",
-  };
-  const storeId = args.storeId != null ? String(args.storeId) : normalizedStore.storeId;
-  const city = normalizedStore.storeName || null;
-  const cliStoreName = args.storeName ? String(args.storeName) : "";
-  const storeName = cliStoreName || normalizedStore.storeName || "";
-  const STORE_TIMEOUT_MS = 45 * 60 * 1000;
-  if (hasReachedTimeLimit()) {
-    console.log(
-      `[SCRAPER] Limite atteinte avant le magasin ${storeId ?? "?"}. Arrêt du lancement de ce magasin.`
-    );
-    return;
-  }
-  console.log(`[SCRAPER] Magasin ${storeId ?? "?"} – ${storeName || city || "Nom inconnu"} : début`);
-
-    const { OUT_BASE, jsonPath: OUT_JSON, csvPath: OUT_CSV } = resolveOutputPaths(
-      storeId ?? "",
-      storeName || city || ""
-    );
-    const storeSlug = path.basename(OUT_BASE);
-    const debugDir = path.join(OUT_BASE, "debug");
-
-  console.log(`OUT_BASE=${OUT_BASE}`);
-  console.log(`💾  JSON → ${OUT_JSON}`);
-  console.log(`📄  CSV  → ${OUT_CSV}`);
-
-  let browser;
-  let context;
-  let page;
-  let storeTimeoutId;
-
-  const storeContext = { storeId, city: storeName || city || null };
-
-  try {
-    browser = await chromium.launch({ headless: HEADLESS, args: ["--disable-dev-shm-usage"] });
-    context = await browser.newContext({ locale: "fr-CA" });
-    context.setDefaultTimeout(0);
-    page = await context.newPage();
-    page.setDefaultNavigationTimeout(0);
-
-    await page.route("**/*medallia*", (route) => route.abort());
-    await page.route("**/resources.digital-cloud.medallia.ca/**", (route) => route.abort());
-    await fsExtra.ensureDir(OUT_BASE);
-
-    const timeoutPromise = new Promise((_, reject) => {
-      storeTimeoutId = setTimeout(() => {
-        reject(new Error(`Timeout magasin ${storeId ?? "?"} après ${STORE_TIMEOUT_MS / 60000} min.`));
-      }, STORE_TIMEOUT_MS);
-    });
-
-    const scrapePromise = (async () => {
-      const categoryUrls = await getCategoryUrls();
-      const urlsToProcess = categoryUrls.length ? categoryUrls : [DEFAULT_BASE];
-      console.log(
-        `[SCRAPER] ${urlsToProcess.length} catégorie(s) à parcourir pour le magasin ${storeId ?? "?"}.`
-      );
-      console.log(`⚙️  Options → liquidation_price=${INCLUDE_LIQUIDATION_PRICE ? "on":"off"}, regular_price=${INCLUDE_REGULAR_PRICE ? "on":"off"}`);
-
-      const allDeals = [];
-      const dedupeKeys = new Set();
-
-      const registerRecord = (record) => {
-        const key = buildStableDedupKey(record);
-        if (key && dedupeKeys.has(key)) return false;
-        if (key) dedupeKeys.add(key);
-        allDeals.push(record);
-        return true;
-      };
-
-      const extractProductsOnPage = async (skipGuards) => {
-        const cards = await scrapeListing(page, { skipGuards });
-        const pageIsClearance = /\/liquidation\.html/i.test(await page.url());
-        const productKeysSet = new Set();
-        const records = [];
-
-        for (const card of cards) {
-          const availabilityKeys = buildCtKeysFromAvailability(card.availability);
-          const productNumberRaw =
-            card.product_number_raw ??
-            extractCtProductNumberRaw(card.link, card.name, card.title) ??
-            availabilityKeys.productNumberRaw ??
-            null;
-          const normalizedProductNumber =
-            normalizeCtProductNumber(productNumberRaw) ??
-            availabilityKeys.productNumber ??
-            normalizeCtProductNumber(card.product_number ?? card.productNumber ?? null);
-          const productKey =
-            card.product_key ||
-            card.productKey ||
-            makeCtProductKey(productNumberRaw ?? availabilityKeys.productNumberRaw ?? null) ||
-            availabilityKeys.productKey;
-
-          if (productNumberRaw) card.product_number_raw = productNumberRaw;
-          if (normalizedProductNumber) card.product_number = normalizedProductNumber;
-          if (productKey) card.product_key = productKey;
-
-          buildProductIdentifiers(card).forEach((key) => productKeysSet.add(key));
-
-          const regularPriceForCheck = extractPrice(
-            card.price_original_raw ??
-            card.price_original ??
-            card.regular_price ??
-            null
-          );
-          const salePriceForCheck = extractPrice(
-            card.price_sale_raw ??
-            card.price_sale ??
-            card.sale_price ??
-            null
-          );
-
-          const discountPercent = computeDiscountPercent(
-            regularPriceForCheck,
-            salePriceForCheck
-          );
-
-          if (
-            discountPercent == null ||
-            discountPercent < 50
-          ) {
-            continue;
-          }
-          const record = createRecordFromCard(
-            { ...card, discount_percent: discountPercent },
-            pageIsClearance,
-            storeContext
-          );
-          if (!record) continue;
-          if (record.title || record.price != null || record.image) {
-            records.push(record);
-          }
-        }
-
-        return { records, totalProducts: cards.length, productKeys: productKeysSet, accepted: records.length };
-      };
-
-      for (const categoryUrl of urlsToProcess) {
-        if (hasReachedTimeLimit()) {
-          console.log(
-            `[SCRAPER] Limite atteinte avant le chargement de la catégorie ${categoryUrl} pour ${storeId ?? "?"}.`
-          );
-          break;
-        }
-
-        const storeCategoryUrl = buildCategoryUrlForStore(categoryUrl, storeId);
-        const autoScrollConfig = {
-          productSelector: SELECTORS.card,
-          maxRounds: Number(args.autoScrollMaxRounds) || AUTO_SCROLL_DEFAULTS.maxRounds,
-          stableRoundsToStop: Number(args.autoScrollStableRounds) || AUTO_SCROLL_DEFAULTS.stableRoundsToStop,
-          perRoundWaitMs: Number(args.autoScrollWaitMs) || AUTO_SCROLL_DEFAULTS.perRoundWaitMs,
-          maxTotalMs: Number(args.autoScrollMaxTotalMs) || AUTO_SCROLL_DEFAULTS.maxTotalMs,
-        };
-
-        const itemsAllPages = await scrapeCategoryAllPages(page, storeCategoryUrl, storeId, {
-          extractPage: () => extractProductsOnPage(true),
-          autoScrollConfig,
-          storeName: storeName || city || "",
-          debugDir,
-        });
-
-        let deals = itemsAllPages.filter((x) => (x.discount_percent ?? 0) >= 50);
-        deals = dedupeDeals(deals);
-
-        let accepted = 0;
-        for (const deal of deals) {
-          if (registerRecord(deal)) accepted += 1;
-        }
-
-        console.log(
-          `✅ ${accepted} deal(s) >= 50% agrégés sur ${itemsAllPages.length} item(s) pour ${storeCategoryUrl}`
-        );
-        if (accepted === 0) {
-          console.log("ℹ️  Aucun deal >= 50% trouvé sur l'ensemble des pages de cette catégorie.");
-        }
-      }
-
-      console.log(
-        `[SCRAPER] Fin du scraping pour le magasin ${storeId ?? "?"} – ${allDeals.length} deal(s) total.`
-      );
-
-      const modelConcurrency = Number(args.modelConcurrency) || 4;
-      await enrichRecordsWithModelData(context, allDeals, {
-        concurrency: Math.max(1, modelConcurrency),
-      });
-
-      const results = allDeals.map((out) => ({
-        ...out,
-        image_url: out.image_url ?? out.image ?? null,
-      }));
-
-      const modelCount = results.filter((item) => item.model_number).length;
-      const partCount = results.filter((item) => item.part_number).length;
-      const upcCount = results.filter((item) => item.upc).length;
-      const brandCount = results.filter((item) => item.brand).length;
-      console.log("model_number_found:", modelCount);
-      console.log("part_number_found:", partCount);
-      console.log("upc_found:", upcCount);
-      console.log("brand_found:", brandCount);
-      globalModelCount += modelCount;
-      globalPartCount += partCount;
-      globalUpcCount += upcCount;
-      globalBrandCount += brandCount;
-
-      await fsExtra.remove(OUT_JSON);
-      await fsExtra.remove(OUT_CSV);
-      const publicStoreDir = path.join(process.cwd(), "public", "canadiantire", storeSlug);
-      const publicJsonPath = path.join(publicStoreDir, "data.json");
-      const publicCsvPath = path.join(publicStoreDir, "data.csv");
-      await fsExtra.ensureDir(publicStoreDir);
-      await fsExtra.remove(publicJsonPath);
-      await fsExtra.remove(publicCsvPath);
-
-      fs.writeFileSync(OUT_JSON, JSON.stringify(results, null, 2));
-      console.log(`💾  JSON → ${OUT_JSON}`);
-
-      const csv = createObjectCsvWriter({
-        path: OUT_CSV,
-        header: [
-          { id: "store_id", title: "store_id" },
-          { id: "city", title: "city" },
-          { id: "name", title: "name" },
-          { id: "title", title: "title" },
-          { id: "price", title: "price" },
-          { id: "price_raw", title: "price_raw" },
-          ...(INCLUDE_REGULAR_PRICE ? [
-            { id: "regular_price", title: "regular_price" },
-            { id: "regular_price_raw", title: "regular_price_raw" },
-          ] : []),
-          ...(INCLUDE_LIQUIDATION_PRICE ? [
-            { id: "liquidation_price", title: "liquidation_price" },
-            { id: "liquidation_price_raw", title: "liquidation_price_raw" },
-            { id: "sale_price", title: "sale_price" },
-            { id: "sale_price_raw", title: "sale_price_raw" },
-          ] : []),
-          { id: "liquidation", title: "liquidation" },
-          { id: "url", title: "url" },
-          { id: "link", title: "link" },
-          { id: "image", title: "image" },
-          { id: "image_url", title: "image_url" },
-          { id: "product_id", title: "product_id" },
-          { id: "product_number_raw", title: "product_number_raw" },
-          { id: "product_number", title: "product_number" },
-          { id: "product_key", title: "product_key" },
-          { id: "sku", title: "sku" },
-          { id: "sku_formatted", title: "sku_formatted" },
-          { id: "model_number", title: "model_number" },
-          { id: "model_number_norm", title: "model_number_norm" },
-          { id: "part_number", title: "part_number" },
-          { id: "part_number_norm", title: "part_number_norm" },
-          { id: "brand", title: "brand" },
-          { id: "upc", title: "upc" },
-          { id: "availability", title: "availability" },
-          { id: "availability_text", title: "availability_text" },
-          { id: "stockQty", title: "stockQty" },
-          { id: "badges", title: "badges" },
-          { id: "discount_percent", title: "discount_percent" },
-          { id: "price_sale_clean", title: "price_sale_clean" },
-          { id: "price_original_clean", title: "price_original_clean" },
-        ],
-      });
-      await csv.writeRecords(results);
-      console.log(`📄  CSV  → ${OUT_CSV}`);
-
-      await fsExtra.copy(OUT_BASE, publicStoreDir, {
-        overwrite: true,
-        filter: (src) => {
-          if (src === OUT_BASE) return true;
-          const rel = path.relative(OUT_BASE, src);
-          if (!rel) return true;
-          return !rel.startsWith(`debug${path.sep}`) && rel !== "debug";
-        },
-      });
-      console.log(`📁  Publish → ${publicStoreDir}`);
-
-      console.log(`[SCRAPER] Magasin ${storeId ?? "?"} – terminé`);
-    })();
-
-    await Promise.race([scrapePromise, timeoutPromise]);
-  } catch (error) {
-    console.error(`[SCRAPER] ERREUR magasin ${storeId ?? "?"} –`, error);
-  } finally {
-    if (storeTimeoutId) clearTimeout(storeTimeoutId);
-    if (context) {
-      await context.close().catch(() => {});
-    }
-    if (browser) {
-      await browser.close().catch(() => {});
-    }
-  }
-}
-
-async function run() {
-  console.log(
-    `[SCRAPER] ${storesToProcess.length} magasins à traiter, ${CONCURRENCY} en parallèle.`
-  );
-
-  for (let i = 0; i < storesToProcess.length; i += CONCURRENCY) {
-    if (hasReachedTimeLimit()) {
-      console.log(
-        `[SCRAPER] Limite atteinte avant le lancement du batch ${i / CONCURRENCY + 1}. Arrêt anticipé du shard.`
-      );
-      break;
-    }
-    const batch = storesToProcess.slice(i, i + CONCURRENCY);
-
-    console.log(
-      `[SCRAPER] Batch ${i / CONCURRENCY + 1} – magasins index ${i} à ${i + batch.length - 1}`
-    );
-
-    await Promise.all(
-      batch.map((store) => {
-        if (hasReachedTimeLimit()) {
-          console.log(
-            `[SCRAPER] Limite atteinte avant le magasin ${store.storeId}. Arrêt du lancement de ce magasin.`
-          );
-          return Promise.resolve();
-        }
-
-        return scrapeStore(store).catch((err) => {
-          console.error("[SCRAPER] Erreur dans un magasin :", err);
-        });
-      })
-    );
-  }
-
-  console.log("model_number_found:", globalModelCount);
-  console.log("part_number_found:", globalPartCount);
-  console.log("upc_found:", globalUpcCount);
-  console.log("brand_found:", globalBrandCount);
-  console.log("[SCRAPER] Shard done - exiting.");
-}
-
-run().catch((err) => {
-  console.error("[SCRAPER] Erreur fatale :", err);
-  process.exit(1);
-});
+process.on("SIGINT", onSignal);
+process.on("SIGTERM", onSignal);
+
+scraper
+  .run(cliStores)
+  .then(async () => {
+    if (eventsStream) {
+      await new Promise((resolve) => eventsStream.end(resolve));
+    }
+    if (receivedSignal) {
+      process.exitCode = SIGNAL_EXIT_CODES[receivedSignal];
+    }
+    console.log("[SCRAPER] Shard done - exiting.");
+  })
+  .catch((err) => {
+    console.error("[SCRAPER] Erreur fatale :", err);
+    process.exit(1);
+  });
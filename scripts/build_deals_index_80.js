@@ -1,8 +1,38 @@
 import fs from "fs/promises";
 import path from "path";
-
-const OUTPUT_PATH = path.join(process.cwd(), "public", "index", "deals-80.json");
-const IGNORE_DIRS = new Set([".git", "node_modules", "public"]);
+import minimist from "minimist";
+import { fileURLToPath } from "url";
+import { parseMoneyValue } from "../lib/ctMoney.js";
+import { PARTIAL_DIR } from "../lib/ctCheckpoint.js";
+import { STORE_DATA_FILE } from "../lib/ctOutputs.js";
+import {
+  INDEX_SCHEMA,
+  INDEX_SCHEMA_VERSION,
+  loadSchema,
+  validateAgainstSchema,
+} from "../lib/ctSchema.js";
+
+// Une seule lecture des sorties → public/index/deals-<pct>.json par palier + manifest.json
+//   --tiers 50,70,80,90 (défaut) | --minDiscount <pct> (un seul palier)
+const DEFAULT_TIERS = "50,70,80,90";
+const args = minimist(process.argv.slice(2), {
+  string: ["minDiscount", "tiers"],
+});
+const TIERS = String(args.tiers ?? args.minDiscount ?? DEFAULT_TIERS)
+  .split(",")
+  .map((value) => value.trim())
+  .filter(Boolean);
+const OUTPUT_DIR = path.join(process.cwd(), "public", "index");
+const STORES_PATH = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "data",
+  "canadian_tire_stores.json"
+);
+const STORE_ID_WIDTH = 4;
+const MANIFEST_PATH = path.join(OUTPUT_DIR, "manifest.json");
+// partial/: sortie d'une exécution interrompue (budget, signal), jamais indexée.
+const IGNORE_DIRS = new Set([".git", "node_modules", "public", PARTIAL_DIR]);
 const ROOT_DIR = process.cwd();
 
 const CANDIDATE_ROOTS = [
@@ -70,7 +100,8 @@ const getDynamicRoots = async () => {
   return Array.from(roots);
 };
 
-const collectJsonFiles = async (dirPath) => {
+// Seuls les data.json des magasins sont indexés (les autres JSON sont des fichiers annexes).
+const collectDataFiles = async (dirPath) => {
   const entries = await readDirSafe(dirPath);
   const files = [];
 
@@ -80,12 +111,12 @@ const collectJsonFiles = async (dirPath) => {
       if (IGNORE_DIRS.has(entry.name)) {
         continue;
       }
-      const nested = await collectJsonFiles(entryPath);
+      const nested = await collectDataFiles(entryPath);
       files.push(...nested);
       continue;
     }
 
-    if (entry.isFile() && entry.name.toLowerCase().endsWith(".json")) {
+    if (entry.isFile() && entry.name === STORE_DATA_FILE) {
       files.push(entryPath);
     }
   }
@@ -97,8 +128,10 @@ const toNumber = (value) => {
   if (value === null || value === undefined) {
     return null;
   }
-  const parsed = Number.parseFloat(String(value));
-  return Number.isNaN(parsed) ? null : parsed;
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  return parseMoneyValue(value);
 };
 
 const getValue = (item, keys) => {
@@ -140,10 +173,37 @@ const extractItems = (data) => {
   return [];
 };
 
-const normalizeItem = (item) => {
+// Les identifiants de data/canadian_tire_stores.json sont sur 4 chiffres ("0218").
+const normalizeStoreId = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const str = String(value).trim();
+  return /^\d+$/.test(str) ? str.padStart(STORE_ID_WIDTH, "0") : str;
+};
+
+const loadStoreNames = async () => {
+  try {
+    const stores = JSON.parse(await fs.readFile(STORES_PATH, "utf8"));
+    const names = new Map();
+    for (const store of Array.isArray(stores) ? stores : []) {
+      const storeId = normalizeStoreId(store.storeId ?? store.id);
+      if (storeId) {
+        names.set(storeId, store.storeName ?? store.name ?? "");
+      }
+    }
+    return names;
+  } catch (error) {
+    console.warn(`Stores file unavailable (${STORES_PATH}): ${error?.message || error}`);
+    return new Map();
+  }
+};
+
+const normalizeItem = (item, storeNames = new Map()) => {
   const name = getValue(item, ["name", "title", "productName"]) || "";
+  const productKey = getValue(item, ["product_key", "productKey"]) || null;
   const sku = getValue(item, ["sku", "productId", "id", "skuId"]) || "";
-  const storeId = getValue(item, ["storeId", "store", "locationId", "store_id"]);
+  const storeId = normalizeStoreId(getValue(item, ["store_id", "storeId", "store", "locationId"]));
   const city = getValue(item, ["city", "storeCity", "locationCity"]) || "";
   const regularPrice = toNumber(
     getValue(item, [
@@ -163,8 +223,10 @@ const normalizeItem = (item) => {
       "sale",
     ])
   );
+  // discount_percent (scraper) en premier: recalculer depuis les prix prendrait les minimums d'une fourchette.
   const discountPctRaw = toNumber(
     getValue(item, [
+      "discount_percent",
       "discountPct",
       "discount_pct",
       "discountPercent",
@@ -178,6 +240,8 @@ const normalizeItem = (item) => {
     "stockStatus",
     "stock",
   ]);
+  const stockQty = toNumber(getValue(item, ["stockQty", "stock_qty"]));
+  const availabilityText = getValue(item, ["availability_text", "availabilityText"]);
   const image = getValue(item, ["image", "imageUrl", "image_url", "img"]);
   const url = getValue(item, ["url", "productUrl", "product_url", "link"]);
 
@@ -187,14 +251,22 @@ const normalizeItem = (item) => {
   }
 
   return {
+    productKey,
     name,
     sku,
-    storeId: storeId === null ? null : Number.parseInt(storeId, 10),
+    storeId,
+    storeName: (storeId && storeNames.get(storeId)) || city,
     city,
+    brand: getValue(item, ["brand"]) ?? null,
+    modelNumber: getValue(item, ["model_number", "modelNumber"]) ?? null,
+    upc: getValue(item, ["upc"]) ?? null,
     regularPrice,
     salePrice,
     discountPct,
     availability: availability ?? "",
+    availabilityText: availabilityText ?? null,
+    stockQty,
+    goingFast: !!getValue(item, ["going_fast", "goingFast"]),
     image: image ?? "",
     url: url ?? "",
   };
@@ -209,7 +281,7 @@ const sortItems = (items) => {
       return String(a.sku).localeCompare(String(b.sku));
     }
     if (a.storeId !== b.storeId) {
-      return (a.storeId ?? 0) - (b.storeId ?? 0);
+      return String(a.storeId ?? "").localeCompare(String(b.storeId ?? ""));
     }
     if (a.salePrice !== b.salePrice) {
       return (a.salePrice ?? 0) - (b.salePrice ?? 0);
@@ -221,7 +293,21 @@ const sortItems = (items) => {
   });
 };
 
-const buildDealsIndex = async () => {
+const parseTiers = (rawTiers) => {
+  const tiers = rawTiers.map((raw) => {
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0 || value > 100) {
+      throw new Error(`Palier invalide: ${raw}`);
+    }
+    return value;
+  });
+  if (!tiers.length) {
+    throw new Error("Aucun palier fourni (--tiers 50,70,80,90).");
+  }
+  return Array.from(new Set(tiers)).sort((a, b) => a - b);
+};
+
+const collectDeals = async (minDiscount) => {
   const dynamicRoots = await getDynamicRoots();
   const candidateRoots = Array.from(new Set([...CANDIDATE_ROOTS, ...dynamicRoots]));
   const jsonFiles = [];
@@ -229,14 +315,16 @@ const buildDealsIndex = async () => {
   for (const root of candidateRoots) {
     const rootPath = path.join(ROOT_DIR, root);
     if (await exists(rootPath)) {
-      const files = await collectJsonFiles(rootPath);
+      const files = await collectDataFiles(rootPath);
       jsonFiles.push(...files);
     }
   }
 
-  const items = [];
-  const dedupe = new Set();
+  const storeNames = await loadStoreNames();
+  // product_key|store → { item, mtimeMs }: en cas de doublon, le fichier le plus récent l'emporte.
+  const byKey = new Map();
   let latestMtimeMs = 0;
+  let ambiguousCount = 0;
 
   for (const filePath of jsonFiles) {
     const stat = await fs.stat(filePath);
@@ -253,46 +341,85 @@ const buildDealsIndex = async () => {
     }
 
     for (const rawItem of extractItems(parsed)) {
-      const normalized = normalizeItem(rawItem);
-      if (normalized.discountPct === null || normalized.discountPct < 80) {
+      // Fourchette ou achat multiple sans prix régulier fiable: rabais non comparable, hors paliers.
+      if (getValue(rawItem, ["price_ambiguous", "priceAmbiguous"]) === true) {
+        ambiguousCount += 1;
+        continue;
+      }
+      const normalized = normalizeItem(rawItem, storeNames);
+      if (normalized.discountPct === null || normalized.discountPct < minDiscount) {
         continue;
       }
 
-      const dedupeKey = [
-        normalized.sku || normalized.name || "unknown",
-        normalized.storeId ?? "unknown",
-        normalized.salePrice ?? "unknown",
-        normalized.regularPrice ?? "unknown",
-      ].join("|");
-      if (dedupe.has(dedupeKey)) {
+      const productId = normalized.productKey || normalized.sku || normalized.name || "unknown";
+      const dedupeKey = `${productId}|${normalized.storeId ?? "unknown"}`;
+      const existing = byKey.get(dedupeKey);
+      if (existing && existing.mtimeMs >= stat.mtimeMs) {
         continue;
       }
 
-      dedupe.add(dedupeKey);
-      items.push(normalized);
+      byKey.set(dedupeKey, { item: normalized, mtimeMs: stat.mtimeMs });
     }
   }
 
-  const sortedItems = sortItems(items);
+  const items = Array.from(byKey.values(), (entry) => entry.item);
+  if (ambiguousCount) {
+    console.log(`Skipped ${ambiguousCount} item(s) with an ambiguous price (price_ambiguous).`);
+  }
+
   const generatedAt = latestMtimeMs
     ? new Date(latestMtimeMs).toISOString()
     : new Date(0).toISOString();
 
   return {
     generatedAt,
-    count: sortedItems.length,
-    items: sortedItems,
+    items: sortItems(items),
   };
 };
 
+const writeJson = async (filePath, payload) => {
+  await fs.writeFile(filePath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+};
+
 const main = async () => {
-  const outputDir = path.dirname(OUTPUT_PATH);
-  await fs.mkdir(outputDir, { recursive: true });
+  const tiers = parseTiers(TIERS);
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+
+  // Les paliers supérieurs sont des sous-ensembles du plus bas: un seul parcours suffit.
+  const { generatedAt, items } = await collectDeals(tiers[0]);
+  const indexSchema = loadSchema(INDEX_SCHEMA);
+  const manifestTiers = [];
+
+  for (const minDiscount of tiers) {
+    const tierItems = items.filter((item) => item.discountPct >= minDiscount);
+    const file = `deals-${minDiscount}.json`;
+    const outputPath = path.join(OUTPUT_DIR, file);
+    const payload = {
+      schema_version: INDEX_SCHEMA_VERSION,
+      generatedAt,
+      minDiscount,
+      count: tierItems.length,
+      items: tierItems,
+    };
+    // Un index hors schéma n'est jamais écrit: les consommateurs gardent le précédent.
+    const errors = validateAgainstSchema(payload, indexSchema);
+    if (errors.length) {
+      for (const error of errors.slice(0, 50)) {
+        console.error(`  ${error.path}: ${error.message}`);
+      }
+      throw new Error(`${file}: ${errors.length} erreur(s) de schéma (${INDEX_SCHEMA})`);
+    }
+    await writeJson(outputPath, payload);
+    manifestTiers.push({ minDiscount, file, count: tierItems.length });
+    console.log(`Wrote ${tierItems.length} deals to ${outputPath}`);
+  }
 
-  const output = await buildDealsIndex();
-  const serialized = `${JSON.stringify(output, null, 2)}\n`;
-  await fs.writeFile(OUTPUT_PATH, serialized, "utf8");
-  console.log(`Wrote ${output.count} deals to ${OUTPUT_PATH}`);
+  await writeJson(MANIFEST_PATH, {
+    schema_version: INDEX_SCHEMA_VERSION,
+    generatedAt,
+    tiers: manifestTiers,
+  });
+  console.log(`Wrote manifest (${manifestTiers.length} tier(s)) to ${MANIFEST_PATH}`);
 };
 
 main().catch((error) => {
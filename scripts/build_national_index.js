@@ -0,0 +1,41 @@
+import fs from "fs/promises";
+import path from "path";
+import minimist from "minimist";
+import { fileURLToPath } from "url";
+import { buildNationalIndex } from "../lib/ctNationalIndex.js";
+import { DEFAULT_OUTPUTS_DIR, findStoreOutputs, loadStoresIndex } from "../lib/ctOutputs.js";
+
+// Index national par produit: où ce produit est-il le moins cher en ce moment?
+//   node scripts/build_national_index.js [--outputsDir outputs/canadiantire] [--out public/index/national.json]
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORES_PATH = path.join(__dirname, "..", "data", "canadian_tire_stores.json");
+
+const args = minimist(process.argv.slice(2), {
+  string: ["outputsDir", "out"],
+  default: {
+    outputsDir: DEFAULT_OUTPUTS_DIR,
+    out: path.join("public", "index", "national.json"),
+  },
+});
+
+const main = async () => {
+  const outputsDir = path.resolve(String(args.outputsDir));
+  const outputPath = path.resolve(String(args.out));
+
+  const storeOutputs = findStoreOutputs(outputsDir);
+  console.log(`[NATIONAL] ${storeOutputs.length} magasin(s) trouvé(s) dans ${outputsDir}`);
+
+  const index = buildNationalIndex(storeOutputs, { storeNames: loadStoresIndex(STORES_PATH) });
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, `${JSON.stringify(index, null, 2)}\n`, "utf8");
+  console.log(
+    `[NATIONAL] ${index.productCount} produit(s) sur ${index.storeCount} magasin(s) → ${outputPath}`
+  );
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
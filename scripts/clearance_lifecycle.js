@@ -0,0 +1,62 @@
+import fs from "fs/promises";
+import path from "path";
+import minimist from "minimist";
+import { DEFAULT_HISTORY_DIR, listHistoryStores, readStoreHistory } from "../lib/ctHistory.js";
+import { computeLifecycles } from "../lib/ctLifecycle.js";
+
+// Cycle de vie des liquidations et prochaine démarque estimée (acheter maintenant ou attendre?):
+//   node scripts/clearance_lifecycle.js [--storeId 0218] [--historyDir outputs/history] [--out outputs/reports/lifecycle.json] [--top 20]
+
+const args = minimist(process.argv.slice(2), {
+  string: ["storeId", "historyDir", "out", "top"],
+  default: {
+    historyDir: DEFAULT_HISTORY_DIR,
+    out: path.join("outputs", "reports", "lifecycle.json"),
+    top: "20",
+  },
+});
+
+const formatPrice = (value) => (value == null ? "?" : `${Number(value).toFixed(2)} $`);
+
+const main = async () => {
+  const historyDir = path.resolve(String(args.historyDir));
+  const outputPath = path.resolve(String(args.out));
+  const top = Math.max(0, Number.parseInt(String(args.top), 10) || 0);
+
+  // Toutes les boutiques servent au calcul des intervalles, même si on filtre l'affichage.
+  const storeHistories = [];
+  for (const storeId of listHistoryStores(historyDir)) {
+    storeHistories.push({ storeId, entries: await readStoreHistory(historyDir, storeId) });
+  }
+  console.log(`[LIFECYCLE] ${storeHistories.length} historique(s) de magasin dans ${historyDir}`);
+
+  const lifecycles = computeLifecycles(storeHistories).filter(
+    (product) => !args.storeId || product.storeId === String(args.storeId)
+  );
+  const predicted = lifecycles.filter((product) => product.prediction);
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(
+    outputPath,
+    `${JSON.stringify({ generatedAt: new Date().toISOString(), count: lifecycles.length, products: lifecycles }, null, 2)}\n`,
+    "utf8"
+  );
+  console.log(
+    `[LIFECYCLE] ${lifecycles.length} produit(s), ${predicted.length} prédiction(s) → ${outputPath}`
+  );
+
+  for (const product of predicted.slice(0, top)) {
+    const { prediction } = product;
+    console.log(
+      `  ${prediction.date.slice(0, 10)}  ${product.storeId}  ${product.productKey}  ` +
+        `${Math.round(product.currentDiscountPercent)}% → ~${Math.round(prediction.discountPercent)}% ` +
+        `(${formatPrice(product.currentPrice)} → ~${formatPrice(prediction.price)})  ` +
+        `[${prediction.basis}, n=${prediction.samples}]  ${product.title || ""}`
+    );
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+import path from "path";
+import minimist from "minimist";
+import { buildStableDedupKey } from "../lib/ctRecords.js";
+import { CHANGES_FILE, PREVIOUS_DATA_FILE, diffDeals, readRecordsFile, writeChangesFile } from "../lib/ctDiff.js";
+import { STORE_DATA_FILE } from "../lib/ctOutputs.js";
+
+// Différences entre deux data.json d'un même magasin:
+//   node scripts/diff_deals.js --outBase outputs/canadiantire/0218-st-eustache-qc
+//     (data.previous.json → data.json, écrit changes.json dans le dossier)
+//   node scripts/diff_deals.js --previous ancien.json --current nouveau.json [--out changes.json]
+
+const args = minimist(process.argv.slice(2), {
+  string: ["outBase", "previous", "current", "out"],
+});
+
+const main = async () => {
+  const outBase = args.outBase ? path.resolve(String(args.outBase)) : null;
+  const previousPath = args.previous
+    ? path.resolve(String(args.previous))
+    : outBase && path.join(outBase, PREVIOUS_DATA_FILE);
+  const currentPath = args.current
+    ? path.resolve(String(args.current))
+    : outBase && path.join(outBase, STORE_DATA_FILE);
+
+  if (!previousPath || !currentPath) {
+    throw new Error("Utilisation: --outBase <dossier magasin> ou --previous <json> --current <json>");
+  }
+
+  const previous = readRecordsFile(previousPath);
+  const current = readRecordsFile(currentPath);
+  if (!previous) throw new Error(`Instantané précédent introuvable ou illisible: ${previousPath}`);
+  if (!current) throw new Error(`Instantané courant introuvable ou illisible: ${currentPath}`);
+
+  const changes = diffDeals(previous, current, { keyOf: buildStableDedupKey });
+  const outPath = args.out
+    ? path.resolve(String(args.out))
+    : path.join(outBase || path.dirname(currentPath), CHANGES_FILE);
+
+  await writeChangesFile(outPath, changes, {
+    previous: path.relative(process.cwd(), previousPath),
+    current: path.relative(process.cwd(), currentPath),
+  });
+
+  const { summary } = changes;
+  console.log(
+    `[DIFF] ${summary.previousCount} → ${summary.currentCount} deal(s): +${summary.added} nouveau(x), ` +
+      `-${summary.removed} disparu(s), ${summary.priceDrops} baisse(s), ${summary.priceIncreases} hausse(s), ` +
+      `${summary.stockChanges} variation(s) de stock`
+  );
+  console.log(`[DIFF] → ${outPath}`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
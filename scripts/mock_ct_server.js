@@ -0,0 +1,349 @@
+import http from "http";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import minimist from "minimist";
+
+// Serveur local qui imite canadiantire.ca pour des runs de bout en bout:
+//   node scripts/mock_ct_server.js --port 4010 --scenario duplicate-last-page,slow-pages
+//   node scraper_ct.js --baseUrl http://127.0.0.1:4010 --storeId 0218 --storeName "St. Eustache, QC"
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const MOCK_SCENARIOS = [
+  "empty-category",
+  "duplicate-last-page",
+  "store-selection-failure",
+  "slow-pages",
+];
+
+const PAGE_SIZE = 50;
+const LIQUIDATION_PATH = "/fr/promotions/liquidation.html";
+const CATEGORY_PREFIX = "/fr/promotions/liquidation/";
+
+// Tailles choisies pour couvrir les règles d'arrêt de scrapeCategoryAllPages:
+// dernière page < 50, dernière page pleine (page suivante vide ou dupliquée), catégorie vide.
+const CATEGORIES = [
+  { slug: "outils", label: "Outils", size: 120, brands: ["Mastercraft", "DeWalt", "Maximum"] },
+  { slug: "maison", label: "Maison", size: 100, brands: ["Vida", "Canvas", "Frigidaire"] },
+  { slug: "jardin", label: "Jardin", size: 35, brands: ["Yardworks", "Greenworks"] },
+];
+
+const REGULAR_PRICES = [9.99, 24.99, 49.99, 89.99, 149.99, 299.99, 1299.99];
+const DISCOUNTS = [20, 35, 50, 55, 60, 70, 75, 80, 90];
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatFrPrice = (value) => {
+  const [units, cents] = value.toFixed(2).split(".");
+  // Comme sur le site: espaces insécables pour les milliers et avant le symbole.
+  const grouped = units.replace(/\B(?=(\d{3})+(?!\d))/g, "\u00a0");
+  return `${grouped},${cents}\u00a0$`;
+};
+
+const storeNumber = (storeId) => {
+  const parsed = Number.parseInt(String(storeId || "0"), 10);
+  return Number.isFinite(parsed) ? parsed : 0;
+};
+
+const loadStores = () => {
+  const storesPath = path.join(__dirname, "..", "data", "canadian_tire_stores.json");
+  try {
+    return JSON.parse(fs.readFileSync(storesPath, "utf8"));
+  } catch {
+    return [];
+  }
+};
+
+const buildProduct = (category, categoryIndex, index, storeId) => {
+  const store = storeNumber(storeId);
+  const sku = String(1000000 + categoryIndex * 10000 + index).padStart(7, "0");
+  const checkDigit = (index + categoryIndex) % 10;
+  const productNumber = `${sku.slice(0, 3)}-${sku.slice(3)}-${checkDigit}`;
+  const brand = category.brands[index % category.brands.length];
+  const regular = REGULAR_PRICES[(index + categoryIndex) % REGULAR_PRICES.length];
+  const discount = DISCOUNTS[(index + store) % DISCOUNTS.length];
+  const sale = Math.round(regular * (100 - discount)) / 100;
+  const stock = (index * 7 + store) % 25;
+  const slug = `${category.slug}-article-${index + 1}`;
+  // Quelques cartes avec fourchette de prix ou achat multiple, comme sur le site.
+  const offer = index % 17 === 5 ? "range" : index % 17 === 11 ? "multi" : "single";
+  const saleLabel = offer === "range"
+    ? `de ${formatFrPrice(sale)} à ${formatFrPrice(regular)}`
+    : offer === "multi"
+      ? `2 pour ${formatFrPrice(sale * 2)}`
+      : formatFrPrice(sale);
+  const regularLabel = offer === "range"
+    ? `de ${formatFrPrice(regular)} à ${formatFrPrice(regular * 2)}`
+    : formatFrPrice(regular);
+  return {
+    sku,
+    productNumber,
+    name: `${brand} ${category.label} article ${index + 1}`,
+    brand,
+    modelNumber: `${brand.slice(0, 3).toUpperCase()}-${sku.slice(2)}`,
+    upc: `0${String(62000000000 + categoryIndex * 100000 + index).padStart(11, "0")}`,
+    regular,
+    sale,
+    saleLabel,
+    regularLabel,
+    discount,
+    stock,
+    href: `/fr/pdp/${slug}-${sku}p.html`,
+    // Varie la source des données modèle pour couvrir JSON-LD, __NEXT_DATA__ et la table.
+    modelSource: ["jsonld", "next", "specs"][index % 3],
+  };
+};
+
+const findProductBySku = (sku, storeId) => {
+  for (const [categoryIndex, category] of CATEGORIES.entries()) {
+    for (let index = 0; index < category.size; index++) {
+      const product = buildProduct(category, categoryIndex, index, storeId);
+      if (product.sku === sku) return product;
+    }
+  }
+  return null;
+};
+
+const renderLayout = ({ title, body, storeId, storeName, scenarios }) => {
+  const storeSelected = storeId && !scenarios.has("store-selection-failure");
+  const header = storeSelected
+    ? `<button data-testid="store-name" aria-label="Magasin: ${escapeHtml(storeName || storeId)}">${escapeHtml(storeName || storeId)}</button>`
+    : `<button type="button" id="open-store-picker">Sélectionner le magasin</button>`;
+  return `<!doctype html>
+<html lang="fr-CA">
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body>
+<header>${header}</header>
+<main>${body}</main>
+${renderStorePicker(scenarios)}
+</body>
+</html>`;
+};
+
+const renderStorePicker = (scenarios) => {
+  const stores = loadStores().slice(0, 20);
+  const cards = stores
+    .map(
+      (store) =>
+        `<li><button type="button" data-store-id="${escapeHtml(store.storeId)}">${escapeHtml(store.storeName)}</button></li>`
+    )
+    .join("");
+  // En scénario d'échec, le bouton de confirmation ne change rien.
+  const applyStore = scenarios.has("store-selection-failure")
+    ? ""
+    : `const url = new URL(window.location.href);
+        url.searchParams.set("store", selected);
+        window.location.href = url.toString();`;
+  return `<div id="store-picker" hidden>
+  <button type="button" aria-label="Fermer" id="close-store-picker">×</button>
+  <ul>${cards}</ul>
+  <button type="button" id="confirm-store">Définir ce magasin</button>
+</div>
+<script>
+  (() => {
+    const picker = document.getElementById("store-picker");
+    let selected = null;
+    document.getElementById("open-store-picker")?.addEventListener("click", () => { picker.hidden = false; });
+    document.getElementById("close-store-picker").addEventListener("click", () => { picker.hidden = true; });
+    picker.querySelectorAll("[data-store-id]").forEach((el) => {
+      el.addEventListener("click", () => { selected = el.getAttribute("data-store-id"); });
+    });
+    document.getElementById("confirm-store").addEventListener("click", () => {
+      picker.hidden = true;
+      if (!selected) return;
+      ${applyStore}
+    });
+  })();
+</script>`;
+};
+
+const renderCard = (product) => `<li data-testid="product-grids" data-product-id="${product.sku}">
+  <div class="nl-product-card__image-wrap"><img src="/images/${product.sku}.jpg" alt="${escapeHtml(product.name)}"></div>
+  <a class="nl-product-card__no-button prod-link" href="${product.href}" aria-labelledby="title__promolisting-${product.productNumber}">
+    <span id="title__promolisting-${product.productNumber}" class="nl-product-card__title">${escapeHtml(product.name)}</span>
+  </a>
+  <span data-testid="priceTotal">${product.saleLabel}</span>
+  <span class="nl-price__was"><s>${product.regularLabel}</s></span>
+  <div class="nl-product-card__availability-message">${product.stock} en stock au magasin · #${product.productNumber}</div>
+  <span class="nl-plp-badges">Liquidation</span>
+</li>`;
+
+const renderPagination = (pathname, storeId, pageNum, lastPage) => {
+  if (lastPage <= 1) return "";
+  const links = [];
+  for (let n = 1; n <= lastPage; n++) {
+    const params = new URLSearchParams({ page: String(n) });
+    if (storeId) params.set("store", storeId);
+    const current = n === pageNum ? ' aria-current="page"' : "";
+    links.push(`<a href="${pathname}?${params.toString()}"${current}>${n}</a>`);
+  }
+  return `<nav aria-label="pagination">${links.join(" ")}</nav>`;
+};
+
+const renderCategoryPage = ({ category, categoryIndex, pageNum, storeId, scenarios }) => {
+  const size = scenarios.has("empty-category") && category.slug === "jardin" ? 0 : category.size;
+  const lastPage = Math.max(1, Math.ceil(size / PAGE_SIZE));
+  let effectivePage = pageNum;
+  if (pageNum > lastPage && scenarios.has("duplicate-last-page")) {
+    effectivePage = lastPage;
+  }
+
+  const start = (effectivePage - 1) * PAGE_SIZE;
+  const end = Math.min(start + PAGE_SIZE, size);
+  const cards = [];
+  for (let index = start; index < end; index++) {
+    cards.push(renderCard(buildProduct(category, categoryIndex, index, storeId)));
+  }
+
+  const pathname = `${CATEGORY_PREFIX}${category.slug}.html`;
+  return `<h1>Liquidation – ${escapeHtml(category.label)}</h1>
+<ul class="product-grid">${cards.join("\n")}</ul>
+${renderPagination(pathname, storeId, effectivePage, lastPage)}`;
+};
+
+const renderLandingPage = () => {
+  const links = CATEGORIES.map(
+    (category) => `<li><a href="${CATEGORY_PREFIX}${category.slug}.html">${escapeHtml(category.label)}</a></li>`
+  ).join("");
+  return `<h1>Liquidation</h1><ul class="categories">${links}</ul>`;
+};
+
+const renderProductPage = (product) => {
+  const jsonLd = product.modelSource === "jsonld"
+    ? `<script type="application/ld+json">${JSON.stringify({
+        "@context": "https://schema.org",
+        "@type": "Product",
+        name: product.name,
+        mpn: product.modelNumber,
+        brand: { "@type": "Brand", name: product.brand },
+        gtin12: product.upc.slice(1),
+      })}</script>`
+    : "";
+  const nextData = product.modelSource === "next"
+    ? `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({
+        props: { pageProps: { product: { modelNumber: product.modelNumber, brand: product.brand, upc: product.upc } } },
+      })}</script>`
+    : "";
+  const specRows = [
+    ["Marque", product.brand],
+    ["Numéro de modèle", product.modelSource === "specs" ? product.modelNumber : null],
+    ["Numéro de pièce", product.productNumber],
+    ["UPC", product.modelSource === "specs" ? product.upc : null],
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join("");
+  return `${jsonLd}${nextData}
+<h1>${escapeHtml(product.name)}</h1>
+<section class="specifications">
+  <h2>Spécifications</h2>
+  <table>${specRows}</table>
+</section>`;
+};
+
+export const createMockCtServer = ({ scenarios = [], slowMs = 3000 } = {}) => {
+  const activeScenarios = new Set(scenarios);
+  const stores = loadStores();
+  const storeNameFor = (storeId) =>
+    stores.find((store) => String(store.storeId) === String(storeId))?.storeName || "";
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url || "/", "http://localhost");
+    const pathname = url.pathname;
+    const storeId = url.searchParams.get("store");
+    const pageNum = Math.max(1, Number.parseInt(url.searchParams.get("page") || "1", 10) || 1);
+
+    if (pathname.startsWith("/images/")) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (activeScenarios.has("slow-pages")) {
+      await new Promise((resolve) => setTimeout(resolve, slowMs));
+    }
+
+    // Magasin ignoré par le site: on retire store= comme le ferait une redirection.
+    if (storeId && activeScenarios.has("store-selection-failure")) {
+      url.searchParams.delete("store");
+      res.writeHead(302, { Location: `${pathname}${url.search}` }).end();
+      return;
+    }
+
+    const send = (status, title, body) => {
+      res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(renderLayout({
+        title,
+        body,
+        storeId,
+        storeName: storeNameFor(storeId),
+        scenarios: activeScenarios,
+      }));
+    };
+
+    if (pathname === "/" || pathname === LIQUIDATION_PATH) {
+      send(200, "Liquidation", renderLandingPage());
+      return;
+    }
+
+    if (pathname.startsWith(CATEGORY_PREFIX)) {
+      const slug = pathname.slice(CATEGORY_PREFIX.length).replace(/\.html$/, "");
+      const categoryIndex = CATEGORIES.findIndex((category) => category.slug === slug);
+      if (categoryIndex >= 0) {
+        send(200, CATEGORIES[categoryIndex].label, renderCategoryPage({
+          category: CATEGORIES[categoryIndex],
+          categoryIndex,
+          pageNum,
+          storeId,
+          scenarios: activeScenarios,
+        }));
+        return;
+      }
+    }
+
+    const pdpMatch = pathname.match(/^\/fr\/pdp\/.+-([0-9]{7})p\.html$/);
+    if (pdpMatch) {
+      const product = findProductBySku(pdpMatch[1], storeId);
+      if (product) {
+        send(200, product.name, renderProductPage(product));
+        return;
+      }
+    }
+
+    send(404, "Introuvable", "<h1>Page introuvable</h1>");
+  });
+};
+
+const main = async () => {
+  const args = minimist(process.argv.slice(2), {
+    string: ["port", "host", "scenario", "slowMs"],
+    default: { port: "4010", host: "127.0.0.1" },
+  });
+  const scenarios = String(args.scenario || process.env.CT_MOCK_SCENARIO || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const unknown = scenarios.filter((scenario) => !MOCK_SCENARIOS.includes(scenario));
+  if (unknown.length) {
+    throw new Error(`Scénario(s) inconnu(s): ${unknown.join(", ")} (valides: ${MOCK_SCENARIOS.join(", ")})`);
+  }
+
+  const port = Number.parseInt(String(args.port), 10);
+  const slowMs = Number.parseInt(String(args.slowMs ?? "3000"), 10) || 3000;
+  const server = createMockCtServer({ scenarios, slowMs });
+  await new Promise((resolve) => server.listen(port, args.host, resolve));
+  console.log(`[MOCK] Canadian Tire simulé sur http://${args.host}:${port} (scénarios: ${scenarios.join(", ") || "aucun"})`);
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,67 @@
+import path from "path";
+import minimist from "minimist";
+import {
+  DEFAULT_HISTORY_DIR,
+  buildProductTimeline,
+  listHistoryStores,
+  markdownSteps,
+  readStoreHistory,
+} from "../lib/ctHistory.js";
+
+// Chronologie prix/rabais/stock d'un produit à partir de outputs/history/<store>.ndjson:
+//   node scripts/price_history.js --productKey ct:100-0006-6 [--storeId 0218] [--historyDir outputs/history] [--json]
+
+const args = minimist(process.argv.slice(2), {
+  string: ["productKey", "storeId", "historyDir"],
+  boolean: ["json"],
+  default: { historyDir: DEFAULT_HISTORY_DIR },
+});
+
+const formatPrice = (value) => (value == null ? "—" : `${Number(value).toFixed(2)} $`);
+const formatPercent = (value) => (value == null ? "—" : `${Math.round(value)}%`);
+
+const main = async () => {
+  const historyDir = path.resolve(String(args.historyDir));
+  const productKey = args.productKey ? String(args.productKey) : "";
+  if (!productKey) {
+    throw new Error("Utilisation: --productKey <ct:xxx-xxxx-x> [--storeId <id>]");
+  }
+
+  const storeIds = args.storeId ? [String(args.storeId)] : listHistoryStores(historyDir);
+  const results = [];
+  for (const storeId of storeIds) {
+    const entries = await readStoreHistory(historyDir, storeId);
+    const timeline = buildProductTimeline(entries, productKey);
+    if (timeline.length) {
+      results.push({ storeId, steps: markdownSteps(timeline), timeline });
+    }
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ productKey, stores: results }, null, 2));
+    return;
+  }
+
+  if (!results.length) {
+    console.log(`[HISTORY] Aucun historique pour ${productKey} dans ${historyDir}`);
+    return;
+  }
+
+  for (const { storeId, steps, timeline } of results) {
+    console.log(
+      `[HISTORY] ${productKey} @ ${storeId} – paliers: ${steps.map((step) => formatPercent(step.discountPercent)).join(" → ")}`
+    );
+    for (const point of timeline) {
+      console.log(
+        point.present
+          ? `  ${point.runAt}  ${formatPrice(point.price)}  (${formatPercent(point.discountPercent)} sur ${formatPrice(point.regularPrice)})  stock ${point.stockQty ?? "?"}`
+          : `  ${point.runAt}  absent`
+      );
+    }
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+import fs from "fs/promises";
+import path from "path";
+import minimist from "minimist";
+import { fileURLToPath } from "url";
+import { buildNationalIndex } from "../lib/ctNationalIndex.js";
+import { DEFAULT_OUTPUTS_DIR, findStoreOutputs, loadStoresIndex } from "../lib/ctOutputs.js";
+import { computePriceSpreads } from "../lib/ctPriceSpread.js";
+
+// Rapport d'écart de prix: produits vus dans au moins --minStores magasins (2 par défaut).
+//   node scripts/report_price_spread.js [--outputsDir outputs/canadiantire] [--out outputs/reports/price-spread.json] [--top 20]
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const STORES_PATH = path.join(__dirname, "..", "data", "canadian_tire_stores.json");
+
+const args = minimist(process.argv.slice(2), {
+  string: ["outputsDir", "out", "minStores", "top"],
+  default: {
+    outputsDir: DEFAULT_OUTPUTS_DIR,
+    out: path.join("outputs", "reports", "price-spread.json"),
+    minStores: "2",
+    top: "20",
+  },
+});
+
+const formatPrice = (value) => (value == null ? "?" : `${value.toFixed(2)} $`);
+
+const main = async () => {
+  const outputsDir = path.resolve(String(args.outputsDir));
+  const outputPath = path.resolve(String(args.out));
+  const minStores = Math.max(2, Number.parseInt(String(args.minStores), 10) || 2);
+  const top = Math.max(0, Number.parseInt(String(args.top), 10) || 0);
+
+  const storeOutputs = findStoreOutputs(outputsDir);
+  console.log(`[SPREAD] ${storeOutputs.length} magasin(s) trouvé(s) dans ${outputsDir}`);
+
+  const index = buildNationalIndex(storeOutputs, { storeNames: loadStoresIndex(STORES_PATH) });
+  const rows = computePriceSpreads(index, { minStores });
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(
+    outputPath,
+    `${JSON.stringify({ generatedAt: index.generatedAt, minStores, count: rows.length, products: rows }, null, 2)}\n`,
+    "utf8"
+  );
+  console.log(`[SPREAD] ${rows.length} produit(s) dans ${minStores}+ magasins → ${outputPath}`);
+
+  for (const row of rows.slice(0, top)) {
+    console.log(
+      `  ${row.productKey}  ${formatPrice(row.cheapest.price)} (${row.cheapest.storeName || row.cheapest.storeId})` +
+        ` → ${formatPrice(row.mostExpensive.price)} (${row.mostExpensive.storeName || row.mostExpensive.storeId})` +
+        `  écart ${formatPrice(row.spread)} / ${row.spreadPercent ?? "?"}%  stock ${row.totalStock ?? "?"}` +
+        `  ${row.title || ""}`
+    );
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  CHECKPOINT_VERSION,
+  createCheckpoint,
+  defaultCheckpointPath,
+  readCheckpointFile,
+} from "../lib/ctCheckpoint.js";
+
+// Point de reprise, sans navigateur: node scripts/test_checkpoint.js
+
+function tmpFile(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-checkpoint-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return path.join(root, "checkpoint.json");
+}
+
+test("un fichier par magasin ou liste de magasins", () => {
+  assert.strictEqual(defaultCheckpointPath(["0218"]), path.join("outputs", "checkpoint.0218.json"));
+  assert.notStrictEqual(defaultCheckpointPath(["0218"]), defaultCheckpointPath(["0144"]));
+  assert.strictEqual(defaultCheckpointPath(["0218", "0144"]), defaultCheckpointPath(["0144", "0218", "0144"]));
+  assert.notStrictEqual(defaultCheckpointPath(["0218", "0144"]), defaultCheckpointPath(["0218", "0145"]));
+});
+
+test("catégories retrouvées par chemin, quel que soit l'hôte", async (t) => {
+  const filePath = tmpFile(t);
+  const first = createCheckpoint(filePath);
+  await first.markPage("0218", "https://www.canadiantire.ca/fr/promotions/liquidation/outils.html?store=0218", {
+    lastPage: 2,
+    partialPath: "partial/outils.json",
+    count: 40,
+  });
+
+  const resumed = createCheckpoint(filePath, { resume: true });
+  assert.deepStrictEqual(resumed.getCategory("0218", "http://127.0.0.1:4065/fr/promotions/liquidation/Outils.html"), {
+    status: "in_progress",
+    lastPage: 2,
+    partialPath: "partial/outils.json",
+    count: 40,
+  });
+  assert.strictEqual(resumed.getCategory("0144", "http://127.0.0.1:4065/fr/promotions/liquidation/outils.html"), null);
+});
+
+test("sans --resume, l'état repart de zéro", async (t) => {
+  const filePath = tmpFile(t);
+  await createCheckpoint(filePath).markStoreDone("0218", { count: 3 });
+  assert.strictEqual(createCheckpoint(filePath, { resume: true }).isStoreDone("0218"), true);
+  assert.strictEqual(createCheckpoint(filePath).isStoreDone("0218"), false);
+});
+
+test("version différente ignorée", (t) => {
+  const filePath = tmpFile(t);
+  fs.writeFileSync(filePath, JSON.stringify({ version: CHECKPOINT_VERSION - 1, stores: {} }));
+  t.mock.method(console, "warn", () => {});
+  assert.strictEqual(readCheckpointFile(filePath), null);
+});
+
+test("remove() attend les écritures en cours", async (t) => {
+  const filePath = tmpFile(t);
+  const checkpoint = createCheckpoint(filePath);
+  checkpoint.markStoreDone("0218");
+  await checkpoint.remove();
+  assert.strictEqual(fs.existsSync(filePath), false);
+});
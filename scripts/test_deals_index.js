@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFileSync } from "child_process";
+import { fileURLToPath } from "url";
+
+// build_deals_index_80.js sur un dossier outputs/ temporaire: node scripts/test_deals_index.js
+
+const SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), "build_deals_index_80.js");
+
+function buildIndex(t, records, args = []) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-index-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const storeDir = path.join(root, "outputs", "canadiantire", "0218-st-eustache-qc");
+  fs.mkdirSync(storeDir, { recursive: true });
+  fs.writeFileSync(path.join(storeDir, "data.json"), JSON.stringify(records));
+  execFileSync(process.execPath, [SCRIPT, ...args], { cwd: root, stdio: "pipe" });
+  // Palier (nombre) → deals-<pct>.json, sinon nom de fichier dans public/index.
+  return (name) => {
+    const file = typeof name === "number" ? `deals-${name}.json` : name;
+    return JSON.parse(fs.readFileSync(path.join(root, "public", "index", file), "utf8"));
+  };
+}
+
+const record = (sku, extra) => ({
+  product_key: `pk-${sku}`,
+  sku,
+  name: `Produit ${sku}`,
+  store_id: "0218",
+  sale_price: 10,
+  regular_price: 50,
+  ...extra,
+});
+
+test("discount_percent du scraper prioritaire sur le calcul depuis les prix", (t) => {
+  const readTier = buildIndex(t, [record("111", { discount_percent: 50 })], ["--tiers", "50,80"]);
+  assert.deepStrictEqual(readTier(50).items.map((item) => [item.sku, item.discountPct]), [["111", 50]]);
+  assert.strictEqual(readTier(80).count, 0);
+});
+
+test("sans discount_percent, rabais recalculé depuis les prix", (t) => {
+  const readTier = buildIndex(t, [record("222")], ["--tiers", "80"]);
+  assert.deepStrictEqual(readTier(80).items.map((item) => item.discountPct), [80]);
+});
+
+test("prix ambigu (fourchette, achat multiple) exclu des paliers", (t) => {
+  const readTier = buildIndex(
+    t,
+    [
+      record("333", { discount_percent: 80, price_type: "range", price_ambiguous: true, price_ambiguity: "price_range" }),
+      record("444", { discount_percent: 80, price_type: "single", price_ambiguous: false }),
+    ],
+    ["--tiers", "50"]
+  );
+  assert.deepStrictEqual(readTier(50).items.map((item) => item.sku), ["444"]);
+});
+
+test("sortie partielle (partial/data.json) jamais indexée", (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-index-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const partialDir = path.join(root, "outputs", "canadiantire", "0218-st-eustache-qc", "partial");
+  fs.mkdirSync(partialDir, { recursive: true });
+  fs.writeFileSync(path.join(partialDir, "data.json"), JSON.stringify([record("555", { discount_percent: 90 })]));
+  execFileSync(process.execPath, [SCRIPT, "--tiers", "50"], { cwd: root, stdio: "pipe" });
+  const tier = JSON.parse(fs.readFileSync(path.join(root, "public", "index", "deals-50.json"), "utf8"));
+  assert.strictEqual(tier.count, 0);
+});
+
+test("un seul passage: un fichier par palier, sous-ensembles emboîtés, manifeste", (t) => {
+  const readIndex = buildIndex(
+    t,
+    [55, 72, 85, 95].map((pct) => record(String(pct), { discount_percent: pct })),
+    ["--tiers", "90,50,70,70"]
+  );
+  assert.deepStrictEqual(
+    [50, 70, 90].map((tier) => readIndex(tier).items.map((item) => item.discountPct)),
+    [[95, 85, 72, 55], [95, 85, 72], [95]]
+  );
+  const manifest = readIndex("manifest.json");
+  assert.deepStrictEqual(manifest.tiers, [
+    { minDiscount: 50, file: "deals-50.json", count: 4 },
+    { minDiscount: 70, file: "deals-70.json", count: 3 },
+    { minDiscount: 90, file: "deals-90.json", count: 1 },
+  ]);
+  assert.strictEqual(manifest.generatedAt, readIndex(50).generatedAt);
+});
+
+test("paliers par défaut 50, 70, 80, 90; --minDiscount pour un seul palier", (t) => {
+  const defaults = buildIndex(t, [record("1", { discount_percent: 80 })]);
+  assert.deepStrictEqual(defaults("manifest.json").tiers.map((tier) => tier.minDiscount), [50, 70, 80, 90]);
+  const single = buildIndex(t, [record("1", { discount_percent: 80 })], ["--minDiscount", "75"]);
+  assert.deepStrictEqual(single("manifest.json").tiers.map((tier) => [tier.minDiscount, tier.count]), [[75, 1]]);
+});
+
+test("palier invalide refusé", (t) => {
+  assert.throws(() => buildIndex(t, [record("1", { discount_percent: 80 })], ["--tiers", "50,120"]), /Palier invalide: 120/);
+});
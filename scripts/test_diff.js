@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { diffDeals, readRecordsFile } from "../lib/ctDiff.js";
+import { buildStableDedupKey } from "../lib/ctRecords.js";
+
+// Diff entre deux exécutions d'un magasin (data.previous.json → data.json): node scripts/test_diff.js
+
+const deal = (index, overrides = {}) => ({
+  product_key: `p${index}`,
+  title: `Article ${index}`,
+  price: 10,
+  regular_price: 20,
+  discount_percent: 50,
+  stockQty: 5,
+  ...overrides,
+});
+const keyOf = (record) => record.product_key;
+
+test("ajouts, retraits, variations de prix et de stock", () => {
+  const previous = [deal(1), deal(2), deal(3), deal(4)];
+  const current = [deal(1), deal(2, { price: 8 }), deal(3, { price: 12, stockQty: 2 }), deal(5)];
+  const { summary, added, removed, priceDrops, priceIncreases, stockChanges } = diffDeals(previous, current, { keyOf });
+
+  assert.deepStrictEqual(
+    { added: summary.added, removed: summary.removed, unchanged: summary.unchanged },
+    { added: 1, removed: 1, unchanged: 1 }
+  );
+  assert.deepStrictEqual(added.map((change) => change.productKey), ["p5"]);
+  assert.deepStrictEqual(removed.map((change) => change.productKey), ["p4"]);
+  assert.deepStrictEqual(priceDrops.map((change) => [change.productKey, change.delta, change.deltaPercent]), [["p2", -2, -20]]);
+  assert.deepStrictEqual(priceIncreases.map((change) => [change.productKey, change.delta]), [["p3", 2]]);
+  assert.deepStrictEqual(stockChanges.map((change) => [change.productKey, change.delta]), [["p3", -3]]);
+});
+
+test("doublons et enregistrements sans clé ignorés", () => {
+  const previous = [deal(1), deal(1, { price: 99 }), { title: "sans clé" }];
+  const { summary } = diffDeals(previous, [deal(1)], { keyOf });
+  assert.deepStrictEqual({ added: summary.added, removed: summary.removed, unchanged: summary.unchanged }, {
+    added: 0,
+    removed: 0,
+    unchanged: 1,
+  });
+});
+
+test("clé stable du scraper: product_key, sinon magasin + sku ou URL sans paramètres", () => {
+  assert.strictEqual(buildStableDedupKey({ product_key: "CT:1", sku: "9" }), "product_key:ct:1");
+  assert.strictEqual(buildStableDedupKey({ store_id: "0218", sku: "ABC" }), "store:0218|sku:abc");
+  assert.strictEqual(
+    buildStableDedupKey({ store_id: "0218", url: "/fr/pdp/Scie-0570001p.html?store=0218#avis" }),
+    "store:0218|url:https://www.canadiantire.ca/fr/pdp/scie-0570001p.html"
+  );
+  assert.strictEqual(buildStableDedupKey({ title: "sans clé" }), null);
+
+  const previous = [{ store_id: "0218", url: "/fr/pdp/scie-0570001p.html?page=2", price: 20 }];
+  const current = [{ store_id: "0218", url: "/fr/pdp/scie-0570001p.html?page=1", price: 15 }];
+  const { summary } = diffDeals(previous, current, { keyOf: buildStableDedupKey });
+  assert.deepStrictEqual({ added: summary.added, removed: summary.removed, priceDrops: summary.priceDrops }, {
+    added: 0,
+    removed: 0,
+    priceDrops: 1,
+  });
+});
+
+test("readRecordsFile: absent ou illisible → null, tableau ou { records }", (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ct-diff-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  t.mock.method(console, "warn", () => {});
+
+  assert.strictEqual(readRecordsFile(path.join(dir, "absent.json")), null);
+  assert.strictEqual(readRecordsFile(write("tronque.json", '[{"a":')), null);
+  assert.deepStrictEqual(readRecordsFile(write("liste.json", JSON.stringify([deal(1)]))), [deal(1)]);
+  assert.deepStrictEqual(readRecordsFile(write("objet.json", JSON.stringify({ records: [deal(2)] }))), [deal(2)]);
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  appendStoreSnapshot,
+  buildProductTimeline,
+  completeRunEntries,
+  markdownSteps,
+  readStoreHistory,
+} from "../lib/ctHistory.js";
+
+// Historique append-only des prix, sans navigateur: node scripts/test_history.js
+
+function historyDir(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-history-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+}
+
+const day = (n) => `2026-03-${String(n).padStart(2, "0")}T06:00:00.000Z`;
+const record = (key, discountPercent, extra = {}) => ({
+  product_key: key,
+  title: `Produit ${key}`,
+  price: 100 - discountPercent,
+  regular_price: 100,
+  discount_percent: discountPercent,
+  ...extra,
+});
+
+test("une ligne run par exécution, une ligne record par produit avec product_key", async (t) => {
+  const dir = historyDir(t);
+  const { count } = await appendStoreSnapshot(dir, "0218", [record("ct:1", 30), { title: "Sans clé" }], {
+    runAt: day(1),
+  });
+  assert.strictEqual(count, 1);
+  const entries = await readStoreHistory(dir, "0218");
+  assert.deepStrictEqual(
+    entries.map(({ type, runAt, productKey, discountPercent }) => ({ type, runAt, productKey, discountPercent })),
+    [
+      { type: "run", runAt: day(1), productKey: undefined, discountPercent: undefined },
+      { type: "record", runAt: day(1), productKey: "ct:1", discountPercent: 30 },
+    ]
+  );
+});
+
+test("ligne tronquée ignorée, magasin sans historique vide", async (t) => {
+  const dir = historyDir(t);
+  await appendStoreSnapshot(dir, "0218", [record("ct:1", 30)], { runAt: day(1) });
+  fs.appendFileSync(path.join(dir, "0218.ndjson"), '{"type":"record","runAt"');
+  assert.strictEqual((await readStoreHistory(dir, "0218")).length, 2);
+  assert.deepStrictEqual(await readStoreHistory(dir, "0144"), []);
+});
+
+test("chronologie et paliers 30 → 50 → 70, absence notée, exécution partielle ignorée", async (t) => {
+  const dir = historyDir(t);
+  await appendStoreSnapshot(dir, "0218", [record("ct:1", 30)], { runAt: day(1) });
+  await appendStoreSnapshot(dir, "0218", [record("ct:1", 50)], { runAt: day(8) });
+  await appendStoreSnapshot(dir, "0218", [], { runAt: day(10), partial: true });
+  await appendStoreSnapshot(dir, "0218", [record("ct:1", 50)], { runAt: day(12) });
+  await appendStoreSnapshot(dir, "0218", [record("ct:1", 70)], { runAt: day(20) });
+  await appendStoreSnapshot(dir, "0218", [record("ct:2", 90)], { runAt: day(25) });
+  const entries = await readStoreHistory(dir, "0218");
+
+  assert.strictEqual(completeRunEntries(entries).filter((entry) => entry.type === "run").length, 5);
+  const timeline = buildProductTimeline(entries, "ct:1");
+  assert.deepStrictEqual(
+    timeline.map((point) => [point.runAt, point.present]),
+    [[day(1), true], [day(8), true], [day(12), true], [day(20), true], [day(25), false]]
+  );
+  assert.deepStrictEqual(
+    markdownSteps(timeline).map((step) => [step.runAt, step.discountPercent]),
+    [[day(1), 30], [day(8), 50], [day(20), 70]]
+  );
+  assert.deepStrictEqual(buildProductTimeline(entries, "ct:absent"), []);
+});
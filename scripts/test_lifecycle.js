@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "assert";
+import { computeLifecycles } from "../lib/ctLifecycle.js";
+
+// Cycle de vie des liquidations et prochaine démarque estimée: node scripts/test_lifecycle.js
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n)).toISOString();
+const run = (n) => ({ type: "run", runAt: day(n) });
+const record = (n, productKey, discountPercent, extra = {}) => ({
+  type: "record",
+  runAt: day(n),
+  productKey,
+  discountPercent,
+  ...extra,
+});
+
+test("paliers, jours en liquidation et produit disparu", () => {
+  const entries = [
+    run(0),
+    record(0, "a", 30, { price: 14 }),
+    record(0, "b", 50, { price: 10 }),
+    run(7),
+    record(7, "a", 50, { price: 10 }),
+  ];
+  const byKey = new Map(
+    computeLifecycles([{ storeId: "0218", entries }], { now: day(8) }).map((product) => [product.productKey, product])
+  );
+  const a = byKey.get("a");
+  const b = byKey.get("b");
+  assert.deepStrictEqual(
+    { active: a.active, stepCount: a.stepCount, daysOnClearance: a.daysOnClearance },
+    { active: true, stepCount: 2, daysOnClearance: 8 }
+  );
+  assert.deepStrictEqual(
+    { active: b.active, lastSeen: b.lastSeen, daysOnClearance: b.daysOnClearance, prediction: b.prediction },
+    { active: false, lastSeen: day(0), daysOnClearance: 0, prediction: null }
+  );
+});
+
+test("prochaine démarque: intervalle et saut médians de la catégorie", () => {
+  const extra = { category: "outils", regularPrice: 100 };
+  const entries = [
+    run(0),
+    record(0, "a", 30, extra),
+    run(7),
+    record(7, "a", 50, extra),
+    run(14),
+    record(14, "a", 70, extra),
+  ];
+  const [product] = computeLifecycles([{ storeId: "0218", entries }], { now: day(15) });
+  assert.deepStrictEqual(product.prediction, {
+    date: day(21),
+    discountPercent: 90,
+    price: 10,
+    intervalDays: 7,
+    basis: "category:outils",
+    samples: 2,
+  });
+});
+
+test("pas de prédiction sans historique suffisant", () => {
+  const entries = [run(0), record(0, "a", 30), run(7), record(7, "a", 50)];
+  const [product] = computeLifecycles([{ storeId: "0218", entries }], { now: day(8) });
+  assert.strictEqual(product.prediction, null);
+});
+
+test("exécution partielle ignorée: pas de disparition ni de palier", () => {
+  const entries = [
+    run(0),
+    record(0, "a", 30),
+    record(0, "b", 30),
+    { ...run(1), partial: true },
+    record(1, "a", 50),
+  ];
+  const products = computeLifecycles([{ storeId: "0218", entries }], { now: day(2) });
+  assert.deepStrictEqual(
+    products.map((product) => [product.productKey, product.active, product.lastSeen, product.stepCount]),
+    [
+      ["a", true, day(0), 1],
+      ["b", true, day(0), 1],
+    ]
+  );
+});
@@ -0,0 +1,69 @@
+import test from "node:test";
+import assert from "assert";
+import { createMockCtServer } from "./mock_ct_server.js";
+
+// Pages servies par le faux canadiantire.ca, sans navigateur: node scripts/test_mock_server.js
+
+async function startMock(t, options) {
+  const server = createMockCtServer(options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return async (pathAndQuery) => {
+    const response = await fetch(`${baseUrl}${pathAndQuery}`, { redirect: "manual" });
+    return { status: response.status, location: response.headers.get("location"), html: await response.text() };
+  };
+}
+
+const productIds = (html) => [...html.matchAll(/data-product-id="(\d+)"/g)].map((match) => match[1]);
+const category = (slug, query = "") => `/fr/promotions/liquidation/${slug}.html${query}`;
+
+test("accueil: liens vers les trois catégories, magasin à sélectionner", async (t) => {
+  const get = await startMock(t);
+  const { status, html } = await get("/fr/promotions/liquidation.html");
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(
+    [...html.matchAll(/href="(\/fr\/promotions\/liquidation\/[^"]+)"/g)].map((match) => match[1]),
+    [category("outils"), category("maison"), category("jardin")]
+  );
+  assert.match(html, /id="open-store-picker"/);
+});
+
+test("pagination: 50 cartes par page, dernière page partielle, page suivante vide", async (t) => {
+  const get = await startMock(t);
+  const pages = await Promise.all([1, 2, 3, 4].map((page) => get(category("outils", `?store=0218&page=${page}`))));
+
+  assert.deepStrictEqual(pages.map(({ html }) => productIds(html).length), [50, 50, 20, 0]);
+  assert.strictEqual(new Set(pages.flatMap(({ html }) => productIds(html))).size, 120);
+  assert.match(pages[0].html, /data-testid="store-name"/);
+  assert.match(pages[1].html, /href="[^"]*page=2[^"]*" aria-current="page"/);
+});
+
+test("scénarios: catégorie vide, dernière page dupliquée, magasin ignoré", async (t) => {
+  const get = await startMock(t, { scenarios: ["empty-category", "duplicate-last-page", "store-selection-failure"] });
+
+  assert.deepStrictEqual(productIds((await get(category("jardin"))).html), []);
+  const last = productIds((await get(category("maison", "?page=2"))).html);
+  assert.deepStrictEqual(productIds((await get(category("maison", "?page=3"))).html), last);
+  const redirected = await get(category("outils", "?store=0218&page=2"));
+  assert.deepStrictEqual({ status: redirected.status, location: redirected.location }, {
+    status: 302,
+    location: category("outils", "?page=2"),
+  });
+});
+
+test("fiche produit par SKU, 404 pour le reste", async (t) => {
+  const get = await startMock(t);
+  const { html } = await get(category("jardin"));
+  const [sku] = productIds(html);
+  const href = html.match(/href="(\/fr\/pdp\/[^"]+)"/)[1];
+
+  const product = await get(href);
+  assert.strictEqual(product.status, 200);
+  assert.match(product.html, /class="specifications"/);
+  assert.ok(href.endsWith(`-${sku}p.html`));
+  assert.strictEqual((await get("/fr/pdp/inconnu-9999999p.html")).status, 404);
+  assert.strictEqual((await get(category("inconnue"))).status, 404);
+  assert.strictEqual((await get("/images/1000000.jpg")).status, 404);
+});
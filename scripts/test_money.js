@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "assert";
+import { parseMoney, parsePriceOffer } from "../lib/ctMoney.js";
+
+// Parseur de prix fr-CA / en-CA, sans navigateur: node scripts/test_money.js
+
+const CASES = [
+  {
+    label: "fr-CA avec milliers",
+    run: () => parseMoney("1 299,99 $"),
+    expected: { cents: 129999, format: "fr-CA", perUnit: false },
+  },
+  {
+    label: "fr-CA espace insécable",
+    run: () => parseMoney("1\u00a0299,99\u00a0$"),
+    expected: { cents: 129999, format: "fr-CA" },
+  },
+  {
+    label: "en-CA avec milliers",
+    run: () => parseMoney("$1,299.99"),
+    expected: { cents: 129999, format: "en-CA", perUnit: false },
+  },
+  {
+    label: "prix unitaire fr-CA",
+    run: () => parseMoney("12,99 $ ch."),
+    expected: { cents: 1299, format: "fr-CA", perUnit: true },
+  },
+  {
+    label: "prix unitaire en-CA",
+    run: () => parseMoney("$12.99 ea."),
+    expected: { cents: 1299, format: "en-CA", perUnit: true },
+  },
+  {
+    label: "cents en-CA",
+    run: () => parseMoney("99¢"),
+    expected: { cents: 99, format: "en-CA" },
+  },
+  {
+    label: "cents fr-CA",
+    run: () => parseMoney("99 ¢"),
+    expected: { cents: 99, format: "fr-CA" },
+  },
+  {
+    label: "locale imposée",
+    run: () => parseMoney("99¢", { locale: "fr-CA" }),
+    expected: { cents: 99, format: "fr-CA" },
+  },
+  {
+    label: "montant sans partie entière",
+    run: () => parseMoney("$.99"),
+    expected: { cents: 99, format: "en-CA" },
+  },
+  {
+    label: "texte sans montant",
+    run: () => parseMoney("Prix en magasin"),
+    expected: null,
+  },
+  {
+    label: "fourchette fr-CA",
+    run: () => parsePriceOffer("de 9,99 $ à 24,99 $"),
+    expected: { kind: "range", minCents: 999, maxCents: 2499, unitCents: null, format: "fr-CA" },
+  },
+  {
+    label: "fourchette en-CA",
+    run: () => parsePriceOffer("$9.99 - $24.99"),
+    expected: { kind: "range", minCents: 999, maxCents: 2499, unitCents: null, format: "en-CA" },
+  },
+  {
+    label: "achat multiple fr-CA",
+    run: () => parsePriceOffer("2 pour 10 $"),
+    expected: { kind: "multi", quantity: 2, totalCents: 1000, unitCents: 500, format: "fr-CA" },
+  },
+  {
+    label: "achat multiple en-CA",
+    run: () => parsePriceOffer("2 for $10"),
+    expected: { kind: "multi", quantity: 2, totalCents: 1000, unitCents: 500, format: "en-CA" },
+  },
+  {
+    label: "achat multiple avec barre oblique",
+    run: () => parsePriceOffer("2/$10"),
+    expected: { kind: "multi", quantity: 2, totalCents: 1000, unitCents: 500 },
+  },
+  {
+    label: "barre oblique après un prix: pas un achat multiple",
+    run: () => parsePriceOffer("$49.99/2 pk"),
+    expected: { kind: "single", quantity: 1, minCents: 4999 },
+  },
+  {
+    label: "offre en cents",
+    run: () => parsePriceOffer("99¢"),
+    expected: { kind: "single", minCents: 99, maxCents: 99, unitCents: 99, format: "en-CA" },
+  },
+];
+
+const pick = (actual, expected) =>
+  actual && expected ? Object.fromEntries(Object.keys(expected).map((key) => [key, actual[key]])) : actual;
+
+for (const { label, run, expected } of CASES) {
+  test(label, () => {
+    assert.deepStrictEqual(pick(run(), expected), expected);
+  });
+}
@@ -0,0 +1,61 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { buildNationalIndex } from "../lib/ctNationalIndex.js";
+import { findStoreOutputs } from "../lib/ctOutputs.js";
+import { mapRecordToNationalIndex } from "../lib/ctRecords.js";
+
+// Index national (produit → magasins), sans navigateur: node scripts/test_national_index.js
+
+function writeOutputs(t, byStoreDir) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-national-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  for (const [dirName, records] of Object.entries(byStoreDir)) {
+    fs.mkdirSync(path.join(root, dirName), { recursive: true });
+    fs.writeFileSync(path.join(root, dirName, "data.json"), JSON.stringify(records));
+  }
+  return findStoreOutputs(root);
+}
+
+const record = (storeId, productKey, price, extra = {}) => ({
+  store_id: storeId,
+  product_key: productKey,
+  title: `Produit ${productKey}`,
+  price,
+  regular_price: 100,
+  discount_percent: 100 - price,
+  ...extra,
+});
+
+test("mapRecordToNationalIndex: prix, stock tiré du texte de disponibilité, sans product_key ignoré", () => {
+  const entry = mapRecordToNationalIndex(
+    record("0218", "ct:1", 25, { liquidation_price: "24,99 $", availability_text: "3 en stock" }),
+    { storeId: "0218", storeSlug: "0218-st-eustache-qc", storeName: "St. Eustache, QC" }
+  );
+  assert.deepStrictEqual(
+    { price: entry.price, originalPrice: entry.originalPrice, stockQty: entry.stockQty, availability: entry.availability },
+    { price: 24.99, originalPrice: 100, stockQty: 3, availability: "in_stock" }
+  );
+  assert.strictEqual(mapRecordToNationalIndex({ title: "Sans clé", price: 10 }, { storeId: "0218" }), null);
+});
+
+test("un produit → magasins triés du moins cher au plus cher, doublon d'un magasin au prix le plus bas", (t) => {
+  const outputs = writeOutputs(t, {
+    "0218-st-eustache-qc": [record("0218", "ct:1", 30), record("0218", "ct:1", 20), record("0218", "ct:2", 10)],
+    "0144-rosemere-qc": [record("0144", "ct:1", 25)],
+  });
+  const index = buildNationalIndex(outputs, { storeNames: new Map([["0144", "Rosemère, QC"]]) });
+
+  assert.deepStrictEqual([index.storeCount, index.productCount], [2, 2]);
+  const [first, second] = index.products;
+  assert.deepStrictEqual(
+    { productKey: first.productKey, storeCount: first.storeCount, minPrice: first.minPrice, maxPrice: first.maxPrice },
+    { productKey: "ct:1", storeCount: 2, minPrice: 20, maxPrice: 25 }
+  );
+  assert.deepStrictEqual(first.stores.map((store) => [store.storeId, store.price]), [["0218", 20], ["0144", 25]]);
+  assert.strictEqual(first.bestStoreId, "0218");
+  assert.strictEqual(first.stores[1].storeName, "Rosemère, QC");
+  assert.deepStrictEqual([second.productKey, second.storeCount], ["ct:2", 1]);
+});
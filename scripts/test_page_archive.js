@@ -0,0 +1,152 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  ARCHIVE_INDEX_FILE,
+  archiveHasStore,
+  buildArchiveFileName,
+  buildArchiveKey,
+  createPageRecorder,
+  findArchivedPage,
+  installReplayRoutes,
+  loadPageArchive,
+} from "../lib/ctPageArchive.js";
+
+// Archive de pages pour --record / --replayDir, sans navigateur: node scripts/test_page_archive.js
+
+const CATEGORY_URL = "https://www.canadiantire.ca/fr/promotions/liquidation/Outils.html";
+
+function archiveDir(t, files = {}, entries = null) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ct-archive-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, html] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), html);
+  if (entries) fs.writeFileSync(path.join(dir, ARCHIVE_INDEX_FILE), JSON.stringify({ version: 1, entries }));
+  return dir;
+}
+
+test("clé: chemin en minuscules + page, hôte et autres paramètres ignorés", () => {
+  assert.strictEqual(buildArchiveKey(CATEGORY_URL), "/fr/promotions/liquidation/outils.html|page=1");
+  assert.strictEqual(
+    buildArchiveKey("http://127.0.0.1:4010/fr/promotions/liquidation/outils.html?store=0218&page=3&sort=x"),
+    "/fr/promotions/liquidation/outils.html|page=3"
+  );
+  assert.strictEqual(buildArchiveKey(`${CATEGORY_URL}?page=0`), buildArchiveKey(CATEGORY_URL));
+  assert.strictEqual(buildArchiveKey("pas une url"), null);
+});
+
+test("nom de fichier conventionnel: <chemin-slug>__p<page>[__s<magasin>].html", () => {
+  assert.strictEqual(buildArchiveFileName(`${CATEGORY_URL}?page=2`, "0218"), "fr-promotions-liquidation-outils__p2__s0218.html");
+  assert.strictEqual(buildArchiveFileName("https://www.canadiantire.ca/"), "index__p1.html");
+});
+
+test("index.json: store= de l'URL strict, magasin du contexte préféré pour les fiches", (t) => {
+  const key = buildArchiveKey(CATEGORY_URL);
+  const dir = archiveDir(t, {}, [
+    { key, file: "a.html", storeId: "0218" },
+    { key, file: "b.html", storeId: 415 },
+    { url: "https://www.canadiantire.ca/fr/pdp/x-1000001p.html", file: "pdp.html", storeId: null },
+  ]);
+  const archive = loadPageArchive(dir);
+
+  assert.deepStrictEqual([...archive.stores].sort(), ["0218", "415"]);
+  assert.strictEqual(findArchivedPage(archive, `${CATEGORY_URL}?store=415`).entry.file, "b.html");
+  assert.strictEqual(findArchivedPage(archive, `${CATEGORY_URL}?store=0999`), null);
+  assert.strictEqual(findArchivedPage(archive, CATEGORY_URL, { storeId: "415" }).entry.file, "b.html");
+  assert.strictEqual(findArchivedPage(archive, CATEGORY_URL, { storeId: "0999" }).entry.file, "a.html");
+  assert.strictEqual(
+    findArchivedPage(archive, "http://127.0.0.1:4010/fr/pdp/x-1000001p.html?store=0218").filePath,
+    path.join(dir, "pdp.html")
+  );
+  assert.strictEqual(findArchivedPage(archive, `${CATEGORY_URL}?page=2`), null);
+});
+
+test("sans index: fichiers conventionnels, magasin déduit des noms", (t) => {
+  const dir = archiveDir(t, {
+    "fr-promotions-liquidation-outils__p1__s0218.html": "<html>0218</html>",
+    "fr-promotions-liquidation-outils__p2.html": "<html>commun</html>",
+  });
+  const archive = loadPageArchive(dir);
+
+  assert.strictEqual(archive.entries.size, 0);
+  assert.ok(archiveHasStore(archive, "0218") && !archiveHasStore(archive, "0415"));
+  assert.strictEqual(
+    path.basename(findArchivedPage(archive, `${CATEGORY_URL}?store=0218`).filePath),
+    "fr-promotions-liquidation-outils__p1__s0218.html"
+  );
+  assert.strictEqual(
+    path.basename(findArchivedPage(archive, `${CATEGORY_URL}?store=0218&page=2`).filePath),
+    "fr-promotions-liquidation-outils__p2.html"
+  );
+  assert.strictEqual(findArchivedPage(archive, `${CATEGORY_URL}?store=0415`), null);
+});
+
+test("archive sans magasin (pages sauvegardées à la main): tout magasin accepté", (t) => {
+  const archive = loadPageArchive(archiveDir(t, { "fr-promotions-liquidation-outils__p1.html": "<html></html>" }));
+  assert.ok(archiveHasStore(archive, "0415"));
+  assert.ok(findArchivedPage(archive, CATEGORY_URL, { storeId: "0415" }));
+});
+
+// Contexte Playwright réduit à route(): chaque requête renvoie ce que le handler en a fait.
+async function replay(archive, options) {
+  let handler = null;
+  await installReplayRoutes({ route: async (_pattern, fn) => { handler = fn; } }, archive, options);
+  return async (url, resourceType = "document") => {
+    let result = null;
+    await handler({
+      request: () => ({ url: () => url, resourceType: () => resourceType }),
+      fulfill: async ({ status, body }) => { result = { status, body: String(body) }; },
+      abort: async () => { result = "aborted"; },
+    });
+    return result;
+  };
+}
+
+test("rejeu: page archivée servie, page absente ou illisible en 404, ressources bloquées", async (t) => {
+  const dir = archiveDir(t, {
+    "fr-promotions-liquidation-outils__p1__s0218.html": "<html>outils</html>",
+  }, [
+    { url: CATEGORY_URL, file: "fr-promotions-liquidation-outils__p1__s0218.html", storeId: "0218" },
+    { url: `${CATEGORY_URL}?page=2`, file: "supprime.html", storeId: "0218" },
+  ]);
+  const request = await replay(loadPageArchive(dir), { storeId: "0218" });
+
+  assert.deepStrictEqual(await request(`${CATEGORY_URL}?store=0218`), { status: 200, body: "<html>outils</html>" });
+  assert.strictEqual((await request(`${CATEGORY_URL}?store=0218&page=2`)).status, 404);
+  assert.strictEqual((await request(`${CATEGORY_URL}?store=0218&page=3`)).status, 404);
+  assert.strictEqual(await request("https://www.canadiantire.ca/images/1.jpg", "image"), "aborted");
+});
+
+test("enregistrement: fichier + index.json, entrées existantes conservées, relisible en rejeu", async (t) => {
+  const dir = archiveDir(t, { "ancien.html": "<html>ancien</html>" }, [
+    { url: "https://www.canadiantire.ca/fr/promotions/liquidation.html", file: "ancien.html" },
+  ]);
+  const recorder = createPageRecorder(dir);
+  const page = { url: () => `${CATEGORY_URL}?store=0218&page=2`, content: async () => "<html>page 2</html>" };
+
+  const [entry] = await Promise.all([
+    recorder.capture(page, { storeId: 218, kind: "category" }),
+    recorder.capture(page, { url: CATEGORY_URL, storeId: "0218", kind: "category" }),
+  ]);
+  assert.deepStrictEqual(
+    { file: entry.file, storeId: entry.storeId, page: entry.page, kind: entry.kind },
+    { file: "fr-promotions-liquidation-outils__p2__s218.html", storeId: "218", page: 2, kind: "category" }
+  );
+  const index = JSON.parse(fs.readFileSync(path.join(dir, ARCHIVE_INDEX_FILE), "utf8"));
+  assert.deepStrictEqual(index.entries.map((item) => item.file), [
+    "ancien.html",
+    "fr-promotions-liquidation-outils__p1__s0218.html",
+    "fr-promotions-liquidation-outils__p2__s218.html",
+  ]);
+  const hit = findArchivedPage(loadPageArchive(dir), `${CATEGORY_URL}?store=218&page=2`);
+  assert.strictEqual(fs.readFileSync(hit.filePath, "utf8"), "<html>page 2</html>");
+});
+
+test("enregistrement: page illisible ignorée sans entrée d'index", async (t) => {
+  const dir = archiveDir(t);
+  const page = { url: () => CATEGORY_URL, content: async () => { throw new Error("page fermée"); } };
+
+  assert.strictEqual(await createPageRecorder(dir).capture(page), null);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
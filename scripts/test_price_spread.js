@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "assert";
+import { computePriceSpreads } from "../lib/ctPriceSpread.js";
+
+// Écart de prix entre magasins, sans navigateur: node scripts/test_price_spread.js
+
+const store = (storeId, price, stockQty = null) => ({ storeId, storeName: `Magasin ${storeId}`, price, stockQty });
+const product = (productKey, stores) => ({ productKey, title: `Produit ${productKey}`, brand: null, stores });
+
+test("moins cher / plus cher, écart absolu et relatif, stock total", () => {
+  const [row] = computePriceSpreads({
+    products: [product("ct:1", [store("0218", 20, 3), store("0144", 25), store("0301", 40, 2)])],
+  });
+  assert.deepStrictEqual(
+    {
+      cheapest: row.cheapest.storeId,
+      mostExpensive: row.mostExpensive.storeId,
+      spread: row.spread,
+      spreadPercent: row.spreadPercent,
+      totalStock: row.totalStock,
+      storesWithUnknownStock: row.storesWithUnknownStock,
+    },
+    { cheapest: "0218", mostExpensive: "0301", spread: 20, spreadPercent: 50, totalStock: 5, storesWithUnknownStock: 1 }
+  );
+});
+
+test("minStores compte les magasins avec un prix; tri par écart décroissant", () => {
+  const rows = computePriceSpreads({
+    products: [
+      product("ct:1", [store("0218", 10), store("0144", null)]),
+      product("ct:2", [store("0218", 10), store("0144", 12)]),
+      product("ct:3", [store("0218", 10), store("0144", 30)]),
+    ],
+  });
+  assert.deepStrictEqual(rows.map((row) => [row.productKey, row.spread]), [["ct:3", 20], ["ct:2", 2]]);
+  assert.deepStrictEqual(
+    computePriceSpreads({ products: [product("ct:2", [store("0218", 10), store("0144", 12)])] }, { minStores: 3 }),
+    []
+  );
+});
+
+test("stock inconnu partout: totalStock null", () => {
+  const [row] = computePriceSpreads({ products: [product("ct:1", [store("0218", 10), store("0144", 10)])] });
+  assert.deepStrictEqual({ spread: row.spread, totalStock: row.totalStock }, { spread: 0, totalStock: null });
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { copyFileAtomic, isTmpFile, publishDir, withAtomicPath, writeJsonAtomic } from "../lib/ctPublish.js";
+
+// Écritures atomiques et publication d'un dossier magasin: node scripts/test_publish.js
+
+function tmpDir(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-publish-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+}
+
+const listFiles = (dir) => fs.readdirSync(dir, { recursive: true }).map(String).sort();
+
+test("writeJsonAtomic remplace le fichier sans laisser de temporaire", async (t) => {
+  const root = tmpDir(t);
+  const filePath = path.join(root, "store", "data.json");
+  await writeJsonAtomic(filePath, [{ id: 1 }]);
+  await writeJsonAtomic(filePath, [{ id: 2 }]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, "utf8")), [{ id: 2 }]);
+  assert.deepStrictEqual(listFiles(path.join(root, "store")), ["data.json"]);
+});
+
+test("écriture en échec: ancien fichier intact, temporaire supprimé", async (t) => {
+  const root = tmpDir(t);
+  const filePath = path.join(root, "data.csv");
+  fs.writeFileSync(filePath, "ancien");
+  await assert.rejects(
+    withAtomicPath(filePath, async (tmpPath) => {
+      fs.writeFileSync(tmpPath, "moitié");
+      throw new Error("disque plein");
+    }),
+    /disque plein/
+  );
+  assert.strictEqual(fs.readFileSync(filePath, "utf8"), "ancien");
+  assert.deepStrictEqual(listFiles(root), ["data.csv"]);
+});
+
+test("copyFileAtomic", async (t) => {
+  const root = tmpDir(t);
+  fs.writeFileSync(path.join(root, "data.json"), "[1]");
+  await copyFileAtomic(path.join(root, "data.json"), path.join(root, "data.previous.json"));
+  assert.strictEqual(fs.readFileSync(path.join(root, "data.previous.json"), "utf8"), "[1]");
+});
+
+test("publishDir: filtre appliqué, temporaires orphelins jamais publiés", async (t) => {
+  const root = tmpDir(t);
+  const src = path.join(root, "outputs");
+  for (const rel of ["data.json", "data.csv", "data.json.tmp-123-abc", "debug/page.html", "partial/data.json"]) {
+    fs.mkdirSync(path.dirname(path.join(src, rel)), { recursive: true });
+    fs.writeFileSync(path.join(src, rel), rel);
+  }
+  const dest = path.join(root, "public");
+  const published = await publishDir(src, dest, { filter: (rel) => !["debug", "partial"].includes(rel) });
+
+  assert.deepStrictEqual(published.sort(), ["data.csv", "data.json"]);
+  assert.deepStrictEqual(listFiles(dest), ["data.csv", "data.json"]);
+  assert.strictEqual(isTmpFile("data.json.tmp-123-abc"), true);
+  assert.strictEqual(isTmpFile("data.json"), false);
+});
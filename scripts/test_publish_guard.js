@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "assert";
+import { checkPublishGuard } from "../lib/ctPublish.js";
+
+// Garde-fou de publication (chute du nombre de deals, catégories vidées): node scripts/test_publish_guard.js
+
+const deal = (index, overrides = {}) => ({
+  product_key: `p${index}`,
+  category: index % 2 ? "outils" : "maison",
+  price: 10,
+  discount_percent: 50,
+  ...overrides,
+});
+const deals = (count) => Array.from({ length: count }, (_, index) => deal(index));
+
+test("exécution comparable acceptée", () => {
+  assert.strictEqual(checkPublishGuard(deals(20), deals(18)).ok, true);
+});
+
+test("chute du nombre de deals refusée", () => {
+  const guard = checkPublishGuard(deals(20), deals(5), { maxDropRatio: 0.5 });
+  assert.strictEqual(guard.ok, false);
+  assert.match(guard.reasons[0], /baisse de 75%/);
+});
+
+test("petite base: la chute seule ne bloque pas", () => {
+  assert.strictEqual(checkPublishGuard(deals(8), deals(2)).ok, true);
+});
+
+test("magasin vidé refusé", () => {
+  const guard = checkPublishGuard(deals(4), []);
+  assert.strictEqual(guard.ok, false);
+  assert.match(guard.reasons[0], /aucun deal/);
+});
+
+test("catégorie vidée refusée", () => {
+  const previous = deals(20);
+  const guard = checkPublishGuard(previous, previous.filter((record) => record.category === "maison"));
+  assert.strictEqual(guard.ok, false);
+  assert.deepStrictEqual(guard.emptiedCategories, ["outils"]);
+});
+
+test("pas de base précédente", () => {
+  assert.strictEqual(checkPublishGuard(null, deals(3)).ok, true);
+});
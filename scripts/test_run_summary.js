@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  RUN_MANIFEST_VERSION,
+  STORE_OUTCOMES,
+  resolveScraperInfo,
+  runFailuresPath,
+  runSummaryPath,
+  summarizeOutcomes,
+  writeRunSummary,
+} from "../lib/ctRunSummary.js";
+
+// Manifeste d'exécution (outputs/runs/<date>.json): node scripts/test_run_summary.js
+
+const metrics = (overrides = {}) => ({
+  categoriesVisited: 3,
+  pagesVisited: 4,
+  cardsSeen: 40,
+  storeSelectionAttempts: 1,
+  enrichment: { total: 4, modelNumber: 3, partNumber: 2, upc: 0, brand: 4 },
+  ...overrides,
+});
+
+test("totaux: issues comptées, métriques additionnées, magasins sans métriques ignorés", () => {
+  const totals = summarizeOutcomes([
+    { outcome: "done", count: 5, durationMs: 1000, metrics: metrics() },
+    { outcome: "partial", count: 2, durationMs: 500, metrics: metrics({ pagesVisited: 1, enrichment: { total: 1, upc: 1 } }) },
+    { outcome: "error", count: 0, durationMs: 200, metrics: null },
+    { outcome: "skipped" },
+  ]);
+
+  assert.deepStrictEqual(
+    Object.fromEntries(["stores", ...STORE_OUTCOMES].map((key) => [key, totals[key]])),
+    { stores: 4, done: 1, partial: 1, quarantined: 0, error: 1, skipped: 1 }
+  );
+  assert.deepStrictEqual(
+    { deals: totals.deals, durationMs: totals.durationMs, pagesVisited: totals.pagesVisited, cardsSeen: totals.cardsSeen },
+    { deals: 7, durationMs: 1700, pagesVisited: 5, cardsSeen: 80 }
+  );
+  assert.deepStrictEqual(totals.enrichment.coverage, { modelNumber: 0.6, partNumber: 0.4, upc: 0.2, brand: 0.8 });
+});
+
+test("couverture d'enrichissement nulle sans deal enrichi", () => {
+  const totals = summarizeOutcomes([]);
+  assert.strictEqual(totals.stores, 0);
+  assert.deepStrictEqual(totals.enrichment.coverage, { modelNumber: null, partNumber: null, upc: null, brand: null });
+});
+
+test("chemins: horodatage sans ':' ni '.', failures à côté du manifeste", () => {
+  const startedAt = "2024-05-01T12:34:56.789Z";
+  assert.strictEqual(runSummaryPath("runs", startedAt), path.join("runs", "2024-05-01T12-34-56-789Z.json"));
+  assert.strictEqual(runFailuresPath("runs", startedAt), path.join("runs", "2024-05-01T12-34-56-789Z.failures.json"));
+});
+
+test("writeRunSummary écrit le manifeste sous son horodatage", async (t) => {
+  const runsDir = fs.mkdtempSync(path.join(os.tmpdir(), "ct-runs-"));
+  t.after(() => fs.rmSync(runsDir, { recursive: true, force: true }));
+  const summary = { schema_version: RUN_MANIFEST_VERSION, startedAt: "2024-05-01T12:34:56.789Z", stores: [] };
+
+  const summaryPath = await writeRunSummary(runsDir, summary);
+  assert.strictEqual(summaryPath, runSummaryPath(runsDir, summary.startedAt));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(summaryPath, "utf8")), summary);
+  assert.deepStrictEqual(fs.readdirSync(runsDir), [path.basename(summaryPath)]);
+});
+
+test("commit du scraper: GITHUB_SHA prioritaire, version du package.json", (t) => {
+  const previous = process.env.GITHUB_SHA;
+  t.after(() => {
+    if (previous === undefined) delete process.env.GITHUB_SHA;
+    else process.env.GITHUB_SHA = previous;
+  });
+  process.env.GITHUB_SHA = "0123456789abcdef";
+  const { version } = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+  assert.deepStrictEqual(resolveScraperInfo(), { commit: "0123456789abcdef", version: version ?? null, node: process.version });
+});
@@ -0,0 +1,75 @@
+import test from "node:test";
+import assert from "assert";
+import { createRecordFromCard } from "../lib/ctScraper.js";
+import { validateStoreRecords } from "../lib/ctPublish.js";
+import { toRecordV2 } from "../lib/ctRecordV2.js";
+import { RECORD_V2_SCHEMA, loadSchema, validateAgainstSchema, validateRecords } from "../lib/ctSchema.js";
+
+// Schémas versionnés et validation avant écriture: node scripts/test_schema.js
+
+// Enregistrement tel que scrapeStore l'écrit (going_fast ajouté par annotateSellThrough).
+const scraperRecord = (overrides = {}) => ({
+  ...createRecordFromCard(
+    {
+      name: "Scie circulaire",
+      link: "https://www.canadiantire.ca/fr/pdp/scie-circulaire-0570001p.html",
+      price_sale_raw: "10,00 $",
+      price_original_raw: "100,00 $",
+      availability: "3 en stock",
+    },
+    true,
+    { storeId: "0218", city: "St. Eustache, QC" }
+  ),
+  going_fast: false,
+  ...overrides,
+});
+
+test("validateur: type, enum, required, additionalProperties, minimum, pattern, $ref", () => {
+  const schema = {
+    type: "object",
+    required: ["id", "kind"],
+    properties: {
+      id: { $ref: "#/$defs/id" },
+      kind: { enum: ["single", "range"] },
+      pct: { type: "number", minimum: 0, maximum: 100 },
+      tags: { type: "array", items: { type: "string" } },
+    },
+    additionalProperties: false,
+    $defs: { id: { type: "string", pattern: "^ct:" } },
+  };
+  assert.deepStrictEqual(validateAgainstSchema({ id: "ct:1", kind: "range", pct: 50, tags: ["a"] }, schema), []);
+  assert.deepStrictEqual(
+    validateAgainstSchema({ id: "x", kind: "multi", pct: 120, tags: [1], extra: true }, schema)
+      .map((error) => error.path)
+      .sort(),
+    ["$.extra", "$.id", "$.kind", "$.pct", "$.tags[0]"]
+  );
+  assert.deepStrictEqual(validateAgainstSchema({}, schema).map((error) => error.path).sort(), ["$.id", "$.kind"]);
+});
+
+test("enregistrement du scraper conforme au schéma v1 et, converti, au schéma v2", () => {
+  const record = scraperRecord();
+  assert.deepStrictEqual(validateStoreRecords([record], { storeId: "0218" }).errors, []);
+  assert.deepStrictEqual(validateRecords([toRecordV2(record)], loadSchema(RECORD_V2_SCHEMA)), []);
+});
+
+test("champ inconnu, champ requis absent, autre magasin: enregistrement refusé avec sa clé", () => {
+  const withoutGoingFast = scraperRecord();
+  delete withoutGoingFast.going_fast;
+  const result = validateStoreRecords(
+    [scraperRecord(), scraperRecord({ partial: true }), withoutGoingFast, scraperRecord({ store_id: "0144" })],
+    { storeId: "0218" }
+  );
+  assert.strictEqual(result.ok, false);
+  assert.deepStrictEqual(
+    result.failures.map((failure) => [failure.index, failure.errors.map((error) => error.split(":")[0])]),
+    [[1, ["$.partial"]], [2, ["$.going_fast"]], [3, ["$.store_id"]]]
+  );
+  assert.match(result.errors[0], /^#1 \(https:\/\/www\.canadiantire\.ca\//);
+});
+
+test("ni product_key ni url refusé; résultats non tableau refusés", () => {
+  const result = validateStoreRecords([scraperRecord({ url: null, product_key: null })]);
+  assert.ok(result.errors.some((error) => /ni product_key ni url/.test(error)));
+  assert.strictEqual(validateStoreRecords(null).ok, false);
+});
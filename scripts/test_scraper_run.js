@@ -0,0 +1,257 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { chromium } from "playwright";
+import { createScraper } from "../lib/ctScraper.js";
+import { CHECKPOINT_VERSION } from "../lib/ctCheckpoint.js";
+import { readStoreHistory } from "../lib/ctHistory.js";
+import { createMockCtServer } from "./mock_ct_server.js";
+
+// Exécutions complètes de createScraper().run() contre scripts/mock_ct_server.js:
+//   node scripts/test_scraper_run.js
+// Les cas qui ouvrent un navigateur sont ignorés si Chromium n'est pas installé (npx playwright install chromium).
+
+const STORE = { storeId: "0218", storeName: "St. Eustache, QC" };
+const browserSkip = await chromium
+  .launch()
+  .then((browser) => browser.close())
+  .then(() => false, () => "Chromium absent (npx playwright install chromium)");
+
+const readJson = (filePath) => JSON.parse(fs.readFileSync(filePath, "utf8"));
+
+async function startMock(t, options) {
+  const server = createMockCtServer(options);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+// Dossiers de sortie isolés + options d'un run court (1 page par catégorie, peu de deals à enrichir).
+function runDirs(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-run-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const dirs = {
+    root,
+    outBase: path.join(root, "out"),
+    publicRoot: path.join(root, "public"),
+    historyDir: path.join(root, "history"),
+    runsDir: path.join(root, "runs"),
+  };
+  return {
+    ...dirs,
+    options: (extra = {}) => ({
+      ...dirs,
+      maxPages: 1,
+      minDiscount: 85,
+      modelConcurrency: 8,
+      autoScroll: { perRoundWaitMs: 50, maxRounds: 3 },
+      retryBaseDelayMs: 0,
+      ...extra,
+    }),
+  };
+}
+
+test("budget global écoulé: aucun magasin lancé, arrêt max_runtime dans le manifeste", async (t) => {
+  const dirs = runDirs(t);
+  const scraper = createScraper(dirs.options({ baseUrl: "http://127.0.0.1:9", maxRuntimeMinutes: 0.0001 }));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const summary = await scraper.run([STORE]);
+
+  assert.deepStrictEqual(
+    { stopped: summary.stopped, stopReason: summary.stopReason, skipped: summary.totals.skipped },
+    { stopped: true, stopReason: "max_runtime", skipped: 1 }
+  );
+  assert.deepStrictEqual(readJson(summary.summaryPath).stores.map((store) => store.outcome), ["skipped"]);
+  assert.strictEqual(fs.existsSync(dirs.outBase), false);
+});
+
+test("budget magasin écoulé: sortie dans partial/, rien de publié", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  const summary = await createScraper(dirs.options({ baseUrl, storeBudgetMinutes: 0.0001 })).run([STORE]);
+
+  assert.strictEqual(summary.totals.partial, 1);
+  const status = readJson(path.join(dirs.outBase, "partial", "status.json"));
+  assert.deepStrictEqual({ partial: status.partial, reason: status.reason }, { partial: true, reason: "store_budget" });
+  assert.strictEqual(fs.existsSync(path.join(dirs.outBase, "data.json")), false);
+  assert.strictEqual(fs.existsSync(dirs.publicRoot), false);
+  const runs = (await readStoreHistory(dirs.historyDir, STORE.storeId)).filter((entry) => entry.type === "run");
+  assert.deepStrictEqual(runs.map((entry) => entry.partial), [true]);
+});
+
+test("reprise: catégorie terminée relue depuis partial/, même après changement de --baseUrl", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  const checkpointPath = path.join(dirs.root, "checkpoint.json");
+  const partialPath = path.join(dirs.outBase, "partial", "jardin.json");
+  fs.mkdirSync(path.dirname(partialPath), { recursive: true });
+  fs.writeFileSync(partialPath, JSON.stringify({ storeId: STORE.storeId, lastPage: 1, records: [] }));
+  fs.writeFileSync(
+    checkpointPath,
+    JSON.stringify({
+      version: CHECKPOINT_VERSION,
+      stores: {
+        [STORE.storeId]: {
+          status: "in_progress",
+          categories: {
+            "/fr/promotions/liquidation/jardin.html": { status: "done", lastPage: 1, partialPath, count: 0 },
+          },
+        },
+      },
+    })
+  );
+
+  const summary = await createScraper(dirs.options({ baseUrl, checkpointPath, resume: true })).run([STORE]);
+
+  const [store] = readJson(summary.summaryPath).stores;
+  assert.strictEqual(store.metrics.categoriesResumed, 1);
+  assert.strictEqual(fs.existsSync(checkpointPath), false);
+  assert.strictEqual(fs.existsSync(path.join(dirs.outBase, "partial")), false);
+});
+
+test("sélection du magasin en échec: relancé puis listé dans <date>.failures.json", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t, { scenarios: ["store-selection-failure"] });
+  const otherRun = path.join(dirs.runsDir, "2020-01-01T00-00-00-000Z.failures.json");
+  fs.mkdirSync(dirs.runsDir, { recursive: true });
+  fs.writeFileSync(otherRun, "{}");
+
+  const summary = await createScraper(dirs.options({ baseUrl, maxStoreAttempts: 2 })).run([STORE]);
+
+  assert.strictEqual(summary.totals.error, 1);
+  assert.strictEqual(path.basename(summary.failuresPath), path.basename(summary.summaryPath, ".json") + ".failures.json");
+  const { failures } = readJson(summary.failuresPath);
+  assert.deepStrictEqual(
+    failures.map(({ storeId, attempts, code }) => ({ storeId, attempts, code })),
+    [{ storeId: STORE.storeId, attempts: 2, code: "store_selection_failed" }]
+  );
+  assert.strictEqual(readJson(summary.summaryPath).failuresPath, summary.failuresPath);
+  assert.strictEqual(fs.existsSync(otherRun), true);
+});
+
+test("stop() pendant une catégorie: deals collectés dans partial/, statut seulement dans status.json", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  const scraper = createScraper(dirs.options({ baseUrl, minDiscount: 50 }));
+  scraper.once("category:page", () => scraper.stop("test"));
+  const summary = await scraper.run([STORE]);
+
+  assert.deepStrictEqual({ stopReason: summary.stopReason, partial: summary.totals.partial }, { stopReason: "test", partial: 1 });
+  const status = readJson(path.join(dirs.outBase, "partial", "status.json"));
+  assert.strictEqual(status.partial, true);
+  const records = readJson(path.join(dirs.outBase, "partial", "data.json"));
+  assert.ok(records.length > 0);
+  assert.ok(records.every((record) => !("partial" in record)));
+  assert.strictEqual(fs.existsSync(path.join(dirs.outBase, "data.json")), false);
+});
+
+test("quarantaine: partial/ nettoyé, puis sortie acceptée pour ce seul magasin via acceptStores", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  const publishedPath = path.join(dirs.publicRoot, "out", "data.json");
+  const published = Array.from({ length: 100 }, (_, index) => ({ product_key: `pk-${index}`, name: `Produit ${index}` }));
+  fs.mkdirSync(path.dirname(publishedPath), { recursive: true });
+  fs.writeFileSync(publishedPath, JSON.stringify(published));
+  const checkpointPath = path.join(dirs.root, "checkpoint.json");
+
+  const quarantined = await createScraper(dirs.options({ baseUrl, checkpointPath })).run([STORE]);
+  assert.strictEqual(quarantined.totals.quarantined, 1);
+  assert.ok(fs.existsSync(path.join(dirs.outBase, "quarantine.json")));
+  assert.strictEqual(fs.existsSync(path.join(dirs.outBase, "partial")), false);
+  assert.strictEqual(readJson(publishedPath).length, published.length);
+
+  const accepted = await createScraper(dirs.options({ baseUrl, acceptStores: [STORE.storeId] })).run([STORE]);
+  assert.strictEqual(accepted.totals.done, 1);
+  assert.strictEqual(readJson(publishedPath).length, accepted.totals.deals);
+  assert.strictEqual(fs.existsSync(path.join(dirs.outBase, "quarantine.json")), false);
+});
+
+test("format v2 puis historique: data.v2.json retiré de la sortie et de public/", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  const v2Paths = [path.join(dirs.outBase, "data.v2.json"), path.join(dirs.publicRoot, "out", "data.v2.json")];
+
+  await createScraper(dirs.options({ baseUrl, format: "v2" })).run([STORE]);
+  assert.deepStrictEqual(v2Paths.map((filePath) => fs.existsSync(filePath)), [true, true]);
+
+  await createScraper(dirs.options({ baseUrl })).run([STORE]);
+  assert.deepStrictEqual(v2Paths.map((filePath) => fs.existsSync(filePath)), [false, false]);
+});
+
+test("historique: produits sous le seuil enregistrés, data.json filtré", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  await createScraper(dirs.options({ baseUrl })).run([STORE]);
+
+  const deals = readJson(path.join(dirs.outBase, "data.json"));
+  assert.ok(deals.length > 0 && deals.every((deal) => deal.discount_percent >= 85));
+  const records = (await readStoreHistory(dirs.historyDir, STORE.storeId)).filter((entry) => entry.type === "record");
+  assert.ok(records.some((entry) => entry.discountPercent < 85));
+  const historyKeys = new Set(records.map((entry) => entry.productKey));
+  assert.ok(deals.every((deal) => historyKeys.has(deal.product_key)));
+  assert.strictEqual(new Set(records.map((entry) => entry.productKey)).size, records.length);
+});
+
+test("seuils par catégorie appliqués carte par carte", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  const thresholdsConfig = { categories: { jardin: { minDiscount: 50 } } };
+  await createScraper(dirs.options({ baseUrl, thresholdsConfig })).run([STORE]);
+
+  const deals = readJson(path.join(dirs.outBase, "data.json"));
+  const jardin = deals.filter((deal) => deal.category === "jardin");
+  assert.ok(jardin.some((deal) => deal.discount_percent < 85));
+  assert.ok(jardin.every((deal) => deal.discount_percent >= 50));
+  assert.ok(deals.filter((deal) => deal.category !== "jardin").every((deal) => deal.discount_percent >= 85));
+});
+
+test("manifeste: issue, métriques et sorties du magasin, commit du scraper", { skip: browserSkip }, async (t) => {
+  const dirs = runDirs(t);
+  const baseUrl = await startMock(t);
+  const summary = await createScraper(dirs.options({ baseUrl })).run([STORE]);
+
+  const manifest = readJson(summary.summaryPath);
+  assert.deepStrictEqual(
+    { stopped: manifest.stopped, baseUrl: manifest.options.baseUrl, failuresPath: manifest.failuresPath },
+    { stopped: false, baseUrl, failuresPath: null }
+  );
+  assert.strictEqual(typeof manifest.scraper.node, "string");
+  const [store] = manifest.stores;
+  assert.deepStrictEqual({ storeId: store.storeId, outcome: store.outcome, attempts: store.attempts }, {
+    storeId: STORE.storeId,
+    outcome: "done",
+    attempts: 1,
+  });
+  assert.deepStrictEqual(
+    { visited: store.metrics.categoriesVisited, completed: store.metrics.categoriesCompleted, pages: store.metrics.pagesVisited },
+    { visited: 3, completed: 3, pages: 3 }
+  );
+  assert.ok(store.metrics.cardsSeen >= store.count && store.count > 0);
+  assert.strictEqual(store.metrics.enrichment.total, store.count);
+  assert.strictEqual(store.metrics.outputs.json, path.join(dirs.outBase, "data.json"));
+  assert.deepStrictEqual(
+    { done: manifest.totals.done, deals: manifest.totals.deals, pages: manifest.totals.pagesVisited },
+    { done: 1, deals: store.count, pages: 3 }
+  );
+});
+
+test("--record puis --replayDir hors-ligne: mêmes deals sans le serveur", { skip: browserSkip }, async (t) => {
+  const recorded = runDirs(t);
+  const replayed = runDirs(t);
+  const recordDir = path.join(recorded.root, "archive");
+  const baseUrl = await startMock(t);
+  await createScraper(recorded.options({ baseUrl, recordDir })).run([STORE]);
+
+  const kinds = readJson(path.join(recordDir, "index.json")).entries.map((entry) => entry.kind);
+  assert.deepStrictEqual([...new Set(kinds)].sort(), ["category", "landing", "pdp"]);
+  const summary = await createScraper(
+    replayed.options({ baseUrl: "http://127.0.0.1:9", replayDir: recordDir })
+  ).run([STORE]);
+
+  assert.strictEqual(summary.totals.done, 1);
+  const keys = (dirs) => readJson(path.join(dirs.outBase, "data.json")).map((deal) => deal.product_key).sort();
+  assert.ok(keys(recorded).length > 0);
+  assert.deepStrictEqual(keys(replayed), keys(recorded));
+});
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "assert";
+import { annotateSellThrough, computeSellThrough } from "../lib/ctSellThrough.js";
+
+// Écoulement des stocks à partir des stockQty successifs: node scripts/test_sell_through.js
+
+const day = (n) => new Date(Date.UTC(2026, 0, 1 + n)).toISOString();
+
+test("rythme et rupture proche", () => {
+  const result = computeSellThrough([
+    { runAt: day(0), stockQty: 10 },
+    { runAt: day(2), stockQty: 6 },
+    { runAt: day(4), stockQty: 2 },
+  ]);
+  assert.deepStrictEqual(
+    { unitsPerDay: result.unitsPerDay, daysLeft: result.daysLeft, sellOutDate: result.sellOutDate, goingFast: result.goingFast },
+    { unitsPerDay: 2, daysLeft: 1, sellOutDate: day(5), goingFast: true }
+  );
+});
+
+test("réassort ignoré, un seul point insuffisant", () => {
+  const result = computeSellThrough([
+    { runAt: day(0), stockQty: 4 },
+    { runAt: day(1), stockQty: 10 },
+    { runAt: day(2), stockQty: 10 },
+  ]);
+  assert.deepStrictEqual({ unitsGone: result.unitsGone, daysLeft: result.daysLeft }, { unitsGone: 0, daysLeft: null });
+  assert.strictEqual(computeSellThrough([{ runAt: day(0), stockQty: 4 }]), null);
+});
+
+test("points hors fenêtre ignorés", () => {
+  const result = computeSellThrough(
+    [
+      { runAt: day(0), stockQty: 100 },
+      { runAt: day(20), stockQty: 10 },
+      { runAt: day(30), stockQty: 5 },
+    ],
+    { windowDays: 14 }
+  );
+  assert.deepStrictEqual({ unitsGone: result.unitsGone, observedDays: result.observedDays }, { unitsGone: 5, observedDays: 10 });
+});
+
+test("annotateSellThrough: historique + exécution courante", () => {
+  const history = [
+    { type: "run", runAt: day(0) },
+    { type: "record", runAt: day(0), productKey: "a", stockQty: 9 },
+    { type: "record", runAt: day(0), productKey: "b", stockQty: 50 },
+  ];
+  const records = [
+    { product_key: "a", stockQty: 3 },
+    { product_key: "b", stockQty: 49 },
+    { product_key: "c", stockQty: 1 },
+  ];
+  const { goingFast } = annotateSellThrough(records, history, { runAt: day(2) });
+
+  assert.strictEqual(goingFast, 1);
+  assert.deepStrictEqual(
+    records.map((record) => [record.product_key, record.units_per_day, record.going_fast]),
+    [
+      ["a", 3, true],
+      ["b", 0.5, false],
+      ["c", null, false],
+    ]
+  );
+});
@@ -0,0 +1,78 @@
+import test from "node:test";
+import assert from "assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  DEFAULT_MIN_DISCOUNT,
+  categorySlugFromUrl,
+  createThresholds,
+  loadThresholdsFile,
+} from "../lib/ctThresholds.js";
+
+// Seuils de rabais configurables, sans navigateur: node scripts/test_thresholds.js
+
+const CONFIG = {
+  minDiscount: 60,
+  priceBands: [{ minRegularPrice: 200, minDiscount: 30 }],
+  categories: {
+    outils: { minDiscount: 40, priceBands: [{ maxRegularPrice: 25, minDiscount: 80 }] },
+  },
+};
+
+test("défaut: 50% global, sans minimum d'économie", () => {
+  const thresholds = createThresholds();
+  assert.deepStrictEqual(thresholds.global, { minDiscount: DEFAULT_MIN_DISCOUNT, minSavings: 0 });
+  assert.strictEqual(thresholds.accepts({ discountPercent: 50 }), true);
+  assert.strictEqual(thresholds.accepts({ discountPercent: 49.9 }), false);
+  assert.strictEqual(thresholds.accepts({ discountPercent: null }), false);
+});
+
+test("priorité: bande de la catégorie > catégorie > bande globale > global", () => {
+  const thresholds = createThresholds({ config: CONFIG });
+  assert.strictEqual(thresholds.resolve(null, 100).minDiscount, 60);
+  assert.strictEqual(thresholds.resolve(null, 250).minDiscount, 30);
+  assert.strictEqual(thresholds.resolve("Outils", 250).minDiscount, 40);
+  assert.strictEqual(thresholds.resolve("outils", 20).minDiscount, 80);
+  assert.strictEqual(thresholds.resolve("outils", null).minDiscount, 40);
+});
+
+test("--minDiscount remplace le global du fichier, pas les surcharges", () => {
+  const thresholds = createThresholds({ minDiscount: "70", config: CONFIG });
+  assert.strictEqual(thresholds.resolve("maison", 100).minDiscount, 70);
+  assert.strictEqual(thresholds.resolve("outils", 100).minDiscount, 40);
+});
+
+test("minSavings: économie absente ou insuffisante refusée", () => {
+  const thresholds = createThresholds({ minDiscount: 0, minSavings: 20 });
+  assert.strictEqual(thresholds.accepts({ discountPercent: 60, savings: 25 }), true);
+  assert.strictEqual(thresholds.accepts({ discountPercent: 60, savings: 10 }), false);
+  assert.strictEqual(thresholds.accepts({ discountPercent: 60, savings: null }), false);
+});
+
+test("valeurs invalides refusées avec leur chemin", () => {
+  assert.throws(() => createThresholds({ minDiscount: "abc" }), /--minDiscount/);
+  assert.throws(
+    () => createThresholds({ config: { categories: { outils: { priceBands: [{ minDiscount: -5 }] } } } }),
+    /categories\.outils\.priceBands\[0\]\.minDiscount/
+  );
+  assert.throws(() => createThresholds({ config: { categories: [] } }), /config\.categories/);
+});
+
+test("slug de catégorie depuis l'URL", () => {
+  assert.strictEqual(categorySlugFromUrl("https://www.canadiantire.ca/fr/promotions/liquidation/Outils.html?page=2"), "outils");
+  assert.strictEqual(categorySlugFromUrl("https://www.canadiantire.ca/fr/promotions/liquidation.html"), "liquidation");
+  assert.strictEqual(categorySlugFromUrl("pas une url"), null);
+});
+
+test("loadThresholdsFile: objet JSON attendu", (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "ct-thresholds-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const valid = path.join(root, "thresholds.json");
+  fs.writeFileSync(valid, JSON.stringify(CONFIG));
+  assert.deepStrictEqual(loadThresholdsFile(valid), CONFIG);
+  const invalid = path.join(root, "array.json");
+  fs.writeFileSync(invalid, "[]");
+  assert.throws(() => loadThresholdsFile(invalid), /objet JSON/);
+  assert.throws(() => loadThresholdsFile(path.join(root, "absent.json")), /Lecture impossible/);
+});